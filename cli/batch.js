@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Paper Cut Forms Generator - Batch CLI
+ * Gera uma arte por seed a partir de um arquivo de parâmetros
+ *
+ * Uso:
+ *   node cli/batch.js --params params.json --seeds 1-20,42 [--out output] [--png]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PARAMS, renderArtwork } = require('../js/headless');
+
+const USAGE = `Uso: node cli/batch.js --params <arquivo.json> --seeds <lista> [opções]
+
+Opções:
+  --params <arquivo>   JSON de parâmetros (mesmo formato de getControlValues())
+  --seeds <lista>      Seeds separadas por vírgula, aceitando intervalos (ex: 1-10,42,100-105)
+  --out <pasta>        Pasta de saída (padrão: output)
+  --prefix <nome>      Prefixo dos arquivos (padrão: chaos-shape)
+  --png                Gera também um PNG por seed (requer @resvg/resvg-js:
+                       npm install --no-save @resvg/resvg-js na raiz do repositório)
+  --png-size <px>      Largura do PNG em pixels (padrão: 2048)
+  --help               Mostra esta ajuda`;
+
+/**
+ * Lê os argumentos da linha de comando
+ * @param {Array<string>} argv - Argumentos (sem node e script)
+ * @returns {object} Opções do CLI
+ */
+function parseArgs(argv) {
+    const options = {
+        params: null,
+        seeds: null,
+        out: 'output',
+        prefix: 'chaos-shape',
+        png: false,
+        pngSize: 2048,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Valor ausente para ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--params': options.params = next(); break;
+            case '--seeds': options.seeds = next(); break;
+            case '--out': options.out = next(); break;
+            case '--prefix': options.prefix = next(); break;
+            case '--png': options.png = true; break;
+            case '--png-size': options.pngSize = parseInt(next(), 10); break;
+            case '--help':
+            case '-h': options.help = true; break;
+            default:
+                throw new Error(`Argumento desconhecido: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Converte uma lista de seeds em array de inteiros
+ * @param {string} spec - Lista no formato "1-10,42,100-105"
+ * @returns {Array<number>} Seeds em ordem, sem repetição
+ */
+function parseSeeds(spec) {
+    const seeds = [];
+
+    spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const range = /^(\d+)\s*-\s*(\d+)$/.exec(part);
+
+        if (range) {
+            const start = parseInt(range[1], 10);
+            const end = parseInt(range[2], 10);
+            if (end < start) throw new Error(`Intervalo de seeds inválido: ${part}`);
+            for (let seed = start; seed <= end; seed++) seeds.push(seed);
+        } else if (/^\d+$/.test(part)) {
+            seeds.push(parseInt(part, 10));
+        } else {
+            throw new Error(`Seed inválida: ${part}`);
+        }
+    });
+
+    return Array.from(new Set(seeds));
+}
+
+/**
+ * Carrega o rasterizador opcional usado para gerar PNGs
+ * @returns {function} Função (svgString, width) => Buffer PNG
+ */
+function loadRasterizer() {
+    let Resvg;
+    try {
+        ({ Resvg } = require('@resvg/resvg-js'));
+    } catch (error) {
+        throw new Error('Exportação PNG requer o pacote @resvg/resvg-js: rode "npm install --no-save @resvg/resvg-js" na raiz do repositório');
+    }
+
+    return (svgString, width) => new Resvg(svgString, {
+        fitTo: { mode: 'width', value: width }
+    }).render().asPng();
+}
+
+/**
+ * Executa o CLI
+ * @param {Array<string>} argv - Argumentos (sem node e script)
+ */
+function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!options.params || !options.seeds) {
+        throw new Error(`--params e --seeds são obrigatórios\n\n${USAGE}`);
+    }
+
+    if (options.png && !(options.pngSize > 0)) {
+        throw new Error('--png-size deve ser um número positivo');
+    }
+
+    const fileParams = JSON.parse(fs.readFileSync(options.params, 'utf8'));
+    const seeds = parseSeeds(options.seeds);
+    const rasterize = options.png ? loadRasterizer() : null;
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    // Zero à esquerda para que os arquivos fiquem ordenados por seed
+    const padding = String(Math.max(...seeds)).length;
+    const manifest = {
+        source: path.basename(options.params),
+        files: []
+    };
+
+    seeds.forEach(seed => {
+        const params = { ...DEFAULT_PARAMS, ...fileParams, seed };
+        const baseName = `${options.prefix}-${String(seed).padStart(padding, '0')}`;
+        const svgString = renderArtwork(params);
+
+        const entry = { seed, svg: `${baseName}.svg`, params };
+        fs.writeFileSync(path.join(options.out, entry.svg), svgString);
+
+        if (rasterize) {
+            entry.png = `${baseName}.png`;
+            fs.writeFileSync(path.join(options.out, entry.png), rasterize(svgString, options.pngSize));
+        }
+
+        manifest.files.push(entry);
+        console.log(`✓ ${entry.svg}${entry.png ? ` + ${entry.png}` : ''}`);
+    });
+
+    fs.writeFileSync(path.join(options.out, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`${seeds.length} arte(s) geradas em ${options.out}`);
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Erro: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { parseArgs, parseSeeds, main };
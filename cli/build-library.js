@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Paper Cut Forms Generator - Library Build
+ * Junta os scripts do núcleo e js/paper-cut.js em um único arquivo para outros sites
+ * O pacote roda em uma função isolada: apenas window.PaperCut e o elemento <paper-cut-form>
+ * ficam visíveis para a página
+ *
+ * Uso:
+ *   node cli/build-library.js [--out dist/paper-cut.js]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CORE_SCRIPTS } = require('../js/headless');
+
+const USAGE = `Uso: node cli/build-library.js [opções]
+
+Opções:
+  --out <arquivo>      Arquivo gerado (padrão: dist/paper-cut.js)
+  --help               Mostra esta ajuda`;
+
+const LIBRARY_SCRIPTS = [...CORE_SCRIPTS, 'paper-cut.js'];
+
+/**
+ * Lê os argumentos da linha de comando
+ * @param {Array<string>} argv - Argumentos (sem node e script)
+ * @returns {object} Opções do CLI
+ */
+function parseArgs(argv) {
+    const options = {
+        out: path.join('dist', 'paper-cut.js'),
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Valor ausente para ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--out': options.out = next(); break;
+            case '--help':
+            case '-h': options.help = true; break;
+            default:
+                throw new Error(`Argumento desconhecido: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Monta o pacote: scripts na ordem do núcleo, dentro de uma função que exporta PaperCut
+ * @returns {string} Código do pacote
+ */
+function buildLibrary() {
+    const sources = LIBRARY_SCRIPTS.map(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+        return `// ---- ${file} ----\n${source.trim()}\n`;
+    });
+
+    return [
+        '/*! Paper Cut Forms Generator - PaperCut.render() e <paper-cut-form> (gerado por cli/build-library.js) */',
+        '(function (global) {',
+        ...sources,
+        'global.PaperCut = PaperCut;',
+        '})(typeof window !== \'undefined\' ? window : this);',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Executa o CLI
+ * @param {Array<string>} argv - Argumentos (sem node e script)
+ */
+function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const bundle = buildLibrary();
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, bundle);
+
+    console.log(`${options.out}: ${LIBRARY_SCRIPTS.length} scripts, ${Math.round(bundle.length / 1024)} KB`);
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Erro: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { parseArgs, buildLibrary, main };
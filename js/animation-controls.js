@@ -0,0 +1,247 @@
+/**
+ * Paper Cut Forms Generator - Animation Controls
+ * Painel de animação: trilhas (ANIMATION_TRACKS), pré-visualização e exportação dos quadros
+ */
+
+// Pré-visualização em andamento: { frameId, start, lastFrame }, ou null quando pausada
+let animationPlayback = null;
+
+/**
+ * ID do slider de uma trilha (ex: chaosX → animationChaosX)
+ * @param {string} key - Chave de ANIMATION_TRACKS
+ * @returns {string} ID do elemento
+ */
+function getAnimationTrackId(key) {
+    return `animation${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+}
+
+/**
+ * Cria os sliders das trilhas a partir de ANIMATION_TRACKS em #animationTracks
+ */
+function renderAnimationControls() {
+    const container = document.getElementById('animationTracks');
+
+    Object.entries(ANIMATION_TRACKS).forEach(([key, track]) => {
+        container.appendChild(createRangeControlGroup({ ...track, key: getAnimationTrackId(key) }, track.label));
+    });
+}
+
+/**
+ * Lê as configurações do painel
+ * @returns {object} Configurações { duration, fps, loop, blendSeed, tracks } (ver getAnimationDefaultSettings)
+ */
+function getAnimationSettings() {
+    const defaults = getAnimationDefaultSettings();
+    const tracks = {};
+    Object.keys(ANIMATION_TRACKS).forEach(key => {
+        tracks[key] = parseFloat(document.getElementById(getAnimationTrackId(key)).value);
+    });
+
+    const blendSeed = parseInt(controls.animationBlendSeed.value, 10);
+    return {
+        duration: parseFloat(controls.animationDuration.value) || defaults.duration,
+        fps: parseInt(controls.animationFps.value, 10),
+        loop: controls.animationLoop.checked,
+        blendSeed: isNaN(blendSeed) ? defaults.blendSeed : blendSeed,
+        tracks
+    };
+}
+
+/**
+ * Mostra a seed de destino apenas com a trilha de mistura de seed ativa
+ */
+function updateAnimationControls() {
+    const seedBlend = document.getElementById(getAnimationTrackId('seedBlend'));
+    document.getElementById('animationBlendSeed-group').classList.toggle('hidden', parseFloat(seedBlend.value) === 0);
+}
+
+/**
+ * Inicia ou pausa a pré-visualização
+ */
+function toggleAnimation() {
+    if (animationPlayback) {
+        stopAnimation();
+    } else {
+        startAnimation();
+    }
+}
+
+/**
+ * Inicia a pré-visualização: a cada frame da tela desenha o quadro correspondente ao tempo decorrido
+ * Controles e trilhas são lidos a cada quadro, então ajustes feitos durante a reprodução aparecem na hora
+ */
+function startAnimation() {
+    animationPlayback = { frameId: null, start: performance.now(), lastFrame: -1 };
+    controls.animationPlayButton.textContent = '❚❚ Pausar';
+
+    const step = now => {
+        const settings = getAnimationSettings();
+        const count = getAnimationFrameCount(settings);
+        const frame = Math.floor((now - animationPlayback.start) / 1000 * settings.fps) % count;
+
+        // Renderizações mais lentas que o fps pulam quadros em vez de atrasar a animação
+        if (frame !== animationPlayback.lastFrame) {
+            animationPlayback.lastFrame = frame;
+            generateShapes(getAnimationFrameParams(getControlValues(), settings, getAnimationProgress(frame, count, settings.loop)));
+        }
+
+        animationPlayback.frameId = requestAnimationFrame(step);
+    };
+
+    animationPlayback.frameId = requestAnimationFrame(step);
+}
+
+/**
+ * Pausa a pré-visualização e volta a exibir a arte estática
+ */
+function stopAnimation() {
+    if (!animationPlayback) return;
+
+    cancelAnimationFrame(animationPlayback.frameId);
+    animationPlayback = null;
+    controls.animationPlayButton.textContent = '▶ Reproduzir';
+
+    const params = getControlValues();
+    generateShapes(params);
+    updateLayerEditor(params);
+}
+
+/**
+ * Desabilita os botões e mostra o progresso durante uma exportação
+ * @param {boolean} busy - Se há uma exportação em andamento
+ */
+function setAnimationExportBusy(busy) {
+    ['animationPlayButton', 'animationFramesButton', 'animationSvgButton'].forEach(id => {
+        controls[id].disabled = busy;
+    });
+    document.getElementById('animationProgress-group').classList.toggle('hidden', !busy);
+}
+
+/**
+ * Atualiza a barra de progresso da exportação
+ * @param {number} fraction - Fração concluída (0-1)
+ * @param {string} label - Descrição da etapa
+ */
+function updateAnimationProgress(fraction, label) {
+    controls.animationProgress.value = fraction;
+    controls.animationProgressLabel.textContent = label;
+}
+
+/**
+ * Exporta os quadros como PNGs numerados (frame-0001.png...) em um ZIP
+ * Usa o tamanho e o fundo escolhidos em "Exportar Imagem"; cada quadro passa pelo canvas da página
+ */
+async function downloadAnimationFrames() {
+    const width = getRasterExportWidth();
+    if (!(width > 0)) {
+        window.alert('Informe um tamanho válido em pixels em "Exportar Imagem".');
+        return;
+    }
+
+    stopAnimation();
+    const params = getControlValues();
+    const settings = getAnimationSettings();
+    const count = getAnimationFrameCount(settings);
+    const background = controls.rasterBackground.value === 'solid' ? controls.rasterBackgroundColor.value : null;
+
+    setAnimationExportBusy(true);
+
+    try {
+        const files = [];
+        for (let f = 0; f < count; f++) {
+            updateAnimationProgress(f / count, `Quadro ${f + 1} de ${count}`);
+            generateShapes(getAnimationFrameParams(params, settings, getAnimationProgress(f, count, settings.loop)));
+            await whenGradientPatternsReady();
+
+            const blob = await rasterizeSVG(document.getElementById('chaos-svg'), { width, format: 'png', background });
+            files.push({
+                name: `frame-${String(f + 1).padStart(4, '0')}.png`,
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+        }
+
+        updateAnimationProgress(1, 'Compactando');
+        await nextFrame();
+        downloadBlob(new Blob([createZip(files)], { type: 'application/zip' }), `chaos-shape-frames-${width}.zip`);
+    } catch (error) {
+        console.error('Erro ao exportar quadros:', error);
+        window.alert(`Erro ao exportar quadros: ${error.message}`);
+    } finally {
+        setAnimationExportBusy(false);
+        generateShapes(params);
+        updateLayerEditor(params);
+    }
+}
+
+/**
+ * Exporta a animação como um único SVG animado (SMIL), sem dependências externas
+ * Os quadros são montados um por vez, devolvendo a vez à página entre eles para o progresso aparecer;
+ * os gradientes com ruído de cada quadro são calculados antes, nos workers (ver loadGradientImages)
+ */
+async function downloadAnimatedSVG() {
+    stopAnimation();
+    const params = getControlValues();
+    const settings = getAnimationSettings();
+    const count = getAnimationFrameCount(settings);
+
+    setAnimationExportBusy(true);
+
+    try {
+        const frames = [];
+        for (let f = 0; f < count; f++) {
+            updateAnimationProgress(f / count, `Quadro ${f + 1} de ${count}`);
+            await nextFrame();
+
+            // Pedidos de imagem do quadro, sem montar o SVG (resolveImage só registra)
+            const requests = [];
+            const frameParams = getAnimationFrameParams(params, settings, getAnimationProgress(f, count, settings.loop));
+            computeLayerFills(frameParams, {
+                resolveImage: request => {
+                    requests.push(request);
+                    return null;
+                }
+            });
+            const images = await loadGradientImages(requests);
+
+            frames.push(buildAnimationFrame(params, settings, f, {
+                resolveImage: request => {
+                    const dataUrl = images.get(getGradientJobKey(request));
+                    if (dataUrl) return dataUrl;
+
+                    // Imagens que falharam no worker são calculadas aqui mesmo
+                    const { pixels, size } = computeNoiseGradientPixels(request.color1, request.color2, request.layerIndex, request.options);
+                    return encodePixelsToDataUrl(pixels, size, size);
+                }
+            }));
+        }
+
+        updateAnimationProgress(1, 'Montando o SVG');
+        await nextFrame();
+
+        const svgData = renderAnimatedArtwork(params, settings, { frames });
+        downloadBlob(new Blob([svgData], { type: 'image/svg+xml' }), 'chaos-shape-animated.svg');
+    } catch (error) {
+        console.error('Erro ao exportar SVG animado:', error);
+        window.alert(`Erro ao exportar SVG animado: ${error.message}`);
+    } finally {
+        setAnimationExportBusy(false);
+    }
+}
+
+/**
+ * Inicializa o painel de animação
+ */
+function initAnimationControls() {
+    renderAnimationControls();
+
+    Object.keys(ANIMATION_TRACKS).forEach(key => {
+        const id = getAnimationTrackId(key);
+        const input = document.getElementById(id);
+        input.addEventListener('input', function() {
+            document.getElementById(`${id}Value`).textContent = this.value;
+            updateAnimationControls();
+        });
+    });
+
+    updateAnimationControls();
+}
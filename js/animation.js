@@ -0,0 +1,208 @@
+/**
+ * Paper Cut Forms Generator - Animation
+ * Parâmetros de cada quadro de uma animação e montagem do SVG animado, sem DOM
+ * Cada quadro é um conjunto comum de parâmetros de geração renderizado por buildArtwork()
+ */
+
+/**
+ * Trilhas animáveis
+ * Cada trilha declara o slider da intensidade (`amount`) e `apply(params, amount, progress, settings)`,
+ * que retorna os parâmetros alterados no quadro (progress: 0-1 ao longo da duração)
+ * Em loop, as trilhas voltam ao valor inicial no fim da duração, então o último quadro emenda no primeiro
+ */
+const ANIMATION_TRACKS = {
+    chaosX: {
+        label: 'Chaos X (±)',
+        min: 0, max: 100, step: 1, value: 20,
+        apply: (params, amount, progress, settings) => ({
+            chaosX: Math.max(0, params.chaosX + amount * animationSwing(progress, settings.loop))
+        })
+    },
+    chaosY: {
+        label: 'Chaos Y (±)',
+        min: 0, max: 100, step: 1, value: 0,
+        apply: (params, amount, progress, settings) => ({
+            chaosY: Math.max(0, params.chaosY + amount * animationSwing(progress, settings.loop))
+        })
+    },
+    rotation: {
+        label: 'Rotação (± graus)',
+        min: 0, max: 45, step: 1, value: 10,
+        apply: (params, amount, progress, settings) => ({
+            maxRotate: params.maxRotate + amount * animationSwing(progress, settings.loop)
+        })
+    },
+    warpPhase: {
+        label: 'Fase da Distorção (ciclos)',
+        min: 0, max: 5, step: 1, value: 1,
+        apply: (params, amount, progress) => ({
+            warpPhase: amount * progress
+        })
+    },
+    seedBlend: {
+        label: 'Mistura de Seed (%)',
+        min: 0, max: 100, step: 1, value: 0,
+        apply: (params, amount, progress, settings) => ({
+            seedBlend: amount / 100 * animationPulse(progress, settings.loop),
+            blendSeed: settings.blendSeed
+        })
+    },
+    colors: {
+        label: 'Cores (ciclos)',
+        min: 0, max: 5, step: 1, value: 0,
+        apply: (params, amount, progress) => ({
+            paletteShift: amount * progress
+        })
+    }
+};
+
+/**
+ * Oscilação em torno do valor inicial: senoide em loop, rampa de 0 a 1 sem loop
+ * @param {number} progress - Progresso da animação (0-1)
+ * @param {boolean} loop - Se a animação emenda o fim no início
+ * @returns {number} Fator (-1 a 1 em loop, 0 a 1 sem loop)
+ */
+function animationSwing(progress, loop) {
+    return loop ? Math.sin(progress * Math.PI * 2) : progress;
+}
+
+/**
+ * Ida e volta a partir do valor inicial: 0 → 1 → 0 em loop, rampa de 0 a 1 sem loop
+ * @param {number} progress - Progresso da animação (0-1)
+ * @param {boolean} loop - Se a animação emenda o fim no início
+ * @returns {number} Fator (0-1)
+ */
+function animationPulse(progress, loop) {
+    return loop ? (1 - Math.cos(progress * Math.PI * 2)) / 2 : progress;
+}
+
+/**
+ * Configurações padrão da animação (mesmos valores iniciais do painel)
+ * @returns {object} Configurações { duration, fps, loop, blendSeed, tracks }
+ */
+function getAnimationDefaultSettings() {
+    const tracks = {};
+    Object.keys(ANIMATION_TRACKS).forEach(key => {
+        tracks[key] = ANIMATION_TRACKS[key].value;
+    });
+
+    return {
+        duration: 4,
+        fps: 24,
+        loop: true,
+        blendSeed: 54321,
+        tracks
+    };
+}
+
+/**
+ * Número de quadros da animação
+ * @param {object} settings - Configurações (duration em segundos, fps)
+ * @returns {number} Quadros (pelo menos 1)
+ */
+function getAnimationFrameCount(settings) {
+    return Math.max(1, Math.round(settings.duration * settings.fps));
+}
+
+/**
+ * Progresso de um quadro
+ * Em loop o último quadro para um passo antes do fim, porque o fim é o próprio primeiro quadro
+ * @param {number} frame - Índice do quadro (0 = primeiro)
+ * @param {number} count - Número de quadros
+ * @param {boolean} loop - Se a animação emenda o fim no início
+ * @returns {number} Progresso (0-1)
+ */
+function getAnimationProgress(frame, count, loop) {
+    if (loop) return frame / count;
+    return count > 1 ? frame / (count - 1) : 0;
+}
+
+/**
+ * Parâmetros de geração de um quadro
+ * @param {object} params - Parâmetros de geração da arte (quadro inicial)
+ * @param {object} settings - Configurações da animação (ver getAnimationDefaultSettings)
+ * @param {number} progress - Progresso da animação (0-1)
+ * @returns {object} Parâmetros do quadro
+ */
+function getAnimationFrameParams(params, settings, progress) {
+    const frame = { ...params };
+
+    Object.entries(ANIMATION_TRACKS).forEach(([key, track]) => {
+        const amount = settings.tracks[key] || 0;
+        if (amount) Object.assign(frame, track.apply(params, amount, progress, settings));
+    });
+
+    return frame;
+}
+
+/**
+ * Monta um quadro da animação
+ * Os IDs recebem o prefixo "fN-" para não colidirem entre quadros
+ * @param {object} params - Parâmetros de geração da arte
+ * @param {object} settings - Configurações da animação (ver getAnimationDefaultSettings)
+ * @param {number} index - Índice do quadro
+ * @param {object} options - Opções de renderização (ver buildArtwork)
+ * @returns {SvgDocument} Documento SVG do quadro
+ */
+function buildAnimationFrame(params, settings, index, options = {}) {
+    const count = getAnimationFrameCount(settings);
+    const frameParams = getAnimationFrameParams(params, settings, getAnimationProgress(index, count, settings.loop));
+    return buildArtwork(frameParams, { ...options, guides: false }).prefixIds(`f${index}-`);
+}
+
+/**
+ * Monta um SVG animado autocontido: cada quadro é um grupo exibido na sua fatia da duração
+ * por uma animação SMIL discreta (sem scripts nem arquivos externos)
+ * @param {object} params - Parâmetros de geração da arte
+ * @param {object} settings - Configurações da animação (ver getAnimationDefaultSettings)
+ * @param {object} options - Opções de renderização (ver buildArtwork)
+ * @param {Array<SvgDocument>} options.frames - Quadros já montados com buildAnimationFrame(); sem eles, são montados aqui
+ * @returns {SvgDocument} Documento SVG animado
+ */
+function buildAnimatedArtwork(params, settings, options = {}) {
+    const { id = 'chaos-svg', frames } = options;
+    const count = getAnimationFrameCount(settings);
+    const duration = Math.round(count / settings.fps * 1000) / 1000;
+    const keyTimes = [];
+    for (let f = 0; f < count; f++) {
+        keyTimes.push(Math.round(f / count * 10000) / 10000);
+    }
+
+    const svg = new SvgDocument(SVG_WIDTH, SVG_HEIGHT);
+
+    for (let f = 0; f < count; f++) {
+        const frame = frames ? frames[f] : buildAnimationFrame(params, settings, f, options);
+
+        // Tamanho e viewBox do papel vêm do primeiro quadro (iguais em todos)
+        if (f === 0) {
+            svg.attr({ ...frame.attrs, id });
+        }
+
+        const group = svg.element('g', { id: `frame-${f}`, display: f === 0 ? 'inline' : 'none' });
+        frame.children.slice().forEach(child => group.add(child));
+
+        if (count > 1) {
+            group.element('animate', {
+                attributeName: 'display',
+                values: keyTimes.map((time, index) => (index === f ? 'inline' : 'none')).join(';'),
+                keyTimes: keyTimes.join(';'),
+                dur: `${duration}s`,
+                calcMode: 'discrete',
+                repeatCount: 'indefinite'
+            });
+        }
+    }
+
+    return svg;
+}
+
+/**
+ * Renderiza o SVG animado como string
+ * @param {object} params - Parâmetros de geração da arte
+ * @param {object} settings - Configurações da animação
+ * @param {object} options - Opções de renderização (ver buildArtwork)
+ * @returns {string} Markup SVG completo
+ */
+function renderAnimatedArtwork(params, settings, options = {}) {
+    return buildAnimatedArtwork(params, settings, options).toString();
+}
@@ -79,7 +79,32 @@ const CONFIG = {
     // Probabilidades
     probability: {
         noiseEnabled: 0.7,  // 70% de chance
-        shadowEnabled: 0.7  // 70% de chance
+        shadowEnabled: 0.7, // 70% de chance
+        warpModeChange: 0.3 // 30% de chance de outro modo de distorção no lugar do senoidal
+    },
+    // Presets salvos pelo usuário
+    presets: {
+        storageKey: 'paperCutForms.presets',
+        maxUserPresets: 50
+    },
+    // Histórico de undo/redo
+    history: {
+        maxSize: 50,
+        coalesceDelay: 400 // ms sem mudanças para fechar uma entrada (arrastes de slider)
+    },
+    // Gradientes com ruído calculados em Web Workers (gradient-jobs.js)
+    gradients: {
+        maxWorkers: 4,  // Limite de workers simultâneos
+        cacheSize: 120  // Imagens de padrão guardadas para reuso (camadas × variações recentes)
+    },
+    // Exportação raster (PNG/JPEG/WebP)
+    export: {
+        maxCanvasSize: 16384, // Limite de lado do canvas nos navegadores atuais
+        quality: 0.92         // Qualidade de JPEG/WebP
+    },
+    // Exportação para corte (laser / plotter de recorte)
+    cut: {
+        marginMm: 10 // Margem da folha para marcas de registro e numeração
     }
 };
 
@@ -95,17 +120,28 @@ const controls = {};
 function initControlsCache() {
     const controlIds = [
         'shape', 'frequency', 'scale', 'chaosY', 'chaosX', 'rotate', 'seed',
-        'color1A', 'color1B', 'color2A', 'color2B', 'textureEnabled', 'textureIntensity',
+        'paletteStopColor', 'paletteStopColorB', 'paletteReverse', 'paletteFile', 'paletteExportFormat',
+        'paletteImage', 'paletteImageMethod', 'paletteImageCount',
+        'textureEnabled', 'textureIntensity',
         'textureScale', 'textureOctaves', 'shadowEnabled', 'shadowOffsetX',
         'shadowOffsetY', 'shadowBlur', 'shadowSize', 'shadowColor',
-        'gradientEnabled'
+        'gradientEnabled', 'gradientType', 'gradientAngle', 'gradientNoise', 'colorSpace', 'layerOpacity', 'opacityMode', 'layerOpacityMin', 'blendMode',
+        'recipeSeed', 'presetSelect', 'undoButton', 'redoButton',
+        'rasterSize', 'rasterCustomSize', 'rasterFormat', 'rasterBackground',
+        'rasterBackgroundColor', 'rasterExportButton', 'rasterProgressLabel',
+        'cutWidth', 'cutKerf', 'cutFormat',
+        'animationDuration', 'animationFps', 'animationLoop', 'animationBlendSeed', 'animationPlayButton',
+        'animationFramesButton', 'animationSvgButton', 'animationProgress', 'animationProgressLabel',
+        'artboardSize', 'artboardOrientation', 'artboardUnit', 'artboardWidth',
+        'artboardHeight', 'bleed', 'safeMargin', 'showGuides'
     ];
 
     const valueDisplayIds = [
         'frequencyValue', 'scaleValue', 'chaosYValue', 'chaosXValue',
         'rotateValue', 'textureIntensityValue', 'textureScaleValue',
         'textureOctavesValue', 'shadowOffsetXValue', 'shadowOffsetYValue',
-        'shadowBlurValue', 'shadowSizeValue'
+        'shadowBlurValue', 'shadowSizeValue', 'gradientAngleValue', 'gradientNoiseValue',
+        'layerOpacityValue', 'layerOpacityMinValue'
     ];
 
     controlIds.forEach(id => {
@@ -122,20 +158,32 @@ function initControlsCache() {
  */
 function updateColorBVisibility() {
     const gradientEnabled = controls.gradientEnabled.checked;
-    const color1BGroup = document.getElementById('color1B-group');
-    const color2BGroup = document.getElementById('color2B-group');
+    const colorBGroup = document.getElementById('paletteStopColorB-group');
 
-    if (color1BGroup && color2BGroup) {
-        if (gradientEnabled) {
-            color1BGroup.classList.remove('hidden');
-            color2BGroup.classList.remove('hidden');
-        } else {
-            color1BGroup.classList.add('hidden');
-            color2BGroup.classList.add('hidden');
-        }
+    if (colorBGroup) {
+        colorBGroup.classList.toggle('hidden', !gradientEnabled);
     }
 }
 
+/**
+ * Mostra o tipo de gradiente com os gradientes ativos, e o ângulo e o ruído só nos tipos vetoriais que os usam
+ */
+function updateGradientControls() {
+    const gradientEnabled = controls.gradientEnabled.checked;
+    const type = controls.gradientType.value;
+
+    document.getElementById('gradientType-group').classList.toggle('hidden', !gradientEnabled);
+    document.getElementById('gradientAngle-group').classList.toggle('hidden', !gradientEnabled || (type !== 'linear' && type !== 'conic'));
+    document.getElementById('gradientNoise-group').classList.toggle('hidden', !gradientEnabled || type === 'noise');
+}
+
+/**
+ * Mostra a opacidade do extremo esmaecido apenas com uma rampa de opacidade ativa
+ */
+function updateOpacityControls() {
+    document.getElementById('layerOpacityMin-group').classList.toggle('hidden', controls.opacityMode.value === 'uniform');
+}
+
 /**
  * Obtém os valores atuais dos controles
  * @returns {object} Objeto com todos os parâmetros de geração
@@ -149,10 +197,8 @@ function getControlValues() {
         chaosX: parseFloat(controls.chaosX.value),
         maxRotate: parseInt(controls.rotate.value),
         seed: parseInt(controls.seed.value),
-        color1A: controls.color1A.value,
-        color1B: controls.color1B.value,
-        color2A: controls.color2A.value,
-        color2B: controls.color2B.value,
+        palette: getPaletteStops(),
+        paletteReverse: controls.paletteReverse.checked,
         textureEnabled: controls.textureEnabled.checked,
         textureIntensity: parseInt(controls.textureIntensity.value),
         textureScale: parseInt(controls.textureScale.value),
@@ -163,70 +209,184 @@ function getControlValues() {
         shadowBlur: parseFloat(controls.shadowBlur.value),
         shadowSize: parseFloat(controls.shadowSize.value),
         shadowColor: controls.shadowColor.value,
-        gradientEnabled: controls.gradientEnabled.checked
+        gradientEnabled: controls.gradientEnabled.checked,
+        gradientType: controls.gradientType.value,
+        gradientAngle: parseInt(controls.gradientAngle.value),
+        gradientNoise: parseInt(controls.gradientNoise.value),
+        colorSpace: controls.colorSpace.value,
+        layerOpacity: parseInt(controls.layerOpacity.value),
+        opacityMode: controls.opacityMode.value,
+        layerOpacityMin: parseInt(controls.layerOpacityMin.value),
+        blendMode: controls.blendMode.value,
+        artboardSize: controls.artboardSize.value,
+        artboardOrientation: controls.artboardOrientation.value,
+        artboardUnit: controls.artboardUnit.value,
+        artboardWidth: parseFloat(controls.artboardWidth.value),
+        artboardHeight: parseFloat(controls.artboardHeight.value),
+        bleed: parseFloat(controls.bleed.value) || 0,
+        safeMargin: parseFloat(controls.safeMargin.value) || 0,
+        ...getShapeControlValues(),
+        ...getWarpControlValues(),
+        ...getEasingControlValues(),
+        layerOverrides: getLayerOverrides()
     };
 }
 
+/**
+ * Formato de impressão atual (mantido ao aplicar presets e receitas, que definem apenas o estilo)
+ * @returns {object} Parâmetros de ARTBOARD_PARAM_KEYS com os valores dos controles
+ */
+function getArtboardControlValues() {
+    const current = getControlValues();
+    const artboard = {};
+    ARTBOARD_PARAM_KEYS.forEach(key => {
+        artboard[key] = current[key];
+    });
+    return artboard;
+}
+
+/**
+ * Mapeia cada parâmetro de geração para o ID do controle correspondente
+ * Parâmetros ausentes usam o mesmo nome como ID
+ */
+const PARAM_CONTROL_IDS = {
+    selectedShape: 'shape',
+    scaleConstant: 'scale',
+    maxRotate: 'rotate'
+};
+
+/**
+ * Aplica parâmetros de geração aos controles (inverso de getControlValues)
+ * Parâmetros desconhecidos são ignorados; os ausentes mantêm o valor atual
+ * @param {object} params - Parâmetros no formato de getControlValues()
+ */
+function setControlValues(params) {
+    Object.keys(params).forEach(key => {
+        const control = controls[PARAM_CONTROL_IDS[key] || key];
+        if (!control || params[key] === undefined) return;
+
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(params[key]);
+        } else {
+            control.value = params[key];
+        }
+    });
+
+    applyPaletteParams(params);
+    applyLayerOverridesParams(params);
+    updateColorBVisibility();
+    updateGradientControls();
+    updateOpacityControls();
+    updateArtboardControls();
+    updateShapeControls();
+    updateWarpControls();
+    updateEasingControls();
+    updateValues();
+}
+
 /**
  * Gera a forma com base nos valores atuais dos controles
  */
 function generate() {
     const params = getControlValues();
     generateShapes(params);
+    updateLayerEditor(params); // Lista de camadas, campos e destaque no canvas
+    scheduleUrlStateUpdate(params);
+    recordHistory(params);
 }
 
 /**
  * Gera uma nova seed aleatória
  */
 function generateNewSeed() {
-    controls.seed.value = Math.floor(Math.random() * 999999);
+    flushHistory();
+    controls.seed.value = randomSeed();
     generate();
+    flushHistory();
 }
 
 /**
- * Gera valores aleatórios para todos os controles
+ * Gera o conjunto completo de parâmetros de uma receita
+ * Toda escolha vem do gerador da seed e os parâmetros não sorteados voltam a DEFAULT_PARAMS
+ * (incluindo os ajustes por camada), então a mesma receita reproduz a mesma arte em qualquer estado da página
+ * (a ordem dos sorteios faz parte da receita: não reordenar)
+ * @param {number} recipeSeed - Seed da receita
+ * @returns {object} Parâmetros no formato de getControlValues() (o formato de impressão atual é mantido)
  */
-function randomize() {
+function createRecipeParams(recipeSeed) {
+    const rng = createRandom(recipeSeed);
+    const pick = (min, max, float = false) => random(min, max, float, rng);
+
     // Forma aleatória
     const shapes = ['circle', 'square', 'triangle', 'hexagon'];
-    controls.shape.value = shapes[random(0, shapes.length)];
-
-    // Valores aleatórios para sliders usando CONFIG
-    controls.frequency.value = random(CONFIG.frequency.randomMin, CONFIG.frequency.randomMax);
-    controls.scale.value = random(CONFIG.scale.randomMin, CONFIG.scale.randomMax);
-    controls.chaosY.value = random(CONFIG.chaos.randomMin, CONFIG.chaos.randomMax);
-    controls.chaosX.value = random(CONFIG.chaos.randomMin, CONFIG.chaos.randomMax);
-    controls.rotate.value = random(CONFIG.rotation.randomMin, CONFIG.rotation.randomMax);
-
-    // Valores aleatórios para textura usando CONFIG
-    controls.textureEnabled.checked = Math.random() > (1 - CONFIG.probability.noiseEnabled);
-    controls.textureIntensity.value = random(CONFIG.noise.intensity.randomMin, CONFIG.noise.intensity.randomMax);
-    controls.textureScale.value = random(CONFIG.noise.scale.randomMin, CONFIG.noise.scale.randomMax);
-    controls.textureOctaves.value = random(CONFIG.noise.octaves.randomMin, CONFIG.noise.octaves.randomMax);
-
-    // Valores aleatórios para inner shadow usando CONFIG
-    controls.shadowEnabled.checked = Math.random() > (1 - CONFIG.probability.shadowEnabled);
-    controls.shadowOffsetX.value = random(CONFIG.shadow.offset.randomMin, CONFIG.shadow.offset.randomMax);
-    controls.shadowOffsetY.value = random(CONFIG.shadow.offset.randomMin, CONFIG.shadow.offset.randomMax);
-    controls.shadowBlur.value = random(CONFIG.shadow.blur.randomMin, CONFIG.shadow.blur.randomMax);
-    controls.shadowSize.value = random(CONFIG.shadow.size.randomMin, CONFIG.shadow.size.randomMax, true);
-    const shadowHue = random(0, 360);
-    controls.shadowColor.value = hslToHex(shadowHue, random(20, 80), random(10, 40));
+    const params = {
+        selectedShape: shapes[pick(0, shapes.length)],
+
+        // Valores aleatórios para sliders usando CONFIG
+        frequency: pick(CONFIG.frequency.randomMin, CONFIG.frequency.randomMax),
+        scaleConstant: pick(CONFIG.scale.randomMin, CONFIG.scale.randomMax),
+        chaosY: pick(CONFIG.chaos.randomMin, CONFIG.chaos.randomMax),
+        chaosX: pick(CONFIG.chaos.randomMin, CONFIG.chaos.randomMax),
+        maxRotate: pick(CONFIG.rotation.randomMin, CONFIG.rotation.randomMax),
+        seed: pick(0, 999999),
+
+        // Valores aleatórios para textura usando CONFIG
+        textureEnabled: rng() > (1 - CONFIG.probability.noiseEnabled),
+        textureIntensity: pick(CONFIG.noise.intensity.randomMin, CONFIG.noise.intensity.randomMax),
+        textureScale: pick(CONFIG.noise.scale.randomMin, CONFIG.noise.scale.randomMax),
+        textureOctaves: pick(CONFIG.noise.octaves.randomMin, CONFIG.noise.octaves.randomMax),
+
+        // Valores aleatórios para inner shadow usando CONFIG
+        shadowEnabled: rng() > (1 - CONFIG.probability.shadowEnabled),
+        shadowOffsetX: pick(CONFIG.shadow.offset.randomMin, CONFIG.shadow.offset.randomMax),
+        shadowOffsetY: pick(CONFIG.shadow.offset.randomMin, CONFIG.shadow.offset.randomMax),
+        shadowBlur: pick(CONFIG.shadow.blur.randomMin, CONFIG.shadow.blur.randomMax),
+        shadowSize: pick(CONFIG.shadow.size.randomMin, CONFIG.shadow.size.randomMax, true)
+    };
+
+    // Arredondar ao passo do slider para que controles e parâmetros coincidam
+    params.shadowSize = Math.round(params.shadowSize * 10) / 10;
+
+    const shadowHue = pick(0, 360);
+    params.shadowColor = hslToHex(shadowHue, pick(20, 80), pick(10, 40));
 
     // Cores complementares aleatórias (4 cores)
-    const hue1A = random(0, 360);
-    const hue1B = (hue1A + random(30, 90)) % 360; // Cores iniciais próximas
-    const hue2A = (hue1A + random(120, 240)) % 360; // Cores finais complementares
-    const hue2B = (hue2A + random(30, 90)) % 360;
+    const hue1A = pick(0, 360);
+    const hue1B = (hue1A + pick(30, 90)) % 360; // Cores iniciais próximas
+    const hue2A = (hue1A + pick(120, 240)) % 360; // Cores finais complementares
+    const hue2B = (hue2A + pick(30, 90)) % 360;
 
-    controls.color1A.value = hslToHex(hue1A, 70, 60);
-    controls.color1B.value = hslToHex(hue1B, 70, 60);
-    controls.color2A.value = hslToHex(hue2A, 70, 60);
-    controls.color2B.value = hslToHex(hue2B, 70, 60);
+    params.color1A = hslToHex(hue1A, 70, 60);
+    params.color1B = hslToHex(hue1B, 70, 60);
+    params.color2A = hslToHex(hue2A, 70, 60);
+    params.color2B = hslToHex(hue2B, 70, 60);
 
-    // Atualizar displays e gerar
-    updateValues();
+    // Modo de distorção (os parâmetros do modo ficam nos valores padrão)
+    const warpModes = Object.keys(WARP_MODES).filter(mode => mode !== 'sine');
+    params.warpMode = rng() > (1 - CONFIG.probability.warpModeChange) ? warpModes[pick(0, warpModes.length)] : 'sine';
+
+    return { ...DEFAULT_PARAMS, ...getArtboardControlValues(), ...params };
+}
+
+/**
+ * Aplica a receita digitada, regenerando todos os parâmetros de estilo
+ */
+function applyRecipeSeed() {
+    const recipeSeed = parseInt(controls.recipeSeed.value, 10);
+    if (isNaN(recipeSeed)) return;
+
+    flushHistory();
+    setControlValues(createRecipeParams(recipeSeed));
     generate();
+    flushHistory();
+}
+
+/**
+ * Sorteia uma nova receita e aplica todos os seus parâmetros
+ */
+function randomize() {
+    controls.recipeSeed.value = randomSeed();
+    applyRecipeSeed();
 }
 
 /**
@@ -245,6 +405,10 @@ function updateValues() {
     controls.shadowOffsetYValue.textContent = controls.shadowOffsetY.value;
     controls.shadowBlurValue.textContent = controls.shadowBlur.value;
     controls.shadowSizeValue.textContent = controls.shadowSize.value;
+    controls.gradientAngleValue.textContent = controls.gradientAngle.value;
+    controls.gradientNoiseValue.textContent = controls.gradientNoise.value;
+    controls.layerOpacityValue.textContent = controls.layerOpacity.value;
+    controls.layerOpacityMinValue.textContent = controls.layerOpacityMin.value;
 }
 
 /**
@@ -253,13 +417,20 @@ function updateValues() {
 function initEventListeners() {
     // Atualizar valores exibidos quando sliders mudarem
     ['frequency', 'scale', 'chaosY', 'chaosX', 'rotate', 'textureIntensity', 'textureScale', 'textureOctaves',
-     'shadowOffsetX', 'shadowOffsetY', 'shadowBlur', 'shadowSize'].forEach(id => {
+     'shadowOffsetX', 'shadowOffsetY', 'shadowBlur', 'shadowSize', 'gradientAngle', 'gradientNoise',
+     'layerOpacity', 'layerOpacityMin'].forEach(id => {
         controls[id].addEventListener('input', updateValues);
     });
 
     // Gradiente e textura agora funcionam independentemente
     controls.gradientEnabled.addEventListener('change', function() {
         updateColorBVisibility();
+        updateGradientControls();
+        generate();
+    });
+
+    controls.gradientType.addEventListener('change', function() {
+        updateGradientControls();
         generate();
     });
 
@@ -267,9 +438,19 @@ function initEventListeners() {
         generate();
     });
 
+    controls.opacityMode.addEventListener('change', function() {
+        updateOpacityControls();
+        generate();
+    });
+
+    // Restaurar estado quando um link compartilhado for colado na mesma aba
+    window.addEventListener('hashchange', function() {
+        if (restoreUrlState()) generate();
+    });
+
     // Regenerar quando qualquer controle mudar
-    ['shape', 'frequency', 'scale', 'chaosY', 'chaosX', 'rotate', 'seed', 'color1A', 'color1B', 'color2A', 'color2B',
-     'textureIntensity', 'textureScale', 'textureOctaves',
+    ['shape', 'frequency', 'scale', 'chaosY', 'chaosX', 'rotate', 'seed', 'paletteReverse',
+     'colorSpace', 'gradientAngle', 'gradientNoise', 'layerOpacity', 'layerOpacityMin', 'blendMode', 'textureIntensity', 'textureScale', 'textureOctaves',
      'shadowEnabled', 'shadowOffsetX', 'shadowOffsetY', 'shadowBlur', 'shadowSize', 'shadowColor'].forEach(id => {
         controls[id].addEventListener('input', generate);
     });
@@ -280,8 +461,26 @@ function initEventListeners() {
  */
 function init() {
     initControlsCache();
+    renderShapeControls(); // Formas paramétricas (SHAPE_GENERATORS) e importada
+    renderWarpControls(); // Seletores e sliders dos modos de distorção (WARP_MODES)
+    renderEasingControls(); // Curvas de tamanho, rotação e cor (EASING_CHANNELS)
+    cacheShapeControls();
+    cacheWarpControls();
+    cacheEasingControls();
     initEventListeners();
+    initPresets();
+    initHistory();
+    initRasterExport();
+    initArtboard();
+    initShapeControls();
+    initWarpControls();
+    initEasingControls();
+    initPaletteEditor();
+    initLayerEditor();
+    initAnimationControls();
+    restoreUrlState(); // Restaurar parâmetros de um link compartilhado
     updateColorBVisibility(); // Configurar estado inicial das cores B
+    updateGradientControls();
     initSVG();
     generate();
 }
@@ -0,0 +1,66 @@
+/**
+ * Paper Cut Forms Generator - Artboard Controls
+ * Painel de formato de impressão: tamanho do papel, unidade, sangria, área segura e guias
+ * O cálculo das dimensões fica em artboard.js, sem DOM
+ */
+
+/**
+ * Mostra apenas os campos que fazem sentido para o tamanho escolhido
+ * Também memoriza a unidade atual, base da conversão em convertArtboardUnit()
+ */
+function updateArtboardControls() {
+    const size = controls.artboardSize.value;
+    const physical = size !== 'screen';
+
+    controls.artboardUnit.dataset.previous = controls.artboardUnit.value;
+
+    document.getElementById('artboardOrientation-group')
+        .classList.toggle('hidden', !ARTBOARD_PRESETS[size] || size === 'square30');
+    document.getElementById('artboardCustom-group')
+        .classList.toggle('hidden', size !== 'custom');
+    document.getElementById('artboardPhysical-group')
+        .classList.toggle('hidden', !physical);
+    // Com tamanho físico, os arquivos de corte seguem o papel (ver buildCutSheets)
+    document.getElementById('cutWidth-group')
+        .classList.toggle('hidden', physical);
+}
+
+/**
+ * Converte as medidas digitadas quando a unidade muda, mantendo o tamanho físico
+ */
+function convertArtboardUnit() {
+    const from = controls.artboardUnit.dataset.previous || 'mm';
+    const to = controls.artboardUnit.value;
+
+    ['artboardWidth', 'artboardHeight', 'bleed', 'safeMargin'].forEach(id => {
+        const value = parseFloat(controls[id].value);
+        if (!isNaN(value)) {
+            controls[id].value = roundUnit(convertUnit(value, from, to));
+        }
+    });
+
+    controls.artboardUnit.dataset.previous = to;
+}
+
+/**
+ * Inicializa os controles de artboard
+ */
+function initArtboard() {
+    controls.artboardSize.addEventListener('change', function() {
+        updateArtboardControls();
+        generate();
+    });
+
+    controls.artboardUnit.addEventListener('change', function() {
+        convertArtboardUnit();
+        generate();
+    });
+
+    ['artboardOrientation', 'artboardWidth', 'artboardHeight', 'bleed', 'safeMargin'].forEach(id => {
+        controls[id].addEventListener('input', generate);
+    });
+
+    controls.showGuides.addEventListener('change', generate);
+
+    updateArtboardControls();
+}
@@ -0,0 +1,189 @@
+/**
+ * Paper Cut Forms Generator - Artboard
+ * Tamanho físico da arte (mm, cm ou polegadas), sangria e área segura
+ * A arte continua sendo gerada no espaço de desenho de 800 × 800 (SVG_WIDTH/SVG_HEIGHT),
+ * que é centralizado no artboard e ocupa o lado menor do papel
+ */
+
+// Milímetros por unidade
+const ARTBOARD_UNITS = {
+    mm: 1,
+    cm: 10,
+    in: 25.4
+};
+
+// Tamanhos de papel em mm (retrato); 'screen' mantém o SVG sem unidade física
+const ARTBOARD_PRESETS = {
+    screen: null,
+    a4: { width: 210, height: 297 },
+    a3: { width: 297, height: 420 },
+    letter: { width: 215.9, height: 279.4 },
+    square30: { width: 300, height: 300 },
+    custom: null
+};
+
+// Parâmetros de saída (não fazem parte do estilo da arte)
+const ARTBOARD_PARAM_KEYS = [
+    'artboardSize', 'artboardOrientation', 'artboardUnit',
+    'artboardWidth', 'artboardHeight', 'bleed', 'safeMargin'
+];
+
+/**
+ * Arredonda medidas físicas para exibição e atributos (3 casas)
+ * @param {number} value - Valor
+ * @returns {number} Valor arredondado
+ */
+function roundUnit(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Converte uma medida entre unidades físicas
+ * @param {number} value - Valor na unidade de origem
+ * @param {string} from - Unidade de origem (mm, cm, in)
+ * @param {string} to - Unidade de destino (mm, cm, in)
+ * @returns {number} Valor convertido
+ */
+function convertUnit(value, from, to) {
+    return value * ARTBOARD_UNITS[from] / ARTBOARD_UNITS[to];
+}
+
+/**
+ * Resolve o artboard a partir dos parâmetros de geração
+ * Um tamanho personalizado inválido (campo vazio, zero ou negativo) cai no formato Tela;
+ * sangria e margem inválidas valem 0
+ * @param {object} params - Parâmetros de geração
+ * @param {string} params.artboardSize - screen, a4, a3, letter, square30 ou custom
+ * @param {string} params.artboardOrientation - portrait ou landscape (tamanhos de papel)
+ * @param {string} params.artboardUnit - Unidade das medidas (mm, cm, in)
+ * @param {number} params.artboardWidth - Largura do papel personalizado
+ * @param {number} params.artboardHeight - Altura do papel personalizado
+ * @param {number} params.bleed - Sangria além da linha de corte
+ * @param {number} params.safeMargin - Margem da área segura, para dentro da linha de corte
+ * @returns {object} Artboard em unidades do SVG { width, height, bleed, safeMargin, offsetX, offsetY, physical }
+ *                  (physical: { unit, width, height, mmPerUnit } ou null no formato Tela)
+ */
+function resolveArtboard(params) {
+    const {
+        artboardSize = 'screen',
+        artboardOrientation = 'portrait',
+        artboardUnit = 'mm',
+        artboardWidth = 210,
+        artboardHeight = 297,
+        bleed = 0,
+        safeMargin = 0
+    } = params;
+
+    const isValidSize = value => Number.isFinite(value) && value > 0;
+    const nonNegative = value => Number.isFinite(value) ? Math.max(0, value) : 0;
+    const invalidCustom = !ARTBOARD_PRESETS[artboardSize] && !(isValidSize(artboardWidth) && isValidSize(artboardHeight));
+
+    if (artboardSize === 'screen' || invalidCustom || !(artboardUnit in ARTBOARD_UNITS)) {
+        return {
+            width: SVG_WIDTH,
+            height: SVG_HEIGHT,
+            bleed: 0,
+            safeMargin: 0,
+            offsetX: 0,
+            offsetY: 0,
+            physical: null
+        };
+    }
+
+    const unitMm = ARTBOARD_UNITS[artboardUnit];
+    const preset = ARTBOARD_PRESETS[artboardSize];
+
+    let widthMm = preset ? preset.width : artboardWidth * unitMm;
+    let heightMm = preset ? preset.height : artboardHeight * unitMm;
+
+    // Tamanhos de papel são cadastrados em retrato
+    if (preset && artboardOrientation === 'landscape') {
+        [widthMm, heightMm] = [heightMm, widthMm];
+    }
+
+    // O espaço de desenho (800) ocupa o lado menor do papel
+    const scale = Math.min(SVG_WIDTH, SVG_HEIGHT) / Math.min(widthMm, heightMm);
+    const width = widthMm * scale;
+    const height = heightMm * scale;
+    const bleedMm = nonNegative(bleed) * unitMm;
+
+    return {
+        width,
+        height,
+        bleed: bleedMm * scale,
+        safeMargin: nonNegative(safeMargin) * unitMm * scale,
+        offsetX: (width - SVG_WIDTH) / 2,
+        offsetY: (height - SVG_HEIGHT) / 2,
+        physical: {
+            unit: artboardUnit,
+            width: (widthMm + bleedMm * 2) / unitMm,
+            height: (heightMm + bleedMm * 2) / unitMm,
+            mmPerUnit: 1 / scale
+        }
+    };
+}
+
+/**
+ * Ajusta viewBox e dimensões físicas do documento conforme o artboard
+ * A sangria fica fora do retângulo de corte (0, 0, width, height)
+ * @param {SvgDocument} svg - Documento SVG
+ * @param {object} artboard - Artboard retornado por resolveArtboard()
+ */
+function applyArtboard(svg, artboard) {
+    const { width, height, bleed, physical } = artboard;
+
+    svg.attr('viewBox', [-bleed, -bleed, width + bleed * 2, height + bleed * 2].map(roundUnit).join(' '));
+
+    if (physical) {
+        svg.attr({
+            width: `${roundUnit(physical.width)}${physical.unit}`,
+            height: `${roundUnit(physical.height)}${physical.unit}`
+        });
+    }
+}
+
+/**
+ * Desenha as guias de sangria, linha de corte e área segura (apenas pré-visualização)
+ * @param {SvgDocument} svg - Documento SVG
+ * @param {object} artboard - Artboard retornado por resolveArtboard()
+ */
+function createArtboardGuides(svg, artboard) {
+    const { width, height, bleed, safeMargin, physical } = artboard;
+    if (!physical) return;
+
+    const guides = svg.element('g', {
+        id: 'artboard-guides',
+        fill: 'none',
+        'pointer-events': 'none'
+    });
+
+    const line = {
+        'stroke-width': 1,
+        'stroke-dasharray': '6 4',
+        'vector-effect': 'non-scaling-stroke'
+    };
+
+    // Faixa de sangria: retângulo externo menos o retângulo de corte
+    if (bleed > 0) {
+        guides.element('path', {
+            d: `M ${-bleed} ${-bleed} H ${width + bleed} V ${height + bleed} H ${-bleed} Z ` +
+               `M 0 0 V ${height} H ${width} V 0 Z`,
+            fill: '#e74c3c',
+            'fill-opacity': 0.12,
+            'fill-rule': 'evenodd'
+        });
+    }
+
+    guides.element('rect', { x: 0, y: 0, width, height, stroke: '#e74c3c', ...line });
+
+    if (safeMargin > 0 && safeMargin * 2 < Math.min(width, height)) {
+        guides.element('rect', {
+            x: safeMargin,
+            y: safeMargin,
+            width: width - safeMargin * 2,
+            height: height - safeMargin * 2,
+            stroke: '#3498db',
+            ...line
+        });
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Paper Cut Forms Generator - Page Canvas
+ * Renderização da arte no canvas da página e download do SVG
+ */
+
+// Cache de estágios das renderizações da página (ver pipeline.js)
+const pageRenderCache = createRenderCache();
+
+/**
+ * Inicializa o canvas SVG
+ */
+function initSVG() {
+    const wrapper = document.getElementById('canvas-wrapper');
+    wrapper.innerHTML = '';
+}
+
+/**
+ * Gera as formas no canvas da página a partir dos parâmetros fornecidos
+ * A renderização em si é feita por buildArtwork() (render.js), sem DOM, com os estágios
+ * que não mudaram vindos do cache; o SVG da página é atualizado no lugar (patchSvgElement),
+ * então uma troca de cor só altera os atributos de cor
+ * Os bitmaps dos gradientes com ruído chegam depois, calculados em workers (gradient-jobs.js)
+ * @param {object} params - Parâmetros de geração (ver buildArtwork)
+ */
+function generateShapes(params) {
+    const wrapper = document.getElementById('canvas-wrapper');
+
+    beginGradientRender();
+    const svg = buildArtwork(params, {
+        guides: controls.showGuides.checked,
+        resolveImage: resolveGradientImage,
+        cache: pageRenderCache
+    });
+
+    const current = wrapper.firstElementChild;
+    if (current && current.tagName.toLowerCase() === 'svg') {
+        patchSvgElement(current, svg);
+    } else {
+        wrapper.innerHTML = svg.toString();
+    }
+    finishGradientRender();
+}
+
+/**
+ * Clona o SVG da página sem as guias de pré-visualização (sangria e área segura)
+ * nem o destaque da camada selecionada
+ * @param {SVGElement} svgEl - Elemento SVG da página
+ * @returns {SVGElement} Clone pronto para exportação
+ */
+function cloneSVGForExport(svgEl) {
+    const clone = svgEl.cloneNode(true);
+    const guides = clone.querySelector('#artboard-guides');
+    if (guides) guides.remove();
+    clone.querySelectorAll('.layer-selected').forEach(element => element.removeAttribute('class'));
+    return clone;
+}
+
+/**
+ * Exporta o SVG atual para download
+ * Aguarda os gradientes em cálculo para não exportar as prévias
+ */
+async function downloadSVG() {
+    await whenGradientPatternsReady();
+
+    const svgEl = document.getElementById('chaos-svg');
+    if (!svgEl) {
+        console.error('SVG não encontrado');
+        return;
+    }
+
+    const svgData = new XMLSerializer().serializeToString(cloneSVGForExport(svgEl));
+    const blob = new Blob([svgData], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'chaos-shape.svg';
+    a.click();
+
+    URL.revokeObjectURL(url);
+}
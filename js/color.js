@@ -0,0 +1,206 @@
+/**
+ * Paper Cut Forms Generator - Color Spaces
+ * Interpolação de cores em sRGB, RGB linear, OKLab, OKLCH e HSL
+ * Cores trafegam como { r, g, b } em 0-255 (mesmo formato de hexToRgb)
+ */
+
+// Espaços de interpolação disponíveis (chave salva nos parâmetros → nome exibido)
+const COLOR_SPACES = {
+    srgb: 'sRGB',
+    linear: 'RGB Linear',
+    oklab: 'OKLab',
+    oklch: 'OKLCH (matiz mais curto)',
+    'oklch-long': 'OKLCH (matiz mais longo)',
+    hsl: 'HSL'
+};
+
+// Abaixo deste croma (OKLCH) ou saturação (HSL) o matiz é indefinido
+const ACHROMATIC_EPSILON = 1e-4;
+
+/**
+ * Converte um canal sRGB (0-1) para linear
+ * @param {number} value - Canal com gama sRGB
+ * @returns {number} Canal linear
+ */
+function srgbToLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Converte um canal linear (0-1) para sRGB
+ * @param {number} value - Canal linear
+ * @returns {number} Canal com gama sRGB
+ */
+function linearToSrgb(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+}
+
+/**
+ * Converte RGB (0-255) para OKLab
+ * @param {object} rgb - Cor { r, g, b }
+ * @returns {Array<number>} [L, a, b]
+ */
+function rgbToOklab({ r, g, b }) {
+    const [lr, lg, lb] = [r, g, b].map(value => srgbToLinear(value / 255));
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+/**
+ * Converte OKLab para RGB linear (0-1, sem limitar ao gamut)
+ * @param {Array<number>} lab - [L, a, b]
+ * @returns {Array<number>} [r, g, b] lineares
+ */
+function oklabToLinearRgb([L, a, b]) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+/**
+ * Converte RGB (0-255) para HSL
+ * @param {object} rgb - Cor { r, g, b }
+ * @returns {Array<number>} [h (0-360), s (0-1), l (0-1)]
+ */
+function rgbToHsl({ r, g, b }) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    const delta = max - min;
+
+    if (delta === 0) return [0, 0, l];
+
+    const s = delta / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === rn) h = ((gn - bn) / delta) % 6;
+    else if (max === gn) h = (bn - rn) / delta + 2;
+    else h = (rn - gn) / delta + 4;
+
+    return [(h * 60 + 360) % 360, s, l];
+}
+
+/**
+ * Converte HSL para RGB (0-1)
+ * @param {Array<number>} hsl - [h (0-360), s (0-1), l (0-1)]
+ * @returns {Array<number>} [r, g, b] em 0-1
+ */
+function hslToRgbUnit([h, s, l]) {
+    const a = s * Math.min(l, 1 - l);
+    const f = n => {
+        const k = (n + h / 30) % 12;
+        return l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
+    };
+    return [f(0), f(8), f(4)];
+}
+
+/**
+ * Interpola um ângulo de matiz (graus) pelo caminho mais curto ou mais longo
+ * @param {number} h1 - Matiz inicial
+ * @param {number} h2 - Matiz final
+ * @param {number} t - Fator de interpolação (0-1)
+ * @param {boolean} longer - Se true, usa o arco maior
+ * @returns {number} Matiz interpolado (0-360)
+ */
+function interpolateHue(h1, h2, t, longer = false) {
+    let delta = ((h2 - h1) % 360 + 540) % 360 - 180; // -180..180 (mais curto)
+    if (longer && delta !== 0) {
+        delta = delta > 0 ? delta - 360 : delta + 360;
+    }
+    return ((h1 + delta * t) % 360 + 360) % 360;
+}
+
+/**
+ * Converte um canal (0-1) para 0-255 arredondado e limitado
+ * @param {number} value - Canal em 0-1
+ * @returns {number} Canal em 0-255
+ */
+function toByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value * 255)));
+}
+
+/**
+ * Prepara a interpolação entre duas cores em um espaço de cor
+ * As conversões das extremidades são feitas uma única vez, então o misturador pode ser
+ * chamado por pixel (ver computeNoiseGradientPixels)
+ * @param {string} color1 - Cor inicial em hex
+ * @param {string} color2 - Cor final em hex
+ * @param {string} space - Chave de COLOR_SPACES (padrão: srgb)
+ * @returns {function} (t) => cor { r, g, b } em 0-255
+ */
+function createColorMixer(color1, color2, space = 'srgb') {
+    const c1 = hexToRgb(color1);
+    const c2 = hexToRgb(color2);
+    const lerp = (a, b, t) => a + (b - a) * t;
+
+    switch (space) {
+        case 'linear': {
+            const l1 = [c1.r, c1.g, c1.b].map(value => srgbToLinear(value / 255));
+            const l2 = [c2.r, c2.g, c2.b].map(value => srgbToLinear(value / 255));
+            return t => {
+                const [r, g, b] = l1.map((value, i) => toByte(linearToSrgb(lerp(value, l2[i], t))));
+                return { r, g, b };
+            };
+        }
+        case 'oklab':
+        case 'oklch':
+        case 'oklch-long': {
+            const lab1 = rgbToOklab(c1);
+            const lab2 = rgbToOklab(c2);
+            const toRgb = lab => {
+                const [r, g, b] = oklabToLinearRgb(lab).map(value => toByte(linearToSrgb(Math.max(0, Math.min(1, value)))));
+                return { r, g, b };
+            };
+
+            if (space === 'oklab') {
+                return t => toRgb(lab1.map((value, i) => lerp(value, lab2[i], t)));
+            }
+
+            // OKLCH: croma e matiz em coordenadas polares; cinzas herdam o matiz da outra cor
+            const polar = ([L, a, b]) => [L, Math.hypot(a, b), Math.atan2(b, a) * 180 / Math.PI];
+            const [L1, C1, H1] = polar(lab1);
+            const [L2, C2, H2] = polar(lab2);
+            const h1 = C1 < ACHROMATIC_EPSILON ? H2 : H1;
+            const h2 = C2 < ACHROMATIC_EPSILON ? h1 : H2;
+
+            return t => {
+                const L = lerp(L1, L2, t);
+                const C = lerp(C1, C2, t);
+                const h = interpolateHue(h1, h2, t, space === 'oklch-long') * Math.PI / 180;
+                return toRgb([L, C * Math.cos(h), C * Math.sin(h)]);
+            };
+        }
+        case 'hsl': {
+            const [H1, s1, l1] = rgbToHsl(c1);
+            const [H2, s2, l2] = rgbToHsl(c2);
+            const h1 = s1 < ACHROMATIC_EPSILON ? H2 : H1;
+            const h2 = s2 < ACHROMATIC_EPSILON ? h1 : H2;
+
+            return t => {
+                const [r, g, b] = hslToRgbUnit([interpolateHue(h1, h2, t), lerp(s1, s2, t), lerp(l1, l2, t)]).map(toByte);
+                return { r, g, b };
+            };
+        }
+        case 'srgb':
+        default:
+            return t => ({
+                r: Math.round(c1.r + (c2.r - c1.r) * t),
+                g: Math.round(c1.g + (c2.g - c1.g) * t),
+                b: Math.round(c1.b + (c2.b - c1.b) * t)
+            });
+    }
+}
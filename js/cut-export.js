@@ -0,0 +1,255 @@
+/**
+ * Paper Cut Forms Generator - Cut Export
+ * Exporta cada camada distorcida como arquivo de corte (laser / plotter de recorte)
+ * Todas as folhas compartilham o mesmo tamanho e marcas de registro para empilhar na ordem certa
+ */
+
+// Convenção usual de softwares de laser: vermelho = corte, azul = marcação/gravação
+const CUT_STROKE_COLORS = {
+    cut: '#ff0000',
+    marks: '#0000ff',
+    labels: '#0000ff'
+};
+
+// Cores ACI usadas nas camadas DXF (1 = vermelho, 5 = azul)
+const CUT_DXF_LAYERS = {
+    CUT: 1,
+    MARKS: 5,
+    LABELS: 5
+};
+
+/**
+ * Arredonda medidas em mm para 3 casas (resolução de 1 µm)
+ * @param {number} value - Valor em mm
+ * @returns {number} Valor arredondado
+ */
+function roundMm(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Contornos dos clip-paths da pré-visualização, em unidades do SVG
+ * Na página, cada camada é recortada pela anterior reduzida a CLIP_SCALE_FACTOR em torno do centro
+ * da sua caixa (ver getScaledClipTransform e reapplyClipsAfterDistortion)
+ * @param {Array<object>} layers - Camadas de computeLayers()
+ * @returns {Array<Array<Array<Array<number>>>>} Contornos do clip de cada camada
+ */
+function getCutClipPolygons(layers) {
+    return layers.map(layer => {
+        const bbox = getPathBBox(layer.d);
+        const cx = bbox.x + bbox.width / 2;
+        const cy = bbox.y + bbox.height / 2;
+        return flattenPathData(layer.d).map(points => points.map(([x, y]) => [
+            cx + (x - cx) * CLIP_SCALE_FACTOR,
+            cy + (y - cy) * CLIP_SCALE_FACTOR
+        ]));
+    });
+}
+
+/**
+ * Calcula o contorno de corte de cada camada em milímetros
+ * As peças seguem o que a pré-visualização mostra: cada camada é recortada pelo clip da anterior e pelo da maior
+ * @param {object} params - Parâmetros de geração (mesmo formato de getControlValues())
+ * @param {object} options - Opções de produção
+ * @param {number} options.widthMm - Largura física do espaço de desenho (800 unidades) em mm
+ *                                   (padrão: a do formato de impressão; 200 no formato Tela)
+ * @param {number} options.kerfMm - Largura do corte; o contorno é deslocado kerf/2 para fora
+ * @param {number} options.marginMm - Margem da folha em volta das peças (marcas e numeração)
+ * @returns {object} Layout { width, height, marks, sheets } com medidas em mm
+ */
+function buildCutSheets(params, options = {}) {
+    // Com formato de impressão, as peças têm o mesmo tamanho da arte exportada
+    const { physical } = resolveArtboard(params);
+    const {
+        widthMm = physical ? SVG_WIDTH * physical.mmPerUnit : 200,
+        kerfMm = 0.15,
+        marginMm = 10
+    } = options;
+
+    const scale = widthMm / SVG_WIDTH;
+    const layers = computeLayers(params);
+    const clips = getCutClipPolygons(layers);
+
+    // Contornos na posição final (rotação da camada aplicada), em mm
+    const sheets = layers.map((layer, index) => {
+        const outlines = flattenPathData(layer.d).map(points => {
+            const rotated = rotatePoints(points, layer.rotateFactor, SVG_WIDTH / 2, SVG_HEIGHT / 2);
+
+            // Subpaths fechados repetem o primeiro ponto no final
+            const [first, last] = [rotated[0], rotated[rotated.length - 1]];
+            if (rotated.length > 2 && first[0] === last[0] && first[1] === last[1]) rotated.pop();
+
+            return rotated;
+        });
+
+        // Os clips ficam sem a rotação da camada, como no grupo da página
+        const visibleClips = index === 0 ? [] : index === 1 ? [clips[0]] : [clips[index - 1], clips[0]];
+        const polygons = visibleClips.reduce((shape, clip) => intersectShapes(shape, clip), outlines)
+            .map(points => points.map(([x, y]) => [x * scale, y * scale]));
+
+        return {
+            number: index + 1,
+            layer: layer.layer,
+            polylines: polygons.map(points => {
+                // Furos (miolo de letras, formas importadas) ficam dentro de um número ímpar de contornos
+                // e são deslocados para dentro, para que o kerf não coma o papel em volta
+                const depth = polygons.filter(other => other !== points && isPointInPolygon(points[0], other)).length;
+                return offsetPolygon(points, depth % 2 === 1 ? -kerfMm / 2 : kerfMm / 2);
+            })
+        };
+    });
+
+    // Bounding box comum a todas as folhas, para que as marcas de registro coincidam
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    sheets.forEach(sheet => sheet.polylines.forEach(points => points.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    })));
+
+    if (minX === Infinity) {
+        minX = minY = maxX = maxY = 0;
+    }
+
+    const dx = marginMm - minX;
+    const dy = marginMm - minY;
+    sheets.forEach(sheet => {
+        sheet.polylines = sheet.polylines.map(points => points.map(([x, y]) => [x + dx, y + dy]));
+        sheet.label = `Camada ${String(sheet.number).padStart(2, '0')}/${String(sheets.length).padStart(2, '0')}`;
+    });
+
+    const width = maxX - minX + marginMm * 2;
+    const height = maxY - minY + marginMm * 2;
+
+    // Marcas de registro nos quatro cantos, centralizadas na margem
+    const markSize = Math.min(marginMm * 0.6, 6);
+    const inset = marginMm / 2;
+    const marks = [
+        [inset, inset],
+        [width - inset, inset],
+        [width - inset, height - inset],
+        [inset, height - inset]
+    ].map(([x, y]) => ({ x, y, size: markSize }));
+
+    return {
+        width,
+        height,
+        marginMm,
+        marks,
+        sheets
+    };
+}
+
+/**
+ * Serializa uma folha de corte como SVG em milímetros
+ * @param {object} layout - Layout retornado por buildCutSheets()
+ * @param {object} sheet - Folha do layout
+ * @returns {string} Markup SVG
+ */
+function serializeCutSheetSVG(layout, sheet) {
+    const svg = new SvgDocument(roundMm(layout.width), roundMm(layout.height));
+    svg.attr({
+        width: `${roundMm(layout.width)}mm`,
+        height: `${roundMm(layout.height)}mm`
+    });
+
+    const hairline = { fill: 'none', 'stroke-width': 0.1 };
+
+    const cut = svg.element('g', { id: 'cut', stroke: CUT_STROKE_COLORS.cut, ...hairline });
+    sheet.polylines.forEach(points => {
+        cut.element('path', {
+            d: pointsToPathData(points.map(([x, y]) => `${roundMm(x)},${roundMm(y)}`))
+        });
+    });
+
+    const marks = svg.element('g', { id: 'registration', stroke: CUT_STROKE_COLORS.marks, ...hairline });
+    layout.marks.forEach(({ x, y, size }) => {
+        const half = size / 2;
+        marks.element('path', {
+            d: `M ${roundMm(x - half)},${roundMm(y)} L ${roundMm(x + half)},${roundMm(y)} ` +
+               `M ${roundMm(x)},${roundMm(y - half)} L ${roundMm(x)},${roundMm(y + half)}`
+        });
+        marks.element('circle', { cx: roundMm(x), cy: roundMm(y), r: roundMm(size / 4) });
+    });
+
+    const fontSize = Math.min(layout.marginMm * 0.35, 4);
+    svg.element('text', {
+        id: 'label',
+        x: roundMm(layout.marginMm),
+        y: roundMm(layout.height - layout.marginMm / 2 + fontSize / 3),
+        'font-family': 'Arial, sans-serif',
+        'font-size': roundMm(fontSize),
+        fill: CUT_STROKE_COLORS.labels
+    }).text(sheet.label);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + svg.toString();
+}
+
+/**
+ * Serializa uma folha de corte como DXF (R12, em milímetros)
+ * Camadas: CUT (contornos), MARKS (registro) e LABELS (numeração)
+ * @param {object} layout - Layout retornado por buildCutSheets()
+ * @param {object} sheet - Folha do layout
+ * @returns {string} Conteúdo DXF
+ */
+function serializeCutSheetDXF(layout, sheet) {
+    const lines = [];
+    const add = (...pairs) => {
+        for (let i = 0; i < pairs.length; i += 2) {
+            lines.push(String(pairs[i]), String(pairs[i + 1]));
+        }
+    };
+
+    // DXF usa eixo Y para cima
+    const flipY = y => roundMm(layout.height - y);
+
+    // R12 não tem variável de unidade ($INSUNITS surgiu depois): as coordenadas são em mm
+    add(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1009', 0, 'ENDSEC');
+
+    add(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LAYER', 70, Object.keys(CUT_DXF_LAYERS).length);
+    Object.keys(CUT_DXF_LAYERS).forEach(name => {
+        add(0, 'LAYER', 2, name, 70, 0, 62, CUT_DXF_LAYERS[name], 6, 'CONTINUOUS');
+    });
+    add(0, 'ENDTAB', 0, 'ENDSEC');
+
+    add(0, 'SECTION', 2, 'ENTITIES');
+
+    sheet.polylines.forEach(points => {
+        add(0, 'POLYLINE', 8, 'CUT', 66, 1, 10, 0, 20, 0, 30, 0, 70, 1);
+        points.forEach(([x, y]) => add(0, 'VERTEX', 8, 'CUT', 10, roundMm(x), 20, flipY(y), 30, 0));
+        add(0, 'SEQEND', 8, 'CUT');
+    });
+
+    layout.marks.forEach(({ x, y, size }) => {
+        const half = size / 2;
+        add(0, 'LINE', 8, 'MARKS', 10, roundMm(x - half), 20, flipY(y), 30, 0, 11, roundMm(x + half), 21, flipY(y), 31, 0);
+        add(0, 'LINE', 8, 'MARKS', 10, roundMm(x), 20, flipY(y - half), 30, 0, 11, roundMm(x), 21, flipY(y + half), 31, 0);
+        add(0, 'CIRCLE', 8, 'MARKS', 10, roundMm(x), 20, flipY(y), 30, 0, 40, roundMm(size / 4));
+    });
+
+    const textHeight = Math.min(layout.marginMm * 0.35, 4) * 0.7;
+    add(0, 'TEXT', 8, 'LABELS', 10, roundMm(layout.marginMm), 20, roundMm(layout.marginMm / 2 - textHeight / 2), 30, 0,
+        40, roundMm(textHeight), 1, sheet.label);
+
+    add(0, 'ENDSEC', 0, 'EOF');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Gera os arquivos de corte, um por camada, da maior (base da pilha) para a menor
+ * @param {object} params - Parâmetros de geração
+ * @param {object} options - Opções de produção (ver buildCutSheets) e format ('svg' ou 'dxf')
+ * @returns {Array<object>} Arquivos { name, data }
+ */
+function createCutFiles(params, options = {}) {
+    const { format = 'svg' } = options;
+    const layout = buildCutSheets(params, options);
+    const serialize = format === 'dxf' ? serializeCutSheetDXF : serializeCutSheetSVG;
+
+    return layout.sheets.map(sheet => ({
+        name: `layer-${String(sheet.number).padStart(2, '0')}.${format}`,
+        data: serialize(layout, sheet)
+    }));
+}
@@ -0,0 +1,211 @@
+/**
+ * Paper Cut Forms Generator - Easing Controls
+ * Seletor de curva e mini editor de cada canal (tamanho, rotação e cor)
+ */
+
+// Área do editor em unidades SVG (x: 0-1 → 0-100; y: EASING_BEZIER_Y_RANGE → 100-0) e margem das alças
+const EASING_EDITOR_SIZE = 100;
+const EASING_EDITOR_MARGIN = 6;
+
+// Pontos usados para desenhar a curva no editor
+const EASING_EDITOR_SAMPLES = 48;
+
+/**
+ * Converte um ponto da curva para coordenadas do editor
+ * @param {number} x - Progressão original (0-1)
+ * @param {number} y - Progressão ajustada
+ * @returns {Array<number>} Ponto [x, y] no SVG do editor
+ */
+function easingToEditorPoint(x, y) {
+    const [minY, maxY] = EASING_BEZIER_Y_RANGE;
+    return [x * EASING_EDITOR_SIZE, (maxY - y) / (maxY - minY) * EASING_EDITOR_SIZE];
+}
+
+/**
+ * Converte a posição de um ponteiro para um ponto da curva
+ * @param {SVGElement} editor - SVG do editor
+ * @param {PointerEvent} event - Evento
+ * @returns {Array<number>} Ponto [x, y] da curva (sem limitar)
+ */
+function editorEventToEasingPoint(editor, event) {
+    const [minY, maxY] = EASING_BEZIER_Y_RANGE;
+    const rect = editor.getBoundingClientRect();
+    const total = EASING_EDITOR_SIZE + EASING_EDITOR_MARGIN * 2;
+    const px = (event.clientX - rect.left) / (rect.width || 1) * total - EASING_EDITOR_MARGIN;
+    const py = (event.clientY - rect.top) / (rect.height || 1) * total - EASING_EDITOR_MARGIN;
+    return [px / EASING_EDITOR_SIZE, maxY - py / EASING_EDITOR_SIZE * (maxY - minY)];
+}
+
+/**
+ * Cria um elemento SVG com atributos
+ * @param {string} tag - Nome do elemento
+ * @param {object} attrs - Atributos
+ * @returns {SVGElement} Elemento criado
+ */
+function createEditorElement(tag, attrs) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.keys(attrs).forEach(key => element.setAttribute(key, attrs[key]));
+    return element;
+}
+
+/**
+ * Cria o seletor, o campo oculto com os pontos de controle e o editor de cada canal em #easingControls
+ * Os IDs seguem os parâmetros (sizeEasing, sizeBezier...), então setControlValues() os preenche
+ */
+function renderEasingControls() {
+    const container = document.getElementById('easingControls');
+    const defaults = getEasingDefaultParams();
+    const total = EASING_EDITOR_SIZE + EASING_EDITOR_MARGIN * 2;
+
+    Object.entries(EASING_CHANNELS).forEach(([channel, { label, modeKey, bezierKey }]) => {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const title = document.createElement('label');
+        title.textContent = `Curva: ${label}`;
+
+        const row = document.createElement('div');
+        row.className = 'easing-row';
+
+        const select = document.createElement('select');
+        select.id = modeKey;
+        Object.entries(EASING_CURVES).forEach(([key, curve]) => {
+            select.appendChild(new Option(curve.label, key));
+        });
+        select.value = defaults[modeKey];
+
+        const bezier = document.createElement('input');
+        bezier.type = 'hidden';
+        bezier.id = bezierKey;
+        bezier.value = defaults[bezierKey];
+
+        const editor = createEditorElement('svg', {
+            id: `${channel}EasingEditor`,
+            class: 'easing-editor',
+            viewBox: `${-EASING_EDITOR_MARGIN} ${-EASING_EDITOR_MARGIN} ${total} ${total}`
+        });
+
+        row.append(select, editor);
+        group.append(title, row, bezier);
+        container.appendChild(group);
+    });
+}
+
+/**
+ * Adiciona ao cache de controles os seletores e campos criados por renderEasingControls()
+ */
+function cacheEasingControls() {
+    Object.values(EASING_CHANNELS).forEach(({ modeKey, bezierKey }) => {
+        controls[modeKey] = document.getElementById(modeKey);
+        controls[bezierKey] = document.getElementById(bezierKey);
+    });
+}
+
+/**
+ * Lê as curvas e os pontos de controle de todos os canais
+ * @returns {object} Parâmetros { sizeEasing, sizeBezier, ... }
+ */
+function getEasingControlValues() {
+    const values = {};
+    Object.values(EASING_CHANNELS).forEach(({ modeKey, bezierKey }) => {
+        values[modeKey] = controls[modeKey].value;
+        values[bezierKey] = formatEasingBezier(parseEasingBezier(controls[bezierKey].value));
+    });
+    return values;
+}
+
+/**
+ * Redesenha o editor de um canal; com a curva Bézier, mostra as alças arrastáveis
+ * @param {string} channel - Chave de EASING_CHANNELS
+ */
+function renderEasingEditor(channel) {
+    const { modeKey, bezierKey } = EASING_CHANNELS[channel];
+    const editor = document.getElementById(`${channel}EasingEditor`);
+    const mode = controls[modeKey].value;
+    const bezier = parseEasingBezier(controls[bezierKey].value);
+    const easing = getEasing({ [modeKey]: mode, [bezierKey]: controls[bezierKey].value }, channel);
+    const point = (x, y) => easingToEditorPoint(x, y).join(',');
+
+    const samples = [];
+    for (let i = 0; i <= EASING_EDITOR_SAMPLES; i++) {
+        const x = i / EASING_EDITOR_SAMPLES;
+        samples.push(point(x, easing(x)));
+    }
+
+    editor.innerHTML = '';
+    editor.appendChild(createEditorElement('rect', {
+        class: 'easing-editor-area',
+        x: 0,
+        y: easingToEditorPoint(0, 1)[1],
+        width: EASING_EDITOR_SIZE,
+        height: easingToEditorPoint(0, 0)[1] - easingToEditorPoint(0, 1)[1]
+    }));
+    editor.appendChild(createEditorElement('polyline', { class: 'easing-editor-linear', points: `${point(0, 0)} ${point(1, 1)}` }));
+    editor.appendChild(createEditorElement('polyline', { class: 'easing-editor-curve', points: samples.join(' ') }));
+
+    if (mode !== 'bezier') return;
+
+    // Alças: P1 ligado a (0, 0) e P2 ligado a (1, 1)
+    [[0, 0, 0], [1, 1, 2]].forEach(([anchorX, anchorY, index]) => {
+        const [hx, hy] = easingToEditorPoint(bezier[index], bezier[index + 1]);
+        const [ax, ay] = easingToEditorPoint(anchorX, anchorY);
+        editor.appendChild(createEditorElement('line', { class: 'easing-editor-arm', x1: ax, y1: ay, x2: hx, y2: hy }));
+
+        const handle = createEditorElement('circle', { class: 'easing-editor-handle', cx: hx, cy: hy, r: 5 });
+        handle.addEventListener('pointerdown', event => startEasingHandleDrag(event, channel, index));
+        editor.appendChild(handle);
+    });
+}
+
+/**
+ * Arrasta um ponto de controle da curva Bézier; a arte é regenerada ao soltar
+ * @param {PointerEvent} event - Evento pointerdown
+ * @param {string} channel - Chave de EASING_CHANNELS
+ * @param {number} index - 0 para o primeiro ponto de controle, 2 para o segundo
+ */
+function startEasingHandleDrag(event, channel, index) {
+    event.preventDefault();
+
+    const { bezierKey } = EASING_CHANNELS[channel];
+    const editor = document.getElementById(`${channel}EasingEditor`);
+
+    let moved = false;
+    const move = moveEvent => {
+        moved = true;
+        const bezier = parseEasingBezier(controls[bezierKey].value);
+        const [x, y] = editorEventToEasingPoint(editor, moveEvent);
+        bezier[index] = x;
+        bezier[index + 1] = y;
+        controls[bezierKey].value = formatEasingBezier(parseEasingBezier(bezier.join(',')));
+        renderEasingEditor(channel);
+    };
+    const end = () => {
+        window.removeEventListener('pointermove', move);
+        window.removeEventListener('pointerup', end);
+        if (moved) generate();
+    };
+
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', end);
+}
+
+/**
+ * Redesenha os editores de todos os canais (após setControlValues)
+ */
+function updateEasingControls() {
+    Object.keys(EASING_CHANNELS).forEach(renderEasingEditor);
+}
+
+/**
+ * Inicializa os controles de curva
+ */
+function initEasingControls() {
+    Object.entries(EASING_CHANNELS).forEach(([channel, { modeKey }]) => {
+        controls[modeKey].addEventListener('change', function() {
+            renderEasingEditor(channel);
+            generate();
+        });
+    });
+
+    updateEasingControls();
+}
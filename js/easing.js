@@ -0,0 +1,142 @@
+/**
+ * Paper Cut Forms Generator - Easing
+ * Curvas que redistribuem tamanho, rotação e cor ao longo das camadas
+ * Cada curva recebe a progressão t (0-1) e devolve a progressão ajustada (0 → 0, 1 → 1)
+ */
+
+// Intensidade das curvas exponencial e logarítmica (uma é a inversa da outra)
+const EASING_STRENGTH = 4;
+
+// Pontos de controle padrão da curva Bézier (equivale ao ease-in-out do CSS)
+const DEFAULT_EASING_BEZIER = '0.42,0,0.58,1';
+
+// Limites dos pontos de controle: x fica em 0-1 para a curva ser uma função; y pode passar um pouco
+const EASING_BEZIER_Y_RANGE = [-0.25, 1.25];
+
+/**
+ * Registro das curvas disponíveis
+ * `create(bezier)` recebe os pontos de controle [x1, y1, x2, y2] (só usados pela Bézier)
+ */
+const EASING_CURVES = {
+    linear: {
+        label: 'Linear',
+        create: () => t => t
+    },
+    easeIn: {
+        label: 'Ease In',
+        create: () => t => t * t * t
+    },
+    easeOut: {
+        label: 'Ease Out',
+        create: () => t => 1 - Math.pow(1 - t, 3)
+    },
+    easeInOut: {
+        label: 'Ease In-Out',
+        create: () => t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2)
+    },
+    exponential: {
+        label: 'Exponencial',
+        create: () => t => (Math.exp(EASING_STRENGTH * t) - 1) / (Math.exp(EASING_STRENGTH) - 1)
+    },
+    logarithmic: {
+        label: 'Logarítmica',
+        create: () => t => Math.log(1 + (Math.exp(EASING_STRENGTH) - 1) * t) / EASING_STRENGTH
+    },
+    bezier: {
+        label: 'Bézier Personalizada',
+        create: bezier => createCubicBezierEasing(...bezier)
+    }
+};
+
+/**
+ * Canais que aceitam curva: parâmetro da curva e dos pontos de controle de cada um
+ */
+const EASING_CHANNELS = {
+    size: { label: 'Tamanho', modeKey: 'sizeEasing', bezierKey: 'sizeBezier' },
+    rotation: { label: 'Rotação', modeKey: 'rotationEasing', bezierKey: 'rotationBezier' },
+    color: { label: 'Cor', modeKey: 'colorEasing', bezierKey: 'colorBezier' }
+};
+
+/**
+ * Curva Bézier cúbica no estilo do CSS cubic-bezier(), com extremos fixos em (0, 0) e (1, 1)
+ * @param {number} x1 - X do primeiro ponto de controle (0-1)
+ * @param {number} y1 - Y do primeiro ponto de controle
+ * @param {number} x2 - X do segundo ponto de controle (0-1)
+ * @param {number} y2 - Y do segundo ponto de controle
+ * @returns {function} (t) => progressão ajustada
+ */
+function createCubicBezierEasing(x1, y1, x2, y2) {
+    const axis = (p1, p2) => s => 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+    const bx = axis(x1, x2);
+    const by = axis(y1, y2);
+
+    return t => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+
+        // x(s) é crescente com x1, x2 em 0-1: busca binária pelo s com x(s) = t
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 32; i++) {
+            const middle = (low + high) / 2;
+            if (bx(middle) < t) low = middle;
+            else high = middle;
+        }
+        return by((low + high) / 2);
+    };
+}
+
+/**
+ * Lê os pontos de controle salvos como texto ("x1,y1,x2,y2"), limitando-os aos intervalos válidos
+ * @param {string} text - Pontos de controle
+ * @returns {Array<number>} [x1, y1, x2, y2] (padrão DEFAULT_EASING_BEZIER se inválido)
+ */
+function parseEasingBezier(text) {
+    const values = String(text || '').split(',').map(parseFloat);
+    if (values.length !== 4 || values.some(value => !Number.isFinite(value))) {
+        return DEFAULT_EASING_BEZIER.split(',').map(parseFloat);
+    }
+
+    const [minY, maxY] = EASING_BEZIER_Y_RANGE;
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    return [
+        clamp(values[0], 0, 1),
+        clamp(values[1], minY, maxY),
+        clamp(values[2], 0, 1),
+        clamp(values[3], minY, maxY)
+    ];
+}
+
+/**
+ * Serializa pontos de controle como texto ("x1,y1,x2,y2"), com 2 casas decimais
+ * @param {Array<number>} bezier - [x1, y1, x2, y2]
+ * @returns {string} Pontos de controle
+ */
+function formatEasingBezier(bezier) {
+    return bezier.map(value => Math.round(value * 100) / 100).join(',');
+}
+
+/**
+ * Curva de um canal a partir dos parâmetros de geração
+ * @param {object} params - Parâmetros de geração
+ * @param {string} channel - Chave de EASING_CHANNELS
+ * @returns {function} (t) => progressão ajustada (curvas desconhecidas viram linear)
+ */
+function getEasing(params, channel) {
+    const { modeKey, bezierKey } = EASING_CHANNELS[channel];
+    const curve = EASING_CURVES[params[modeKey]] || EASING_CURVES.linear;
+    return curve.create(parseEasingBezier(params[bezierKey]));
+}
+
+/**
+ * Valores padrão dos parâmetros de curva de todos os canais (todas lineares)
+ * @returns {object} Parâmetros { sizeEasing: 'linear', sizeBezier: '0.42,0,0.58,1', ... }
+ */
+function getEasingDefaultParams() {
+    const defaults = {};
+    Object.values(EASING_CHANNELS).forEach(({ modeKey, bezierKey }) => {
+        defaults[modeKey] = 'linear';
+        defaults[bezierKey] = DEFAULT_EASING_BEZIER;
+    });
+    return defaults;
+}
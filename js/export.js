@@ -0,0 +1,265 @@
+/**
+ * Paper Cut Forms Generator - Export
+ * Exporta o SVG atual como PNG, JPEG ou WebP em alta resolução, e os arquivos de corte (ver cut-export.js)
+ * Filtros, padrões e clip-paths são renderizados pelo próprio navegador e "assados" na imagem
+ */
+
+// Tipos MIME por formato de saída
+const RASTER_FORMATS = {
+    png: { mime: 'image/png', extension: 'png', transparent: true },
+    jpeg: { mime: 'image/jpeg', extension: 'jpg', transparent: false },
+    webp: { mime: 'image/webp', extension: 'webp', transparent: true }
+};
+
+// Etapas de rasterizeSVG, na ordem; indicam a etapa atual, não a porcentagem do trabalho
+// (a codificação da imagem, a última, costuma ser a mais lenta)
+const RASTER_STAGES = ['Preparando SVG', 'Carregando imagem', 'Desenhando', 'Codificando'];
+
+/**
+ * Converte tamanho físico e DPI em pixels
+ * @param {number} millimeters - Tamanho em milímetros
+ * @param {number} dpi - Resolução em pontos por polegada
+ * @returns {number} Tamanho em pixels
+ */
+function millimetersToPixels(millimeters, dpi) {
+    return Math.round(millimeters / 25.4 * dpi);
+}
+
+/**
+ * Aguarda o próximo frame para que a interface (progresso) seja redesenhada
+ * @returns {Promise} Resolvida no próximo frame
+ */
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
+
+/**
+ * Carrega uma string SVG como imagem
+ * @param {string} svgData - Markup SVG
+ * @returns {Promise<HTMLImageElement>} Imagem carregada
+ */
+function loadSVGImage(svgData) {
+    return new Promise((resolve, reject) => {
+        const blob = new Blob([svgData], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Falha ao carregar o SVG como imagem'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Renderiza um elemento SVG em uma imagem raster
+ * @param {SVGElement} svgEl - Elemento SVG a ser exportado
+ * @param {object} options - Opções de exportação
+ * @param {number} options.width - Largura em pixels (a altura segue a proporção do viewBox)
+ * @param {string} options.format - 'png', 'jpeg' ou 'webp'
+ * @param {string|null} options.background - Cor de fundo em hex, ou null para transparente
+ * @param {number} options.quality - Qualidade para JPEG/WebP (0-1)
+ * @param {function} options.onProgress - Callback (índice da etapa em RASTER_STAGES, descrição)
+ * @returns {Promise<Blob>} Imagem gerada
+ */
+async function rasterizeSVG(svgEl, options = {}) {
+    const {
+        width = 2048,
+        format = 'png',
+        background = null,
+        quality = CONFIG.export.quality,
+        onProgress = () => {}
+    } = options;
+
+    const formatInfo = RASTER_FORMATS[format];
+    if (!formatInfo) {
+        throw new Error(`Formato não suportado: ${format}`);
+    }
+
+    const viewBox = svgEl.viewBox.baseVal;
+    const height = Math.round(width * viewBox.height / viewBox.width);
+
+    if (width > CONFIG.export.maxCanvasSize || height > CONFIG.export.maxCanvasSize) {
+        throw new Error(`Tamanho máximo de exportação é ${CONFIG.export.maxCanvasSize} px`);
+    }
+
+    onProgress(0, RASTER_STAGES[0]);
+    await nextFrame();
+
+    // Fixar width/height no clone para o navegador rasterizar o vetor no tamanho final
+    const clone = cloneSVGForExport(svgEl);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    const svgData = new XMLSerializer().serializeToString(clone);
+
+    onProgress(1, RASTER_STAGES[1]);
+    const img = await loadSVGImage(svgData);
+
+    onProgress(2, RASTER_STAGES[2]);
+    await nextFrame();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    // JPEG não tem canal alfa: fundo transparente vira branco
+    const fill = background || (formatInfo.transparent ? null : '#ffffff');
+    if (fill) {
+        ctx.fillStyle = fill;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    ctx.drawImage(img, 0, 0, width, height);
+
+    onProgress(3, RASTER_STAGES[3]);
+    await nextFrame();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, formatInfo.mime, quality));
+    if (!blob) {
+        throw new Error('Falha ao codificar a imagem (tamanho grande demais para este navegador?)');
+    }
+
+    // Navegadores sem suporte a WebP retornam PNG silenciosamente
+    if (blob.type !== formatInfo.mime) {
+        console.warn(`Formato ${format} não suportado pelo navegador, exportado como ${blob.type}`);
+    }
+
+    return blob;
+}
+
+/**
+ * Dispara o download de um Blob
+ * @param {Blob} blob - Conteúdo do arquivo
+ * @param {string} filename - Nome do arquivo
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+
+    // Revogar depois do clique para não cancelar downloads grandes
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Lê a largura escolhida nos controles de exportação
+ * @returns {number} Largura em pixels
+ */
+function getRasterExportWidth() {
+    const value = controls.rasterSize.value;
+
+    if (value === 'custom') {
+        return parseInt(controls.rasterCustomSize.value, 10);
+    }
+
+    // Valores no formato "mm@dpi" representam tamanhos de impressão
+    const print = /^(\d+(?:\.\d+)?)@(\d+)$/.exec(value);
+    if (print) {
+        return millimetersToPixels(parseFloat(print[1]), parseInt(print[2], 10));
+    }
+
+    return parseInt(value, 10);
+}
+
+/**
+ * Atualiza visibilidade dos campos dependentes (tamanho personalizado e cor de fundo)
+ */
+function updateRasterExportControls() {
+    document.getElementById('rasterCustomSize-group')
+        .classList.toggle('hidden', controls.rasterSize.value !== 'custom');
+    document.getElementById('rasterBackgroundColor-group')
+        .classList.toggle('hidden', controls.rasterBackground.value !== 'solid');
+}
+
+/**
+ * Exporta a arte atual como imagem raster usando os controles da página
+ */
+async function downloadRaster() {
+    const svgEl = document.getElementById('chaos-svg');
+    if (!svgEl) {
+        console.error('SVG não encontrado');
+        return;
+    }
+
+    const width = getRasterExportWidth();
+    if (!(width > 0)) {
+        window.alert('Informe um tamanho válido em pixels.');
+        return;
+    }
+
+    const format = controls.rasterFormat.value;
+    const progressGroup = document.getElementById('rasterProgress-group');
+
+    controls.rasterExportButton.disabled = true;
+    progressGroup.classList.remove('hidden');
+
+    try {
+        controls.rasterProgressLabel.textContent = 'Calculando gradientes';
+        await whenGradientPatternsReady();
+
+        const blob = await rasterizeSVG(svgEl, {
+            width,
+            format,
+            background: controls.rasterBackground.value === 'solid' ? controls.rasterBackgroundColor.value : null,
+            onProgress: (stage, label) => {
+                controls.rasterProgressLabel.textContent = `${label} (${stage + 1}/${RASTER_STAGES.length})`;
+            }
+        });
+
+        downloadBlob(blob, `chaos-shape-${width}.${RASTER_FORMATS[format].extension}`);
+    } catch (error) {
+        console.error('Erro ao exportar imagem:', error);
+        window.alert(`Erro ao exportar imagem: ${error.message}`);
+    } finally {
+        controls.rasterExportButton.disabled = false;
+        progressGroup.classList.add('hidden');
+    }
+}
+
+/**
+ * Inicializa os controles de exportação raster
+ */
+function initRasterExport() {
+    controls.rasterSize.addEventListener('change', updateRasterExportControls);
+    controls.rasterBackground.addEventListener('change', updateRasterExportControls);
+    updateRasterExportControls();
+}
+
+/**
+ * Exporta os arquivos de corte da arte atual em um ZIP, usando os controles da página
+ */
+function downloadCutFiles() {
+    const params = getControlValues();
+    // A largura digitada vale apenas no formato Tela; os demais usam o tamanho do papel
+    const widthMm = resolveArtboard(params).physical ? undefined : parseFloat(controls.cutWidth.value);
+    const kerfMm = parseFloat(controls.cutKerf.value);
+    const format = controls.cutFormat.value;
+
+    if ((widthMm !== undefined && !(widthMm > 0)) || !(kerfMm >= 0)) {
+        window.alert('Informe largura e kerf válidos (em mm).');
+        return;
+    }
+
+    try {
+        const files = createCutFiles(params, {
+            widthMm,
+            kerfMm,
+            marginMm: CONFIG.cut.marginMm,
+            format
+        });
+        const zip = createZip(files);
+        downloadBlob(new Blob([zip], { type: 'application/zip' }), `chaos-shape-cut-${format}.zip`);
+    } catch (error) {
+        console.error('Erro ao gerar arquivos de corte:', error);
+        window.alert(`Erro ao gerar arquivos de corte: ${error.message}`);
+    }
+}
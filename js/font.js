@@ -0,0 +1,792 @@
+/**
+ * Paper Cut Forms Generator - Font Outlines
+ * Lê arquivos de fonte locais (TTF, OTF e WOFF) e converte texto em contornos de path
+ * Sem dependências: interpreta as tabelas sfnt (cmap, hmtx, glyf/loca ou CFF) diretamente
+ * Kerning, ligaduras e shaping complexo (árabe, índico) não são aplicados
+ */
+
+// Assinaturas (4 bytes iniciais) dos formatos suportados
+const FONT_SIGNATURES = {
+    trueType: [0x00010000, 0x74727565], // 0x00010000 e 'true'
+    cff: 0x4f54544f,                    // 'OTTO'
+    woff: 0x774f4646,                   // 'wOFF'
+    woff2: 0x774f4632                   // 'wOF2'
+};
+
+// Limite de aninhamento de componentes e subrotinas (fontes malformadas)
+const FONT_MAX_RECURSION = 16;
+
+/**
+ * Lê a tag de 4 caracteres em uma posição
+ * @param {DataView} view - Dados da fonte
+ * @param {number} offset - Posição
+ * @returns {string} Tag (ex: 'glyf')
+ */
+function readFontTag(view, offset) {
+    let tag = '';
+    for (let i = 0; i < 4; i++) {
+        tag += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return tag;
+}
+
+/**
+ * Converte um arquivo WOFF em sfnt (TTF/OTF), descomprimindo cada tabela
+ * @param {ArrayBuffer} buffer - Arquivo WOFF
+ * @param {function} inflate - (Uint8Array) => Promise<Uint8Array>, descompressão zlib
+ * @returns {Promise<ArrayBuffer>} Fonte sfnt equivalente
+ */
+async function unwrapWoff(buffer, inflate) {
+    const view = new DataView(buffer);
+    const flavor = view.getUint32(4);
+    const numTables = view.getUint16(12);
+
+    const tables = [];
+    for (let i = 0; i < numTables; i++) {
+        const entry = 44 + i * 20;
+        const offset = view.getUint32(entry + 4);
+        const compLength = view.getUint32(entry + 8);
+        const origLength = view.getUint32(entry + 12);
+        const raw = new Uint8Array(buffer, offset, compLength);
+
+        tables.push({
+            tag: view.getUint32(entry),
+            checksum: view.getUint32(entry + 16),
+            data: compLength < origLength ? await inflate(raw) : raw
+        });
+    }
+
+    // Cabeçalho sfnt (12 bytes) + diretório (16 bytes por tabela), tabelas alinhadas em 4 bytes
+    const padded = length => (length + 3) & ~3;
+    let offset = 12 + numTables * 16;
+    const total = tables.reduce((sum, table) => sum + padded(table.data.length), offset);
+    const output = new Uint8Array(total);
+    const out = new DataView(output.buffer);
+
+    out.setUint32(0, flavor);
+    out.setUint16(4, numTables);
+
+    tables.forEach((table, i) => {
+        const entry = 12 + i * 16;
+        out.setUint32(entry, table.tag);
+        out.setUint32(entry + 4, table.checksum);
+        out.setUint32(entry + 8, offset);
+        out.setUint32(entry + 12, table.data.length);
+        output.set(table.data, offset);
+        offset += padded(table.data.length);
+    });
+
+    return output.buffer;
+}
+
+/**
+ * Interpreta as tabelas de uma fonte sfnt (TrueType ou CFF)
+ * @param {ArrayBuffer} buffer - Arquivo TTF ou OTF
+ * @returns {object} Fonte { unitsPerEm, ascender, descender, glyphIndex(codePoint), advance(glyph), glyphPath(glyph) }
+ */
+function parseFont(buffer) {
+    const view = new DataView(buffer);
+    const signature = view.getUint32(0);
+
+    if (signature === FONT_SIGNATURES.woff || signature === FONT_SIGNATURES.woff2) {
+        throw new Error('WOFF precisa ser convertido antes (use loadFont)');
+    }
+    if (signature !== FONT_SIGNATURES.cff && !FONT_SIGNATURES.trueType.includes(signature)) {
+        throw new Error('Formato de fonte não reconhecido');
+    }
+
+    const tables = {};
+    const numTables = view.getUint16(4);
+    for (let i = 0; i < numTables; i++) {
+        const entry = 12 + i * 16;
+        tables[readFontTag(view, entry)] = {
+            offset: view.getUint32(entry + 8),
+            length: view.getUint32(entry + 12)
+        };
+    }
+
+    ['head', 'hhea', 'hmtx', 'maxp', 'cmap'].forEach(tag => {
+        if (!tables[tag]) throw new Error(`Tabela ${tag} ausente`);
+    });
+
+    const head = tables.head.offset;
+    const unitsPerEm = view.getUint16(head + 18);
+    const indexToLocFormat = view.getInt16(head + 50);
+    const numGlyphs = view.getUint16(tables.maxp.offset + 4);
+
+    const hhea = tables.hhea.offset;
+    const ascender = view.getInt16(hhea + 4);
+    const descender = view.getInt16(hhea + 6);
+    const numberOfHMetrics = view.getUint16(hhea + 34);
+
+    const cmap = parseFontCmap(view, tables.cmap.offset);
+
+    let glyphPath;
+    if (tables.glyf && tables.loca) {
+        glyphPath = createTrueTypeOutlines(view, tables, indexToLocFormat, numGlyphs);
+    } else if (tables['CFF ']) {
+        glyphPath = createCffOutlines(view, tables['CFF '].offset);
+    } else {
+        throw new Error('A fonte não tem contornos glyf nem CFF (CFF2 e fontes bitmap não são suportadas)');
+    }
+
+    return {
+        unitsPerEm,
+        ascender,
+        descender,
+        glyphIndex: codePoint => cmap(codePoint),
+        advance: glyph => {
+            const index = Math.min(glyph, numberOfHMetrics - 1);
+            return view.getUint16(tables.hmtx.offset + index * 4);
+        },
+        glyphPath: glyph => glyph > 0 && glyph < numGlyphs ? glyphPath(glyph) : []
+    };
+}
+
+/**
+ * Carrega uma fonte TTF, OTF ou WOFF
+ * @param {ArrayBuffer} buffer - Arquivo da fonte
+ * @param {function} inflate - Descompressão zlib para WOFF (ver unwrapWoff)
+ * @returns {Promise<object>} Fonte retornada por parseFont()
+ */
+async function loadFont(buffer, inflate) {
+    const signature = new DataView(buffer).getUint32(0);
+
+    if (signature === FONT_SIGNATURES.woff2) {
+        throw new Error('WOFF2 não é suportado; converta a fonte para TTF, OTF ou WOFF');
+    }
+    if (signature === FONT_SIGNATURES.woff) {
+        return parseFont(await unwrapWoff(buffer, inflate));
+    }
+    return parseFont(buffer);
+}
+
+/**
+ * Lê a tabela cmap (formatos 4 e 12, subtabelas Unicode)
+ * @param {DataView} view - Dados da fonte
+ * @param {number} offset - Início da tabela cmap
+ * @returns {function} (codePoint) => índice do glifo (0 = ausente)
+ */
+function parseFontCmap(view, offset) {
+    const count = view.getUint16(offset + 2);
+    let best = null;
+
+    // Preferir Unicode completo (formato 12) e depois BMP (formato 4)
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 4 + i * 8;
+        const platform = view.getUint16(entry);
+        const encoding = view.getUint16(entry + 2);
+        const subtable = offset + view.getUint32(entry + 4);
+        const format = view.getUint16(subtable);
+        const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+
+        if (unicode && (format === 12 || (format === 4 && !best))) {
+            best = { format, subtable };
+        }
+    }
+
+    if (!best) throw new Error('A fonte não tem tabela de caracteres Unicode');
+
+    const { format, subtable } = best;
+
+    if (format === 12) {
+        const groups = view.getUint32(subtable + 12);
+        return codePoint => {
+            for (let i = 0; i < groups; i++) {
+                const group = subtable + 16 + i * 12;
+                const start = view.getUint32(group);
+                const end = view.getUint32(group + 4);
+                if (codePoint >= start && codePoint <= end) {
+                    return view.getUint32(group + 8) + codePoint - start;
+                }
+            }
+            return 0;
+        };
+    }
+
+    const segCount = view.getUint16(subtable + 6) / 2;
+    const endCodes = subtable + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+
+    return codePoint => {
+        for (let i = 0; i < segCount; i++) {
+            if (codePoint > view.getUint16(endCodes + i * 2)) continue;
+
+            const start = view.getUint16(startCodes + i * 2);
+            if (codePoint < start) return 0;
+
+            const delta = view.getInt16(idDeltas + i * 2);
+            const rangeOffset = view.getUint16(idRangeOffsets + i * 2);
+            if (rangeOffset === 0) return (codePoint + delta) & 0xffff;
+
+            const address = idRangeOffsets + i * 2 + rangeOffset + (codePoint - start) * 2;
+            const glyph = view.getUint16(address);
+            return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Cria o leitor de contornos TrueType (tabelas glyf e loca)
+ * @param {DataView} view - Dados da fonte
+ * @param {object} tables - Diretório de tabelas
+ * @param {number} indexToLocFormat - 0 (offsets de 16 bits) ou 1 (32 bits)
+ * @param {number} numGlyphs - Número de glifos
+ * @returns {function} (glyph) => comandos do path em unidades da fonte (Y para cima)
+ */
+function createTrueTypeOutlines(view, tables, indexToLocFormat, numGlyphs) {
+    const loca = tables.loca.offset;
+    const glyf = tables.glyf.offset;
+
+    const glyphOffset = glyph => indexToLocFormat === 0
+        ? view.getUint16(loca + glyph * 2) * 2
+        : view.getUint32(loca + glyph * 4);
+
+    // Pontos dos contornos de um glifo: [{ x, y, onCurve }] por contorno
+    const readContours = (glyph, depth) => {
+        if (depth > FONT_MAX_RECURSION || glyph >= numGlyphs) return [];
+
+        const start = glyphOffset(glyph);
+        if (glyphOffset(glyph + 1) === start) return []; // glifo vazio (espaço)
+
+        const offset = glyf + start;
+        const numberOfContours = view.getInt16(offset);
+        return numberOfContours >= 0
+            ? readSimpleGlyph(offset, numberOfContours)
+            : readCompositeGlyph(offset, depth);
+    };
+
+    const readSimpleGlyph = (offset, numberOfContours) => {
+        const endPoints = [];
+        for (let i = 0; i < numberOfContours; i++) {
+            endPoints.push(view.getUint16(offset + 10 + i * 2));
+        }
+        const pointCount = numberOfContours ? endPoints[numberOfContours - 1] + 1 : 0;
+        const instructionLength = view.getUint16(offset + 10 + numberOfContours * 2);
+        let p = offset + 12 + numberOfContours * 2 + instructionLength;
+
+        // Flags (bit 3 = repetir a flag)
+        const flags = [];
+        while (flags.length < pointCount) {
+            const flag = view.getUint8(p++);
+            flags.push(flag);
+            if (flag & 8) {
+                let repeat = view.getUint8(p++);
+                while (repeat-- > 0) flags.push(flag);
+            }
+        }
+
+        // Coordenadas em deltas: curtas (1 byte + sinal na flag) ou longas (2 bytes)
+        const readCoordinates = (shortBit, sameBit) => {
+            const values = [];
+            let value = 0;
+            flags.forEach(flag => {
+                if (flag & shortBit) {
+                    const delta = view.getUint8(p++);
+                    value += flag & sameBit ? delta : -delta;
+                } else if (!(flag & sameBit)) {
+                    value += view.getInt16(p);
+                    p += 2;
+                }
+                values.push(value);
+            });
+            return values;
+        };
+
+        const xs = readCoordinates(2, 16);
+        const ys = readCoordinates(4, 32);
+
+        const contours = [];
+        let first = 0;
+        endPoints.forEach(last => {
+            const contour = [];
+            for (let i = first; i <= last; i++) {
+                contour.push({ x: xs[i], y: ys[i], onCurve: (flags[i] & 1) === 1 });
+            }
+            contours.push(contour);
+            first = last + 1;
+        });
+        return contours;
+    };
+
+    const readCompositeGlyph = (offset, depth) => {
+        const contours = [];
+        let p = offset + 10;
+        let flags;
+
+        do {
+            flags = view.getUint16(p);
+            const component = view.getUint16(p + 2);
+            p += 4;
+
+            let dx, dy;
+            if (flags & 1) {
+                dx = view.getInt16(p);
+                dy = view.getInt16(p + 2);
+                p += 4;
+            } else {
+                dx = view.getInt8(p);
+                dy = view.getInt8(p + 1);
+                p += 2;
+            }
+
+            // Matriz 2x2 em F2Dot14
+            let [a, b, c, d] = [1, 0, 0, 1];
+            const f2dot14 = at => view.getInt16(at) / 16384;
+            if (flags & 8) {
+                a = d = f2dot14(p);
+                p += 2;
+            } else if (flags & 0x40) {
+                a = f2dot14(p);
+                d = f2dot14(p + 2);
+                p += 4;
+            } else if (flags & 0x80) {
+                a = f2dot14(p);
+                b = f2dot14(p + 2);
+                c = f2dot14(p + 4);
+                d = f2dot14(p + 6);
+                p += 8;
+            }
+
+            // Sem ARGS_ARE_XY_VALUES os argumentos são pontos de ancoragem (raro; tratados como sem deslocamento)
+            if (!(flags & 2)) dx = dy = 0;
+
+            readContours(component, depth + 1).forEach(contour => {
+                contours.push(contour.map(point => ({
+                    x: point.x * a + point.y * c + dx,
+                    y: point.x * b + point.y * d + dy,
+                    onCurve: point.onCurve
+                })));
+            });
+        } while (flags & 0x20);
+
+        return contours;
+    };
+
+    return glyph => {
+        const commands = [];
+
+        readContours(glyph, 0).forEach(contour => {
+            if (contour.length < 2) return;
+
+            // Pontos fora da curva consecutivos têm um ponto na curva implícito no meio
+            const points = [];
+            contour.forEach((point, i) => {
+                const previous = contour[(i - 1 + contour.length) % contour.length];
+                if (!point.onCurve && !previous.onCurve) {
+                    points.push({ x: (point.x + previous.x) / 2, y: (point.y + previous.y) / 2, onCurve: true });
+                }
+                points.push(point);
+            });
+
+            // Começar em um ponto na curva
+            const startIndex = points.findIndex(point => point.onCurve);
+            const ordered = points.slice(startIndex).concat(points.slice(0, startIndex));
+            ordered.push(ordered[0]);
+
+            commands.push({ type: 'M', values: [ordered[0].x, ordered[0].y] });
+            for (let i = 1; i < ordered.length; i++) {
+                const point = ordered[i];
+                if (point.onCurve) {
+                    commands.push({ type: 'L', values: [point.x, point.y] });
+                } else {
+                    const next = ordered[i + 1];
+                    commands.push({ type: 'Q', values: [point.x, point.y, next.x, next.y] });
+                    i++;
+                }
+            }
+            commands.push({ type: 'Z', values: [] });
+        });
+
+        return commands;
+    };
+}
+
+/**
+ * Lê um INDEX do CFF
+ * @param {DataView} view - Dados da fonte
+ * @param {number} offset - Início do INDEX
+ * @returns {object} { items: [{ start, end }], end } com posições absolutas
+ */
+function readCffIndex(view, offset) {
+    const count = view.getUint16(offset);
+    if (count === 0) return { items: [], end: offset + 2 };
+
+    const offSize = view.getUint8(offset + 2);
+    const readOffset = at => {
+        let value = 0;
+        for (let i = 0; i < offSize; i++) value = value * 256 + view.getUint8(at + i);
+        return value;
+    };
+
+    const dataStart = offset + 3 + (count + 1) * offSize - 1;
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        items.push({
+            start: dataStart + readOffset(offset + 3 + i * offSize),
+            end: dataStart + readOffset(offset + 3 + (i + 1) * offSize)
+        });
+    }
+
+    return { items, end: dataStart + readOffset(offset + 3 + count * offSize) };
+}
+
+/**
+ * Lê um DICT do CFF
+ * @param {DataView} view - Dados da fonte
+ * @param {number} start - Início do DICT
+ * @param {number} end - Fim do DICT
+ * @returns {object} Operandos por operador ('17', '18', '12 36', ...)
+ */
+function readCffDict(view, start, end) {
+    const dict = {};
+    let operands = [];
+    let p = start;
+
+    while (p < end) {
+        const b0 = view.getUint8(p++);
+
+        if (b0 <= 21) {
+            const key = b0 === 12 ? `12 ${view.getUint8(p++)}` : String(b0);
+            dict[key] = operands;
+            operands = [];
+        } else if (b0 === 28) {
+            operands.push(view.getInt16(p));
+            p += 2;
+        } else if (b0 === 29) {
+            operands.push(view.getInt32(p));
+            p += 4;
+        } else if (b0 === 30) {
+            // Número real em nibbles BCD
+            let text = '';
+            const symbols = '0123456789.EE?-';
+            for (let done = false; !done;) {
+                const byte = view.getUint8(p++);
+                [byte >> 4, byte & 15].forEach(nibble => {
+                    if (done) return;
+                    if (nibble === 15) done = true;
+                    else text += nibble === 12 ? 'E-' : symbols[nibble];
+                });
+            }
+            operands.push(parseFloat(text));
+        } else if (b0 >= 32 && b0 <= 246) {
+            operands.push(b0 - 139);
+        } else if (b0 >= 247 && b0 <= 250) {
+            operands.push((b0 - 247) * 256 + view.getUint8(p++) + 108);
+        } else if (b0 >= 251 && b0 <= 254) {
+            operands.push(-(b0 - 251) * 256 - view.getUint8(p++) - 108);
+        }
+    }
+
+    return dict;
+}
+
+/**
+ * Cria o leitor de contornos CFF (OpenType com Type 2 charstrings, inclusive CID)
+ * @param {DataView} view - Dados da fonte
+ * @param {number} cff - Início da tabela CFF
+ * @returns {function} (glyph) => comandos do path em unidades da fonte (Y para cima)
+ */
+function createCffOutlines(view, cff) {
+    const headerSize = view.getUint8(cff + 2);
+    const nameIndex = readCffIndex(view, cff + headerSize);
+    const topDictIndex = readCffIndex(view, nameIndex.end);
+    const stringIndex = readCffIndex(view, topDictIndex.end);
+    const globalSubrs = readCffIndex(view, stringIndex.end).items;
+
+    const topItem = topDictIndex.items[0];
+    const top = readCffDict(view, topItem.start, topItem.end);
+    if (!top['17']) throw new Error('CFF sem CharStrings');
+
+    const charStrings = readCffIndex(view, cff + top['17'][0]).items;
+
+    // Subrotinas locais de um Private DICT ([tamanho, offset])
+    const readPrivateSubrs = privateEntry => {
+        if (!privateEntry) return [];
+        const [size, offset] = privateEntry;
+        const privateDict = readCffDict(view, cff + offset, cff + offset + size);
+        return privateDict['19'] ? readCffIndex(view, cff + offset + privateDict['19'][0]).items : [];
+    };
+
+    // Fontes CID: cada glifo usa o Private DICT do seu FD (FDArray + FDSelect)
+    let localSubrsFor;
+    if (top['12 36'] && top['12 37']) {
+        const fdArray = readCffIndex(view, cff + top['12 36'][0]).items.map(item =>
+            readPrivateSubrs(readCffDict(view, item.start, item.end)['18']));
+        const fdSelect = cff + top['12 37'][0];
+        const format = view.getUint8(fdSelect);
+
+        localSubrsFor = glyph => {
+            if (format === 0) return fdArray[view.getUint8(fdSelect + 1 + glyph)] || [];
+            const ranges = view.getUint16(fdSelect + 1);
+            for (let i = 0; i < ranges; i++) {
+                const range = fdSelect + 3 + i * 3;
+                if (glyph < view.getUint16(range + 3)) {
+                    return fdArray[view.getUint8(range + 2)] || [];
+                }
+            }
+            return [];
+        };
+    } else {
+        const subrs = readPrivateSubrs(top['18']);
+        localSubrsFor = () => subrs;
+    }
+
+    const bias = subrs => subrs.length < 1240 ? 107 : subrs.length < 33900 ? 1131 : 32768;
+
+    return glyph => {
+        const item = charStrings[glyph];
+        if (!item) return [];
+        return runType2Charstring(view, item, globalSubrs, localSubrsFor(glyph), bias);
+    };
+}
+
+/**
+ * Executa um Type 2 charstring e devolve os comandos do contorno
+ * @param {DataView} view - Dados da fonte
+ * @param {object} item - Posição do charstring { start, end }
+ * @param {Array<object>} globalSubrs - Subrotinas globais
+ * @param {Array<object>} localSubrs - Subrotinas locais
+ * @param {function} bias - (subrs) => bias do índice de subrotina
+ * @returns {Array<object>} Comandos do path (M, L, C, Z)
+ */
+function runType2Charstring(view, item, globalSubrs, localSubrs, bias) {
+    const commands = [];
+    let stack = [];
+    let x = 0;
+    let y = 0;
+    let stems = 0;
+    let open = false;
+    let widthParsed = false;
+    let finished = false;
+
+    const moveTo = (dx, dy) => {
+        if (open) commands.push({ type: 'Z', values: [] });
+        x += dx;
+        y += dy;
+        commands.push({ type: 'M', values: [x, y] });
+        open = true;
+    };
+    const lineTo = (dx, dy) => {
+        x += dx;
+        y += dy;
+        commands.push({ type: 'L', values: [x, y] });
+    };
+    const curveTo = (dx1, dy1, dx2, dy2, dx3, dy3) => {
+        const x1 = x + dx1, y1 = y + dy1;
+        const x2 = x1 + dx2, y2 = y1 + dy2;
+        x = x2 + dx3;
+        y = y2 + dy3;
+        commands.push({ type: 'C', values: [x1, y1, x2, y2, x, y] });
+    };
+
+    // A largura do glifo é um operando extra opcional no primeiro operador que limpa a pilha
+    const takeWidth = expected => {
+        if (!widthParsed && stack.length > expected) stack.shift();
+        widthParsed = true;
+    };
+    const countStems = () => {
+        takeWidth(stack.length % 2 === 1 ? stack.length - 1 : stack.length);
+        stems += stack.length / 2;
+        stack = [];
+    };
+
+    const execute = (start, end, depth) => {
+        let p = start;
+        while (p < end && !finished) {
+            const b0 = view.getUint8(p++);
+
+            if (b0 >= 32 || b0 === 28) {
+                if (b0 === 28) {
+                    stack.push(view.getInt16(p));
+                    p += 2;
+                } else if (b0 <= 246) {
+                    stack.push(b0 - 139);
+                } else if (b0 <= 250) {
+                    stack.push((b0 - 247) * 256 + view.getUint8(p++) + 108);
+                } else if (b0 <= 254) {
+                    stack.push(-(b0 - 251) * 256 - view.getUint8(p++) - 108);
+                } else {
+                    stack.push(view.getInt32(p) / 65536);
+                    p += 4;
+                }
+                continue;
+            }
+
+            switch (b0) {
+                case 1: case 3: case 18: case 23: // hstem, vstem, hstemhm, vstemhm
+                    countStems();
+                    break;
+                case 19: case 20: // hintmask, cntrmask (stems implícitos de vstem)
+                    countStems();
+                    p += Math.ceil(stems / 8);
+                    break;
+                case 21: // rmoveto
+                    takeWidth(2);
+                    moveTo(stack[0], stack[1]);
+                    stack = [];
+                    break;
+                case 22: // hmoveto
+                    takeWidth(1);
+                    moveTo(stack[0], 0);
+                    stack = [];
+                    break;
+                case 4: // vmoveto
+                    takeWidth(1);
+                    moveTo(0, stack[0]);
+                    stack = [];
+                    break;
+                case 5: // rlineto
+                    for (let i = 0; i + 1 < stack.length; i += 2) lineTo(stack[i], stack[i + 1]);
+                    stack = [];
+                    break;
+                case 6: case 7: { // hlineto, vlineto (alternados)
+                    let horizontal = b0 === 6;
+                    stack.forEach(value => {
+                        if (horizontal) lineTo(value, 0);
+                        else lineTo(0, value);
+                        horizontal = !horizontal;
+                    });
+                    stack = [];
+                    break;
+                }
+                case 8: // rrcurveto
+                    for (let i = 0; i + 5 < stack.length; i += 6) curveTo(...stack.slice(i, i + 6));
+                    stack = [];
+                    break;
+                case 24: { // rcurveline
+                    let i = 0;
+                    for (; i + 5 < stack.length - 2; i += 6) curveTo(...stack.slice(i, i + 6));
+                    lineTo(stack[i], stack[i + 1]);
+                    stack = [];
+                    break;
+                }
+                case 25: { // rlinecurve
+                    let i = 0;
+                    for (; i + 1 < stack.length - 6; i += 2) lineTo(stack[i], stack[i + 1]);
+                    curveTo(...stack.slice(i, i + 6));
+                    stack = [];
+                    break;
+                }
+                case 26: { // vvcurveto
+                    let i = 0;
+                    let dx1 = 0;
+                    if (stack.length % 2 === 1) dx1 = stack[i++];
+                    for (; i + 3 < stack.length; i += 4) {
+                        curveTo(dx1, stack[i], stack[i + 1], stack[i + 2], 0, stack[i + 3]);
+                        dx1 = 0;
+                    }
+                    stack = [];
+                    break;
+                }
+                case 27: { // hhcurveto
+                    let i = 0;
+                    let dy1 = 0;
+                    if (stack.length % 2 === 1) dy1 = stack[i++];
+                    for (; i + 3 < stack.length; i += 4) {
+                        curveTo(stack[i], dy1, stack[i + 1], stack[i + 2], stack[i + 3], 0);
+                        dy1 = 0;
+                    }
+                    stack = [];
+                    break;
+                }
+                case 30: case 31: { // vhcurveto, hvcurveto (alternados; último pode ter delta extra)
+                    let horizontal = b0 === 31;
+                    for (let i = 0; i + 3 < stack.length; i += 4) {
+                        const last = stack.length - i === 5 ? stack[i + 4] : 0;
+                        if (horizontal) curveTo(stack[i], 0, stack[i + 1], stack[i + 2], last, stack[i + 3]);
+                        else curveTo(0, stack[i], stack[i + 1], stack[i + 2], stack[i + 3], last);
+                        horizontal = !horizontal;
+                    }
+                    stack = [];
+                    break;
+                }
+                case 10: case 29: { // callsubr, callgsubr
+                    const subrs = b0 === 10 ? localSubrs : globalSubrs;
+                    const subr = subrs[stack.pop() + bias(subrs)];
+                    if (subr && depth < FONT_MAX_RECURSION) execute(subr.start, subr.end, depth + 1);
+                    break;
+                }
+                case 11: // return
+                    return;
+                case 14: // endchar
+                    takeWidth(0);
+                    if (open) commands.push({ type: 'Z', values: [] });
+                    open = false;
+                    finished = true;
+                    break;
+                case 12: {
+                    const b1 = view.getUint8(p++);
+                    const s = stack;
+                    // Flex: desenhado como duas cúbicas
+                    if (b1 === 35) { // flex
+                        curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                        curveTo(s[6], s[7], s[8], s[9], s[10], s[11]);
+                    } else if (b1 === 34) { // hflex
+                        const startY = y;
+                        curveTo(s[0], 0, s[1], s[2], s[3], 0);
+                        curveTo(s[4], 0, s[5], startY - y, s[6], 0);
+                    } else if (b1 === 36) { // hflex1
+                        const startY = y;
+                        curveTo(s[0], s[1], s[2], s[3], s[4], 0);
+                        curveTo(s[5], 0, s[6], s[7], s[8], startY - y - s[7]);
+                    } else if (b1 === 37) { // flex1
+                        const startX = x, startY = y;
+                        const dx = s[0] + s[2] + s[4] + s[6] + s[8];
+                        const dy = s[1] + s[3] + s[5] + s[7] + s[9];
+                        curveTo(s[0], s[1], s[2], s[3], s[4], s[5]);
+                        const horizontal = Math.abs(dx) > Math.abs(dy);
+                        const lastX = horizontal ? s[10] : startX - x - s[6] - s[8];
+                        const lastY = horizontal ? startY - y - s[7] - s[9] : s[10];
+                        curveTo(s[6], s[7], s[8], s[9], lastX, lastY);
+                    }
+                    stack = [];
+                    break;
+                }
+                default:
+                    stack = [];
+            }
+        }
+    };
+
+    execute(item.start, item.end, 0);
+    if (open) commands.push({ type: 'Z', values: [] });
+
+    return commands;
+}
+
+/**
+ * Converte um texto em um único path com os contornos dos glifos
+ * Subpaths dos furos (miolo de "A", "O", "8") mantêm o sentido oposto ao do contorno externo,
+ * então continuam furos com a regra de preenchimento padrão (nonzero) e nos clip-paths
+ * @param {object} font - Fonte retornada por parseFont()/loadFont()
+ * @param {string} text - Texto (quebras de linha geram novas linhas)
+ * @returns {string} String com comandos do path, em unidades da fonte com Y para baixo
+ */
+function textToPathData(font, text) {
+    const commands = [];
+    const lineHeight = font.ascender - font.descender;
+
+    String(text).split(/\r?\n/).forEach((line, lineIndex) => {
+        let cursor = 0;
+        const baseline = lineIndex * lineHeight;
+
+        for (const character of line) {
+            const glyph = font.glyphIndex(character.codePointAt(0));
+
+            font.glyphPath(glyph).forEach(({ type, values }) => {
+                commands.push({
+                    type,
+                    values: values.map((value, i) => i % 2 === 0 ? cursor + value : baseline - value)
+                });
+            });
+
+            cursor += font.advance(glyph);
+        }
+    });
+
+    return serializePathData(commands);
+}
@@ -0,0 +1,730 @@
+/**
+ * Paper Cut Forms Generator - Geometry
+ * Funções puras para manipular dados de path SVG sem depender do DOM
+ */
+
+// Quantidade de valores consumidos por cada comando de path
+const PATH_COMMAND_ARITY = {
+    M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0
+};
+
+// Números em dados de path (aceita "0.5.5", "1e-3", "-2-3")
+const PATH_NUMBER_REGEX = /[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi;
+
+// Faixas horizontais usadas por intersectShapes() para não testar todos os pares de arestas
+const INTERSECT_BANDS = 128;
+
+/**
+ * Converte uma string de path em lista de comandos
+ * @param {string} d - String com comandos do path
+ * @returns {Array<object>} Comandos no formato { type, values }
+ */
+function parsePathData(d) {
+    const commands = (d || '').match(/[MLHVCSQTAZ][^MLHVCSQTAZ]*/gi);
+    if (!commands) return [];
+
+    return commands.map(cmd => ({
+        type: cmd[0],
+        values: cmd[0] === 'A' || cmd[0] === 'a'
+            ? parseArcValues(cmd.slice(1))
+            : (cmd.slice(1).match(PATH_NUMBER_REGEX) || []).map(parseFloat)
+    }));
+}
+
+/**
+ * Lê os valores de um comando de arco, em que as flags podem vir coladas ("0110 10")
+ * @param {string} text - Valores do comando (sem a letra)
+ * @returns {Array<number>} Valores numéricos
+ */
+function parseArcValues(text) {
+    const values = [];
+    const number = new RegExp(`^[\\s,]*(${PATH_NUMBER_REGEX.source})`, 'i');
+    const flag = /^[\s,]*([01])/;
+    let rest = text;
+
+    while (rest.trim()) {
+        // Posições 3 e 4 de cada grupo de 7 são flags de um dígito
+        const match = (values.length % 7 === 3 || values.length % 7 === 4 ? flag : number).exec(rest);
+        if (!match) break;
+        values.push(parseFloat(match[1]));
+        rest = rest.slice(match[0].length);
+    }
+
+    return values;
+}
+
+/**
+ * Converte uma lista de comandos em string de path
+ * @param {Array<object>} commands - Comandos no formato { type, values }
+ * @returns {string} String com comandos do path
+ */
+function serializePathData(commands) {
+    return commands.map(cmd => cmd.type + cmd.values.join(' ')).join('');
+}
+
+/**
+ * Converte um arco elíptico (comando A) em curvas cúbicas, com no máximo 90° cada
+ * Segue a conversão de ponto final para centro da especificação SVG (F.6.5)
+ * @param {number} x1 - X do ponto inicial
+ * @param {number} y1 - Y do ponto inicial
+ * @param {number} rx - Raio X
+ * @param {number} ry - Raio Y
+ * @param {number} angle - Rotação do eixo X da elipse em graus
+ * @param {number} largeArc - Flag de arco maior (0 ou 1)
+ * @param {number} sweep - Flag de sentido (0 ou 1)
+ * @param {number} x2 - X do ponto final
+ * @param {number} y2 - Y do ponto final
+ * @returns {Array<Array<number>>|null} Valores de cada cúbica [c1x, c1y, c2x, c2y, x, y], ou null se o arco for uma reta
+ */
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return null;
+
+    const phi = angle * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+
+    // Ponto inicial no sistema de coordenadas da elipse
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // Raios pequenos demais são ampliados até o arco caber
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const ux = (x1p - cxp) / rx;
+    const uy = (y1p - cyp) / ry;
+    const theta = vectorAngle(1, 0, ux, uy);
+    let delta = vectorAngle(ux, uy, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+
+    const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+    const step = delta / segments;
+    const k = 4 / 3 * Math.tan(step / 4);
+
+    const point = t => [
+        cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+        cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+    ];
+    const derivative = t => [
+        -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+        -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+    ];
+
+    const curves = [];
+    for (let i = 0; i < segments; i++) {
+        const t0 = theta + step * i;
+        const t1 = t0 + step;
+        const p0 = point(t0);
+        const p3 = i === segments - 1 ? [x2, y2] : point(t1);
+        const d0 = derivative(t0);
+        const d1 = derivative(t1);
+
+        curves.push([
+            p0[0] + k * d0[0], p0[1] + k * d0[1],
+            p3[0] - k * d1[0], p3[1] - k * d1[1],
+            p3[0], p3[1]
+        ]);
+    }
+
+    return curves;
+}
+
+/**
+ * Normaliza um path para comandos absolutos M, L, C e Z
+ * H/V viram L, S/Q/T viram C e arcos viram cúbicas (arcToCubics), sem mudar a forma
+ * @param {string} d - String com comandos do path
+ * @returns {Array<object>} Comandos no formato { type, values }
+ */
+function normalizePathData(d) {
+    const result = [];
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let lastCubicControl = null; // Segundo controle da última C/S (reflexo para S)
+    let lastQuadControl = null;  // Controle da última Q/T (reflexo para T)
+    let needsMove = false;
+
+    const lineTo = (px, py) => {
+        result.push({ type: 'L', values: [px, py] });
+        x = px;
+        y = py;
+    };
+
+    const cubicTo = (c1x, c1y, c2x, c2y, px, py) => {
+        result.push({ type: 'C', values: [c1x, c1y, c2x, c2y, px, py] });
+        x = px;
+        y = py;
+    };
+
+    const quadTo = (qx, qy, px, py) => {
+        // Elevação de grau: mesma curva como cúbica
+        cubicTo(
+            x + (qx - x) * 2 / 3, y + (qy - y) * 2 / 3,
+            px + (qx - px) * 2 / 3, py + (qy - py) * 2 / 3,
+            px, py
+        );
+    };
+
+    parsePathData(d).forEach(cmd => {
+        const upper = cmd.type.toUpperCase();
+        const relative = cmd.type !== upper;
+        const arity = PATH_COMMAND_ARITY[upper];
+        const v = cmd.values;
+
+        if (upper === 'Z') {
+            if (result.length && result[result.length - 1].type !== 'Z') {
+                result.push({ type: 'Z', values: [] });
+            }
+            x = startX;
+            y = startY;
+            lastCubicControl = lastQuadControl = null;
+            needsMove = true;
+            return;
+        }
+
+        for (let i = 0; i + arity <= v.length; i += arity) {
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+            let cubicControl = null;
+            let quadControl = null;
+
+            if (upper === 'M' && i === 0) {
+                x = startX = v[i] + ox;
+                y = startY = v[i + 1] + oy;
+                result.push({ type: 'M', values: [x, y] });
+                needsMove = false;
+                continue;
+            }
+
+            // Depois de Z, o próximo subpath começa no ponto inicial do anterior
+            if (needsMove) {
+                result.push({ type: 'M', values: [x, y] });
+                startX = x;
+                startY = y;
+                needsMove = false;
+            }
+
+            if (upper === 'M' || upper === 'L') {
+                lineTo(v[i] + ox, v[i + 1] + oy);
+            } else if (upper === 'H') {
+                lineTo(v[i] + ox, y);
+            } else if (upper === 'V') {
+                lineTo(x, v[i] + oy);
+            } else if (upper === 'C' || upper === 'S') {
+                const [c1x, c1y] = upper === 'C'
+                    ? [v[i] + ox, v[i + 1] + oy]
+                    : (lastCubicControl ? [2 * x - lastCubicControl[0], 2 * y - lastCubicControl[1]] : [x, y]);
+                const j = upper === 'C' ? i + 2 : i;
+                cubicControl = [v[j] + ox, v[j + 1] + oy];
+                cubicTo(c1x, c1y, cubicControl[0], cubicControl[1], v[j + 2] + ox, v[j + 3] + oy);
+            } else if (upper === 'Q' || upper === 'T') {
+                quadControl = upper === 'Q'
+                    ? [v[i] + ox, v[i + 1] + oy]
+                    : (lastQuadControl ? [2 * x - lastQuadControl[0], 2 * y - lastQuadControl[1]] : [x, y]);
+                const j = upper === 'Q' ? i + 2 : i;
+                quadTo(quadControl[0], quadControl[1], v[j] + ox, v[j + 1] + oy);
+            } else if (upper === 'A') {
+                const endX = v[i + 5] + ox;
+                const endY = v[i + 6] + oy;
+                const curves = arcToCubics(x, y, v[i], v[i + 1], v[i + 2], v[i + 3] ? 1 : 0, v[i + 4] ? 1 : 0, endX, endY);
+
+                if (curves === null) {
+                    lineTo(endX, endY);
+                } else {
+                    curves.forEach(curve => cubicTo(...curve));
+                }
+            }
+
+            lastCubicControl = cubicControl;
+            lastQuadControl = quadControl;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Descreve um círculo como path (dois arcos de 180°)
+ * @param {number} cx - Centro X
+ * @param {number} cy - Centro Y
+ * @param {number} r - Raio
+ * @returns {string} String com comandos do path
+ */
+function circleToPathData(cx, cy, r) {
+    return `M${cx - r} ${cy}A${r} ${r} 0 1 0 ${cx + r} ${cy}A${r} ${r} 0 1 0 ${cx - r} ${cy}Z`;
+}
+
+/**
+ * Descreve um retângulo como path
+ * @param {number} x - Posição X
+ * @param {number} y - Posição Y
+ * @param {number} width - Largura
+ * @param {number} height - Altura
+ * @returns {string} String com comandos do path
+ */
+function rectToPathData(x, y, width, height) {
+    return `M${x} ${y}H${x + width}V${y + height}H${x}Z`;
+}
+
+/**
+ * Aplica escala e translação alinhadas aos eixos em todos os comandos de um path
+ * Comandos relativos recebem apenas a escala
+ * @param {Array<object>} commands - Comandos no formato { type, values }
+ * @param {number} scaleX - Escala horizontal
+ * @param {number} scaleY - Escala vertical
+ * @param {number} translateX - Translação horizontal
+ * @param {number} translateY - Translação vertical
+ * @returns {Array<object>} Novos comandos transformados
+ */
+function scalePathCommands(commands, scaleX, scaleY, translateX = 0, translateY = 0) {
+    return commands.map(cmd => {
+        const upper = cmd.type.toUpperCase();
+        const relative = cmd.type !== upper;
+        const tx = relative ? 0 : translateX;
+        const ty = relative ? 0 : translateY;
+        const mapX = x => x * scaleX + tx;
+        const mapY = y => y * scaleY + ty;
+
+        const values = cmd.values.map((value, index) => {
+            if (upper === 'H') return mapX(value);
+            if (upper === 'V') return mapY(value);
+            if (upper === 'A') {
+                switch (index % 7) {
+                    case 0: return value * Math.abs(scaleX);
+                    case 1: return value * Math.abs(scaleY);
+                    case 5: return mapX(value);
+                    case 6: return mapY(value);
+                    default: return value;
+                }
+            }
+            return index % 2 === 0 ? mapX(value) : mapY(value);
+        });
+
+        return { type: cmd.type, values };
+    });
+}
+
+/**
+ * Calcula os valores de t (0-1) onde uma curva de Bézier atinge extremos em um eixo
+ * @param {Array<number>} p - Coordenadas dos pontos de controle (3 ou 4 valores)
+ * @returns {Array<number>} Valores de t dos extremos dentro do intervalo aberto
+ */
+function bezierExtrema(p) {
+    const roots = [];
+
+    if (p.length === 3) {
+        const denominator = p[0] - 2 * p[1] + p[2];
+        if (denominator !== 0) roots.push((p[0] - p[1]) / denominator);
+    } else {
+        // Derivada da cúbica: a*t^2 + b*t + c
+        const a = -p[0] + 3 * p[1] - 3 * p[2] + p[3];
+        const b = 2 * (p[0] - 2 * p[1] + p[2]);
+        const c = p[1] - p[0];
+
+        if (Math.abs(a) < 1e-12) {
+            if (b !== 0) roots.push(-c / b);
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant >= 0) {
+                const sqrt = Math.sqrt(discriminant);
+                roots.push((-b + sqrt) / (2 * a), (-b - sqrt) / (2 * a));
+            }
+        }
+    }
+
+    return roots.filter(t => t > 0 && t < 1);
+}
+
+/**
+ * Avalia uma curva de Bézier (quadrática ou cúbica) em um eixo
+ * @param {Array<number>} p - Coordenadas dos pontos de controle (3 ou 4 valores)
+ * @param {number} t - Parâmetro da curva (0-1)
+ * @returns {number} Coordenada no parâmetro t
+ */
+function bezierPoint(p, t) {
+    const mt = 1 - t;
+    if (p.length === 3) {
+        return mt * mt * p[0] + 2 * mt * t * p[1] + t * t * p[2];
+    }
+    return mt * mt * mt * p[0] + 3 * mt * mt * t * p[1] + 3 * mt * t * t * p[2] + t * t * t * p[3];
+}
+
+/**
+ * Calcula a bounding box exata de um path, equivalente a getBBox() do navegador
+ * Aceita todos os comandos (ver normalizePathData); arcos usam a aproximação cúbica
+ * @param {string} d - String com comandos do path
+ * @returns {object} Objeto com x, y, width e height
+ */
+function getPathBBox(d) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    let x = 0, y = 0, startX = 0, startY = 0;
+
+    const include = (px, py) => {
+        minX = Math.min(minX, px);
+        maxX = Math.max(maxX, px);
+        minY = Math.min(minY, py);
+        maxY = Math.max(maxY, py);
+    };
+
+    normalizePathData(d).forEach(({ type, values: v }) => {
+        if (type === 'Z') {
+            x = startX;
+            y = startY;
+            return;
+        }
+
+        if (type === 'C') {
+            const xs = [x, v[0], v[2], v[4]];
+            const ys = [y, v[1], v[3], v[5]];
+            bezierExtrema(xs).forEach(t => include(bezierPoint(xs, t), bezierPoint(ys, t)));
+            bezierExtrema(ys).forEach(t => include(bezierPoint(xs, t), bezierPoint(ys, t)));
+        }
+
+        x = v[v.length - 2];
+        y = v[v.length - 1];
+        if (type === 'M') {
+            startX = x;
+            startY = y;
+        }
+
+        include(x, y);
+    });
+
+    if (minX === Infinity) {
+        return { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Redimensiona um path para a largura informada mantendo a proporção
+ * Mesmo comportamento de path.size(width) do SVG.js
+ * @param {string} d - String com comandos do path
+ * @param {number} width - Nova largura
+ * @returns {string} String com comandos do path redimensionado
+ */
+function resizePathData(d, width) {
+    const box = getPathBBox(d);
+    if (box.width === 0) return d;
+
+    const height = width * box.height / box.width;
+    const scaleX = width / box.width;
+    const scaleY = box.height === 0 ? 1 : height / box.height;
+
+    return serializePathData(scalePathCommands(
+        parsePathData(d),
+        scaleX,
+        scaleY,
+        box.x - box.x * scaleX,
+        box.y - box.y * scaleY
+    ));
+}
+
+/**
+ * Move um path para que o centro da sua bounding box fique em (cx, cy)
+ * @param {string} d - String com comandos do path
+ * @param {number} cx - Centro horizontal desejado
+ * @param {number} cy - Centro vertical desejado
+ * @returns {string} String com comandos do path centralizado
+ */
+function centerPathData(d, cx, cy) {
+    const box = getPathBBox(d);
+    const dx = cx - (box.x + box.width / 2);
+    const dy = cy - (box.y + box.height / 2);
+
+    return serializePathData(scalePathCommands(parsePathData(d), 1, 1, dx, dy));
+}
+
+/**
+ * Converte um path em polilinhas (uma por subpath), aproximando curvas por segmentos
+ * Aceita todos os comandos (ver normalizePathData)
+ * @param {string} d - String com comandos do path
+ * @param {number} curveSegments - Segmentos usados para aproximar cada curva
+ * @returns {Array<Array<Array<number>>>} Subpaths como arrays de pontos [x, y]
+ */
+function flattenPathData(d, curveSegments = 16) {
+    const polylines = [];
+    let current = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+
+    const lineTo = (px, py) => {
+        current.push([px, py]);
+        x = px;
+        y = py;
+    };
+
+    normalizePathData(d).forEach(({ type, values: v }) => {
+        if (type === 'M') {
+            x = startX = v[0];
+            y = startY = v[1];
+            current = [[x, y]];
+            polylines.push(current);
+        } else if (type === 'Z') {
+            if (x !== startX || y !== startY) lineTo(startX, startY);
+        } else if (type === 'L') {
+            lineTo(v[0], v[1]);
+        } else {
+            const xs = [x, v[0], v[2], v[4]];
+            const ys = [y, v[1], v[3], v[5]];
+            for (let s = 1; s <= curveSegments; s++) {
+                const t = s / curveSegments;
+                lineTo(bezierPoint(xs, t), bezierPoint(ys, t));
+            }
+        }
+    });
+
+    return polylines.filter(points => points.length > 1);
+}
+
+/**
+ * Rotaciona pontos em torno de um centro (mesmo sentido de transform="rotate()")
+ * @param {Array<Array<number>>} points - Pontos [x, y]
+ * @param {number} degrees - Ângulo em graus
+ * @param {number} cx - Centro X
+ * @param {number} cy - Centro Y
+ * @returns {Array<Array<number>>} Pontos rotacionados
+ */
+function rotatePoints(points, degrees, cx, cy) {
+    const angle = degrees * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return points.map(([px, py]) => [
+        cx + (px - cx) * cos - (py - cy) * sin,
+        cy + (px - cx) * sin + (py - cy) * cos
+    ]);
+}
+
+/**
+ * Calcula a área com sinal de um polígono (fórmula do laço)
+ * @param {Array<Array<number>>} points - Vértices [x, y]
+ * @returns {number} Área com sinal (o sinal indica a orientação)
+ */
+function polygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+}
+
+/**
+ * Verifica se um ponto está dentro de um polígono (regra par-ímpar)
+ * @param {Array<number>} point - Ponto [x, y]
+ * @param {Array<Array<number>>} points - Vértices do polígono
+ * @returns {boolean} True se o ponto estiver dentro
+ */
+function isPointInPolygon(point, points) {
+    const [x, y] = point;
+    let inside = false;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Verifica se um ponto está dentro de uma forma com vários contornos (regra par-ímpar, como o fill do SVG)
+ * @param {Array<number>} point - Ponto [x, y]
+ * @param {Array<Array<Array<number>>>} polygons - Contornos da forma
+ * @returns {boolean} True se o ponto estiver dentro
+ */
+function isPointInShape(point, polygons) {
+    return polygons.filter(points => isPointInPolygon(point, points)).length % 2 === 1;
+}
+
+/**
+ * Interseção de duas formas com vários contornos (regra par-ímpar), pelo algoritmo de Greiner-Hormann
+ * Furos e contornos que se cruzam são aceitos; pontos exatamente sobre a borda da outra forma são raros
+ * com contornos distorcidos e não recebem tratamento especial
+ * @param {Array<Array<Array<number>>>} subject - Contornos da forma recortada (sem repetir o primeiro ponto)
+ * @param {Array<Array<Array<number>>>} clip - Contornos da forma de recorte
+ * @returns {Array<Array<Array<number>>>} Contornos da interseção
+ */
+function intersectShapes(subject, clip) {
+    const createNodes = contours => contours.filter(points => points.length >= 3).map(points =>
+        points.map(([x, y]) => ({ x, y, intersect: false, crossings: [] }))
+    );
+    const subjectNodes = createNodes(subject);
+    const clipNodes = createNodes(clip);
+    if (!subjectNodes.length || !clipNodes.length) return [];
+
+    // Arestas com a caixa e as faixas horizontais que ocupam (para testar só as arestas próximas)
+    const edges = contours => {
+        const list = [];
+        contours.forEach(contour => contour.forEach((a, i) => {
+            const b = contour[(i + 1) % contour.length];
+            list.push({ a, b, minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y), maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y) });
+        }));
+        return list;
+    };
+    const subjectEdges = edges(subjectNodes);
+    const clipEdges = edges(clipNodes);
+
+    const all = [...subjectEdges, ...clipEdges];
+    const top = Math.min(...all.map(edge => edge.minY));
+    const bandHeight = Math.max(Math.max(...all.map(edge => edge.maxY)) - top, 1e-9) / INTERSECT_BANDS;
+    const band = y => Math.min(INTERSECT_BANDS - 1, Math.floor((y - top) / bandHeight));
+
+    const bands = Array.from({ length: INTERSECT_BANDS }, () => []);
+    clipEdges.forEach(edge => {
+        for (let k = band(edge.minY); k <= band(edge.maxY); k++) bands[k].push(edge);
+    });
+
+    // Cruzamentos entre as arestas: um nó em cada forma, ligados por neighbor
+    subjectEdges.forEach(({ a: s1, b: s2, minX: sMinX, minY: sMinY, maxX: sMaxX, maxY: sMaxY }) => {
+        const firstBand = band(sMinY);
+
+        for (let k = firstBand; k <= band(sMaxY); k++) bands[k].forEach(({ a: c1, b: c2, minX: cMinX, minY: cMinY, maxX: cMaxX, maxY: cMaxY }) => {
+            // Cada par é testado só na primeira faixa comum, para não duplicar cruzamentos
+            if (k !== Math.max(firstBand, band(cMinY))) return;
+            if (cMaxX < sMinX || cMinX > sMaxX || cMaxY < sMinY || cMinY > sMaxY) return;
+
+            const denominator = (s2.x - s1.x) * (c2.y - c1.y) - (s2.y - s1.y) * (c2.x - c1.x);
+            if (denominator === 0) return;
+
+            const alphaS = ((c1.x - s1.x) * (c2.y - c1.y) - (c1.y - s1.y) * (c2.x - c1.x)) / denominator;
+            const alphaC = ((c1.x - s1.x) * (s2.y - s1.y) - (c1.y - s1.y) * (s2.x - s1.x)) / denominator;
+            if (alphaS <= 0 || alphaS >= 1 || alphaC <= 0 || alphaC >= 1) return;
+
+            const x = s1.x + alphaS * (s2.x - s1.x);
+            const y = s1.y + alphaS * (s2.y - s1.y);
+            const onSubject = { x, y, intersect: true, alpha: alphaS };
+            const onClip = { x, y, intersect: true, alpha: alphaC };
+            onSubject.neighbor = onClip;
+            onClip.neighbor = onSubject;
+            s1.crossings.push(onSubject);
+            c1.crossings.push(onClip);
+        });
+    });
+
+    // Listas circulares com os cruzamentos na ordem de cada aresta; entry alterna a cada cruzamento,
+    // a partir de o primeiro vértice estar fora ou dentro da outra forma
+    const link = (contours, other) => contours.map(contour => {
+        const nodes = [];
+        contour.forEach(node => {
+            nodes.push(node, ...node.crossings.sort((a, b) => a.alpha - b.alpha));
+        });
+        nodes.forEach((node, i) => {
+            node.next = nodes[(i + 1) % nodes.length];
+            node.prev = nodes[(i - 1 + nodes.length) % nodes.length];
+        });
+
+        let entry = !isPointInShape([contour[0].x, contour[0].y], other);
+        nodes.filter(node => node.intersect).forEach(node => {
+            node.entry = entry;
+            entry = !entry;
+        });
+
+        return nodes;
+    });
+    const subjectLists = link(subjectNodes, clip);
+    link(clipNodes, subject);
+
+    // Percurso: segue a borda que está dentro da outra forma e troca de forma a cada cruzamento
+    const result = [];
+    subjectLists.forEach(nodes => nodes.forEach(start => {
+        if (!start.intersect || start.visited) return;
+
+        const points = [];
+        let current = start;
+        do {
+            current.visited = true;
+            current.neighbor.visited = true;
+            points.push([current.x, current.y]);
+            const forward = current.entry;
+            do {
+                current = forward ? current.next : current.prev;
+                if (!current.intersect) points.push([current.x, current.y]);
+            } while (!current.intersect);
+            current = current.neighbor;
+        } while (!current.visited);
+
+        if (points.length >= 3) result.push(points);
+    }));
+
+    // Contornos sem cruzamentos entram inteiros se estiverem dentro da outra forma
+    const whole = (contours, other) => contours
+        .filter(contour => contour.every(node => !node.crossings.length))
+        .filter(contour => isPointInShape([contour[0].x, contour[0].y], other))
+        .map(contour => contour.map(node => [node.x, node.y]));
+
+    return [...result, ...whole(subjectNodes, clip), ...whole(clipNodes, subject)];
+}
+
+/**
+ * Desloca o contorno de um polígono fechado para fora (distância positiva) ou para dentro
+ * Usa junções em meia-esquadria limitadas a 4x a distância
+ * @param {Array<Array<number>>} points - Vértices [x, y] (sem repetir o primeiro no final)
+ * @param {number} distance - Distância do deslocamento
+ * @returns {Array<Array<number>>} Vértices deslocados
+ */
+function offsetPolygon(points, distance) {
+    // Remover vértices repetidos (arestas de comprimento zero)
+    const clean = points.filter((point, i) => {
+        const next = points[(i + 1) % points.length];
+        return Math.hypot(next[0] - point[0], next[1] - point[1]) > 1e-9;
+    });
+
+    if (distance === 0 || clean.length < 3) return clean;
+
+    const orientation = polygonArea(clean) > 0 ? 1 : -1;
+    const normals = clean.map((point, i) => {
+        const next = clean[(i + 1) % clean.length];
+        const dx = next[0] - point[0];
+        const dy = next[1] - point[1];
+        const length = Math.hypot(dx, dy);
+        return [orientation * dy / length, -orientation * dx / length];
+    });
+
+    const miterLimit = 4;
+
+    return clean.map((point, i) => {
+        const n1 = normals[(i - 1 + clean.length) % clean.length];
+        const n2 = normals[i];
+        let nx = n1[0] + n2[0];
+        let ny = n1[1] + n2[1];
+        const length = Math.hypot(nx, ny);
+
+        // Arestas opostas (ponta de 180°): usar a normal da aresta seguinte
+        if (length < 1e-9) {
+            nx = n2[0];
+            ny = n2[1];
+        } else {
+            nx /= length;
+            ny /= length;
+        }
+
+        const cosHalf = Math.max(nx * n2[0] + ny * n2[1], 1 / miterLimit);
+        const miter = distance / cosHalf;
+
+        return [point[0] + nx * miter, point[1] + ny * miter];
+    });
+}
@@ -0,0 +1,318 @@
+/**
+ * Paper Cut Forms Generator - Gradient Jobs
+ * Fila dos bitmaps de gradiente com ruído, calculados em Web Workers (gradient-worker.js)
+ * A arte é desenhada na hora com prévias (gradiente radial simples) e cada padrão troca para
+ * a imagem pronta assim que ela chega; mudanças de parâmetro cancelam os cálculos obsoletos
+ * Sem suporte a workers (ex: página aberta via file://), os cálculos rodam na página, um por tarefa
+ */
+
+const gradientJobs = {
+    slots: null,            // Executores { worker, job }; worker null = cálculo na própria página
+    queue: [],              // Jobs aguardando um executor
+    pending: new Map(),     // Chave → job na fila ou em andamento
+    cache: new Map(),       // Chave → data URL, do uso mais antigo para o mais recente
+    wanted: new Map(),      // Chave → IDs dos padrões da arte atual que esperam a imagem
+    held: new Map(),        // Chave → callbacks de loadGradientImages() (jobs que a página não cancela)
+    waiters: [],            // Resolvedores de whenGradientPatternsReady()
+    nextId: 1
+};
+
+// Sufixo de versão deste script (ex: "?v=16", da tag em index.html), repassado ao worker
+const GRADIENT_SCRIPT_VERSION = document.currentScript ? new URL(document.currentScript.src).search : '';
+
+/**
+ * Chave de cache de um pedido: tudo que muda os pixels do padrão
+ * @param {object} request - Pedido de createNoiseGradientPattern() { color1, color2, layerIndex, options }
+ * @returns {string} Chave
+ */
+function getGradientJobKey(request) {
+    const { color1, color2, layerIndex, options } = request;
+    const { intensity, scale, octaves, seed, patternSize, colorSpace } = options;
+    return [color1, color2, layerIndex, intensity, scale, octaves, seed, patternSize, colorSpace].join('|');
+}
+
+/**
+ * Cria um worker de gradientes ligado a um executor
+ * @param {object} slot - Executor { worker, job }
+ * @returns {Worker} Worker criado
+ */
+function createGradientWorker(slot) {
+    const worker = new Worker(`js/gradient-worker.js${GRADIENT_SCRIPT_VERSION}`);
+    worker.onmessage = event => handleGradientWorkerMessage(slot, event.data);
+    worker.onerror = event => {
+        event.preventDefault();
+        console.warn('Erro no worker de gradientes, calculando na página:', event.message);
+        fallBackToInlineGradientJobs();
+    };
+    return worker;
+}
+
+/**
+ * Cria os executores na primeira vez em que são necessários
+ * Um worker por núcleo livre (até CONFIG.gradients.maxWorkers), ou um executor na página
+ */
+function initGradientSlots() {
+    if (gradientJobs.slots) return;
+
+    const count = Math.min(CONFIG.gradients.maxWorkers, Math.max(1, (navigator.hardwareConcurrency || 2) - 1));
+    gradientJobs.slots = [];
+
+    try {
+        for (let i = 0; i < count; i++) {
+            const slot = { worker: null, job: null };
+            slot.worker = createGradientWorker(slot);
+            gradientJobs.slots.push(slot);
+        }
+    } catch (error) {
+        console.warn('Web Workers indisponíveis, calculando gradientes na página:', error);
+        fallBackToInlineGradientJobs();
+    }
+}
+
+/**
+ * Troca os workers por um executor na página, devolvendo à fila os jobs que estavam com eles
+ */
+function fallBackToInlineGradientJobs() {
+    // Vários workers podem falhar juntos; só o primeiro erro troca os executores
+    if (gradientJobs.slots && gradientJobs.slots.length && gradientJobs.slots.every(slot => !slot.worker)) return;
+
+    const running = (gradientJobs.slots || []).map(slot => {
+        if (slot.worker) slot.worker.terminate();
+        return slot.job;
+    }).filter(Boolean);
+
+    gradientJobs.slots = [{ worker: null, job: null }];
+    gradientJobs.queue.unshift(...running);
+    pumpGradientJobs();
+}
+
+/**
+ * Pede a imagem de um padrão (options.resolveImage de buildArtwork)
+ * @param {object} request - Pedido { id, color1, color2, layerIndex, options }
+ * @returns {string|null} Data URL em cache, ou null se a imagem foi enfileirada
+ */
+function resolveGradientImage(request) {
+    const key = getGradientJobKey(request);
+
+    if (gradientJobs.cache.has(key)) {
+        // Reinsere para marcar como usado recentemente
+        const dataUrl = gradientJobs.cache.get(key);
+        gradientJobs.cache.delete(key);
+        gradientJobs.cache.set(key, dataUrl);
+        return dataUrl;
+    }
+
+    if (!gradientJobs.wanted.has(key)) gradientJobs.wanted.set(key, new Set());
+    gradientJobs.wanted.get(key).add(request.id);
+    queueGradientJob(key, request);
+
+    return null;
+}
+
+/**
+ * Enfileira o cálculo de uma imagem, se ele ainda não estiver na fila ou em andamento
+ * @param {string} key - Chave do pedido (ver getGradientJobKey)
+ * @param {object} request - Pedido { color1, color2, layerIndex, options }
+ */
+function queueGradientJob(key, request) {
+    if (gradientJobs.pending.has(key)) return;
+
+    const { color1, color2, layerIndex, options } = request;
+    const job = { id: gradientJobs.nextId++, key, request: { color1, color2, layerIndex, options } };
+    gradientJobs.pending.set(key, job);
+    gradientJobs.queue.push(job);
+}
+
+/**
+ * Calcula imagens fora da arte da página (ex: quadros do SVG animado), nos mesmos executores
+ * Renderizações da página durante a espera não cancelam esses jobs
+ * @param {Array<object>} requests - Pedidos { id, color1, color2, layerIndex, options } (ver resolveGradientImage)
+ * @returns {Promise<Map>} Chave (ver getGradientJobKey) → data URL; imagens que falharam ficam de fora
+ */
+function loadGradientImages(requests) {
+    const images = new Map();
+
+    const waits = requests.map(request => {
+        const key = getGradientJobKey(request);
+        if (gradientJobs.cache.has(key)) {
+            images.set(key, gradientJobs.cache.get(key));
+            return null;
+        }
+
+        queueGradientJob(key, request);
+        return new Promise(resolve => {
+            if (!gradientJobs.held.has(key)) gradientJobs.held.set(key, []);
+            gradientJobs.held.get(key).push(dataUrl => {
+                if (dataUrl) images.set(key, dataUrl);
+                resolve();
+            });
+        });
+    }).filter(Boolean);
+
+    pumpGradientJobs();
+    return Promise.all(waits).then(() => images);
+}
+
+/**
+ * Entrega o resultado de um job às esperas de loadGradientImages()
+ * @param {string} key - Chave do job
+ * @param {string|null} dataUrl - Imagem pronta, ou null se o cálculo falhou
+ */
+function releaseHeldGradientJob(key, dataUrl) {
+    const callbacks = gradientJobs.held.get(key);
+    if (!callbacks) return;
+
+    gradientJobs.held.delete(key);
+    callbacks.forEach(callback => callback(dataUrl));
+}
+
+/**
+ * Prepara uma nova renderização da página: a lista de imagens esperadas recomeça do zero
+ */
+function beginGradientRender() {
+    gradientJobs.wanted = new Map();
+}
+
+/**
+ * Fecha uma renderização: cancela os jobs que a arte nova não usa e distribui os demais
+ * Jobs na fila são descartados; workers ocupados com um job obsoleto são substituídos,
+ * já que um cálculo em andamento não pode ser interrompido
+ */
+function finishGradientRender() {
+    const { wanted, held } = gradientJobs;
+
+    gradientJobs.queue = gradientJobs.queue.filter(job => {
+        if (wanted.has(job.key) || held.has(job.key)) return true;
+        gradientJobs.pending.delete(job.key);
+        return false;
+    });
+
+    (gradientJobs.slots || []).forEach(slot => {
+        if (!slot.job || wanted.has(slot.job.key) || held.has(slot.job.key)) return;
+
+        gradientJobs.pending.delete(slot.job.key);
+        slot.job = null;
+        if (slot.worker) {
+            slot.worker.terminate();
+            slot.worker = createGradientWorker(slot);
+        }
+    });
+
+    pumpGradientJobs();
+    settleGradientWaiters();
+}
+
+/**
+ * Entrega os jobs da fila aos executores livres
+ */
+function pumpGradientJobs() {
+    if (!gradientJobs.queue.length) return;
+    initGradientSlots();
+
+    gradientJobs.slots.forEach(slot => {
+        if (slot.job || !gradientJobs.queue.length) return;
+
+        const job = gradientJobs.queue.shift();
+        slot.job = job;
+
+        if (slot.worker) {
+            slot.worker.postMessage({ id: job.id, ...job.request });
+        } else {
+            // Um padrão por tarefa, para a página continuar respondendo entre eles
+            setTimeout(() => runGradientJobInline(slot, job), 0);
+        }
+    });
+}
+
+/**
+ * Calcula um job na própria página (sem workers)
+ * @param {object} slot - Executor
+ * @param {object} job - Job { id, key, request }
+ */
+function runGradientJobInline(slot, job) {
+    if (slot.job !== job) return; // Cancelado enquanto aguardava
+
+    const { color1, color2, layerIndex, options } = job.request;
+    const { pixels, size } = computeNoiseGradientPixels(color1, color2, layerIndex, options);
+    slot.job = null;
+    completeGradientJob(job, encodePixelsToDataUrl(pixels, size, size));
+    pumpGradientJobs();
+}
+
+/**
+ * Recebe o resultado de um worker
+ * @param {object} slot - Executor do worker
+ * @param {object} data - Mensagem { id, dataUrl } ou { id, pixels, size } ou { id, error }
+ */
+function handleGradientWorkerMessage(slot, data) {
+    const job = slot.job;
+    if (!job || job.id !== data.id) return;
+    slot.job = null;
+
+    if (data.error) {
+        console.error('Erro ao calcular gradiente:', data.error);
+        gradientJobs.pending.delete(job.key);
+        gradientJobs.wanted.delete(job.key);
+        releaseHeldGradientJob(job.key, null);
+        settleGradientWaiters();
+    } else {
+        completeGradientJob(job, data.dataUrl || encodePixelsToDataUrl(data.pixels, data.size, data.size));
+    }
+
+    pumpGradientJobs();
+}
+
+/**
+ * Guarda a imagem pronta e a mostra nos padrões da arte atual que a esperam
+ * @param {object} job - Job concluído
+ * @param {string} dataUrl - Data URL PNG
+ */
+function completeGradientJob(job, dataUrl) {
+    gradientJobs.pending.delete(job.key);
+    gradientJobs.cache.set(job.key, dataUrl);
+    while (gradientJobs.cache.size > CONFIG.gradients.cacheSize) {
+        gradientJobs.cache.delete(gradientJobs.cache.keys().next().value);
+    }
+
+    const ids = gradientJobs.wanted.get(job.key);
+    if (ids) {
+        ids.forEach(id => showGradientImage(id, { dataUrl, size: job.request.options.patternSize }));
+        gradientJobs.wanted.delete(job.key);
+    }
+
+    releaseHeldGradientJob(job.key, dataUrl);
+    settleGradientWaiters();
+}
+
+/**
+ * Troca a prévia de um padrão da página pela imagem pronta
+ * @param {string} patternId - ID do padrão
+ * @param {object} patternData - Dados do padrão { dataUrl, size }
+ */
+function showGradientImage(patternId, patternData) {
+    const pattern = document.getElementById(patternId);
+    if (!pattern) return;
+
+    const preview = document.getElementById(`${patternId}-preview`);
+    if (preview) preview.remove();
+    pattern.innerHTML = createNoiseGradientImage(patternData).toString();
+}
+
+/**
+ * Resolve as esperas de whenGradientPatternsReady() se nenhuma imagem estiver pendente
+ */
+function settleGradientWaiters() {
+    if (gradientJobs.wanted.size > 0) return;
+    gradientJobs.waiters.splice(0).forEach(resolve => resolve());
+}
+
+/**
+ * Aguarda todas as imagens de gradiente da arte atual (usado antes de exportar)
+ * @returns {Promise} Resolvida quando não houver prévias na página
+ */
+function whenGradientPatternsReady() {
+    return new Promise(resolve => {
+        gradientJobs.waiters.push(resolve);
+        settleGradientWaiters();
+    });
+}
@@ -0,0 +1,40 @@
+/**
+ * Paper Cut Forms Generator - Gradient Worker
+ * Calcula os bitmaps dos gradientes com ruído fora da thread da página (ver gradient-jobs.js)
+ *
+ * Mensagem recebida: { id, color1, color2, layerIndex, options } (argumentos de computeNoiseGradientPixels)
+ * Resposta: { id, dataUrl } com OffscreenCanvas; sem ele, { id, pixels, size } para a página codificar
+ */
+
+// Mesmo sufixo de versão do worker (ex: "?v=16", repassado por gradient-jobs.js), para não misturar scripts de deploys diferentes
+const WORKER_SCRIPT_VERSION = self.location.search;
+importScripts(...['utils.js', 'color.js', 'noise.js', 'gradient.js'].map(file => file + WORKER_SCRIPT_VERSION));
+
+/**
+ * Codifica pixels RGBA como data URL PNG com OffscreenCanvas
+ * @param {Uint8ClampedArray} pixels - Pixels RGBA
+ * @param {number} size - Lado da imagem em pixels
+ * @returns {Promise<string>} Data URL PNG
+ */
+async function encodePixelsOffscreen(pixels, size) {
+    const canvas = new OffscreenCanvas(size, size);
+    canvas.getContext('2d').putImageData(new ImageData(pixels, size, size), 0, 0);
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new FileReaderSync().readAsDataURL(blob);
+}
+
+self.onmessage = async function(event) {
+    const { id, color1, color2, layerIndex, options } = event.data;
+
+    try {
+        const { pixels, size } = computeNoiseGradientPixels(color1, color2, layerIndex, options);
+
+        if (typeof OffscreenCanvas !== 'undefined') {
+            self.postMessage({ id, dataUrl: await encodePixelsOffscreen(pixels, size) });
+        } else {
+            self.postMessage({ id, pixels, size }, [pixels.buffer]);
+        }
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -1,15 +1,16 @@
 /**
  * Paper Cut Forms Generator - Gradient System (Vetorial)
  * Gera gradientes vetoriais puros (textura aplicada separadamente via filtro)
+ * As funções que recebem `svg` aceitam qualquer objeto com defs() (ver svg-document.js)
  */
 
 /**
  * Cria gradiente radial puro (sem textura embutida)
- * @param {object} svg - Instância SVG.js
+ * @param {SvgDocument} svg - Documento SVG (ver svg-document.js)
  * @param {string} gradientId - ID único para o gradiente
  * @param {string} color1 - Cor inicial em hex
  * @param {string} color2 - Cor final em hex
- * @returns {object} Gradiente SVG criado
+ * @returns {SvgNode} Gradiente criado
  */
 function createPureGradient(svg, gradientId, color1, color2) {
     // Remover gradiente existente se já existe
@@ -19,40 +20,46 @@ function createPureGradient(svg, gradientId, color1, color2) {
     }
 
     // Criar gradiente radial simples e limpo
-    const gradient = svg.defs().gradient('radial', (add) => {
-        add.stop(0, color1);
-        add.stop(1, color2);
-    });
-
-    gradient.attr({
+    const gradient = svg.defs().element('radialGradient', {
         id: gradientId,
         cx: '50%',
         cy: '50%',
         r: '50%'
     });
 
+    gradient.element('stop', { offset: 0, 'stop-color': color1 });
+    gradient.element('stop', { offset: 1, 'stop-color': color2 });
+
     return gradient;
 }
 
+// Número de fatias usadas para aproximar um gradiente cônico (SVG não tem conic gradient nativo)
+const CONIC_GRADIENT_SEGMENTS = 90;
+
 /**
- * Cria um gradiente radial distorcido para uma forma
+ * Cria um gradiente vetorial distorcido para uma forma
+ * As paradas intermediárias têm posição e cor perturbadas por ruído (intensity)
  * @param {string} id - ID único para o gradiente
- * @param {string} color1 - Cor inicial em hex
+ * @param {string} color1 - Cor inicial em hex (centro do radial, início do linear e do cônico)
  * @param {string} color2 - Cor final em hex
  * @param {number} layerIndex - Índice da camada (para seed único)
  * @param {object} options - Opções de distorção
  * @param {number} options.intensity - Intensidade da distorção (0-100)
  * @param {number} options.complexity - Complexidade do gradiente (número de stops intermediários)
  * @param {number} options.seed - Seed para geração determinística
- * @param {string} options.type - Tipo de gradiente ('radial' ou 'linear')
- * @returns {object} Dados do gradiente distorcido
+ * @param {string} options.type - Tipo de gradiente ('radial', 'linear' ou 'conic')
+ * @param {number} options.angle - Direção do linear e início do cônico, em graus (0 = para a direita)
+ * @param {string} options.colorSpace - Espaço de interpolação das cores (ver COLOR_SPACES)
+ * @returns {object} Dados do gradiente distorcido { id, type, angle, colorSpace, stops }
  */
 function createDistortedGradient(id, color1, color2, layerIndex, options = {}) {
     const {
         intensity = 50,
         complexity = 5,
-        seed = Math.random() * 1000,
-        type = 'radial'
+        seed = 12345,
+        type = 'radial',
+        angle = 45,
+        colorSpace = 'srgb'
     } = options;
 
     const simplex = new SimplexNoise(seed + layerIndex * 456.789);
@@ -75,7 +82,7 @@ function createDistortedGradient(id, color1, color2, layerIndex, options = {}) {
         let position = Math.max(0, Math.min(1, basePosition + distortion));
 
         // Gerar cor intermediária
-        const baseColor = interpolateColor(color1, color2, basePosition);
+        const baseColor = interpolateColor(color1, color2, basePosition, colorSpace);
 
         // Adicionar variação sutil à cor usando ruído
         const colorVariation = simplex.noise(
@@ -103,19 +110,84 @@ function createDistortedGradient(id, color1, color2, layerIndex, options = {}) {
     return {
         id,
         type,
+        angle,
+        colorSpace,
         stops
     };
 }
 
+/**
+ * Cor de um gradiente distorcido em uma posição, interpolando entre as paradas vizinhas
+ * @param {Array<object>} stops - Paradas { position (0-100), color }, ordenadas
+ * @param {number} position - Posição (0-1)
+ * @param {string} colorSpace - Espaço de interpolação (ver COLOR_SPACES)
+ * @returns {string} Cor em hex
+ */
+function sampleGradientStops(stops, position, colorSpace = 'srgb') {
+    const target = position * 100;
+    if (target <= stops[0].position) return stops[0].color;
+
+    for (let i = 1; i < stops.length; i++) {
+        const from = stops[i - 1];
+        const to = stops[i];
+        if (target <= to.position) {
+            const span = to.position - from.position;
+            return span > 0 ? interpolateColor(from.color, to.color, (target - from.position) / span, colorSpace) : to.color;
+        }
+    }
+
+    return stops[stops.length - 1].color;
+}
+
+/**
+ * Cria as fatias de um gradiente cônico dentro de um <pattern>
+ * A cor vai do início ao fim e volta ao longo da volta, sem emenda visível no ângulo inicial
+ * Cada fatia avança meia fatia sobre a seguinte para não deixar frestas de antialiasing
+ * @param {SvgNode} pattern - Padrão que recebe as fatias
+ * @param {object} gradientData - Dados do gradiente (ver createDistortedGradient)
+ * @param {number} width - Largura do ladrilho
+ * @param {number} height - Altura do ladrilho
+ */
+function createConicSegments(pattern, gradientData, width, height) {
+    const { stops, angle, colorSpace } = gradientData;
+    const round = value => Math.round(value * 1000) / 1000;
+    const cx = width / 2;
+    const cy = height / 2;
+    // Raio além dos cantos do ladrilho: as cordas das fatias ficam fora da área visível
+    const radius = Math.sqrt(width * width + height * height) / 2 * 1.05;
+    const step = (Math.PI * 2) / CONIC_GRADIENT_SEGMENTS;
+    const start = angle * Math.PI / 180;
+
+    for (let i = 0; i < CONIC_GRADIENT_SEGMENTS; i++) {
+        const a0 = start + i * step;
+        const a1 = a0 + step * 1.5;
+        const fraction = (i + 0.5) / CONIC_GRADIENT_SEGMENTS;
+        const position = fraction <= 0.5 ? fraction * 2 : 2 - fraction * 2;
+
+        pattern.element('path', {
+            d: `M${round(cx)} ${round(cy)}` +
+               `L${round(cx + Math.cos(a0) * radius)} ${round(cy + Math.sin(a0) * radius)}` +
+               `L${round(cx + Math.cos(a1) * radius)} ${round(cy + Math.sin(a1) * radius)}Z`,
+            fill: sampleGradientStops(stops, position, colorSpace)
+        });
+    }
+}
+
 /**
  * Aplica gradiente distorcido a uma forma SVG
- * @param {object} svg - Instância SVG.js
- * @param {object} shape - Elemento SVG da forma
- * @param {object} gradientData - Dados do gradiente
- * @param {object} bounds - Limites da forma {cx, cy, radius}
+ * Com bounds, o gradiente é posicionado em coordenadas absolutas sobre a caixa da forma
+ * (userSpaceOnUse), acompanhando o contorno já distorcido de cada camada; sem bounds,
+ * usa a caixa do próprio elemento (objectBoundingBox)
+ * @param {SvgDocument} svg - Documento SVG (ver svg-document.js)
+ * @param {SvgNode} shape - Nó da forma
+ * @param {object} gradientData - Dados do gradiente (ver createDistortedGradient)
+ * @param {object} bounds - Limites da forma { x, y, width, height } (ver getPathBBox)
+ * @returns {SvgNode} Gradiente (ou padrão, no cônico) criado
  */
 function applyDistortedGradient(svg, shape, gradientData, bounds = null) {
     const { id, type, stops } = gradientData;
+    const angle = (gradientData.angle !== undefined ? gradientData.angle : 45) * Math.PI / 180;
+    const round = value => Math.round(value * 1000) / 1000;
 
     // Remover gradiente existente se já existe
     const existingGradient = svg.defs().findOne(`#${id}`);
@@ -123,39 +195,59 @@ function applyDistortedGradient(svg, shape, gradientData, bounds = null) {
         existingGradient.remove();
     }
 
+    const box = bounds || { x: 0, y: 0, width: 1, height: 1 };
+    const units = bounds ? 'userSpaceOnUse' : 'objectBoundingBox';
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height / 2;
+
     let gradient;
 
-    if (type === 'radial') {
-        // Gradiente radial centrado
-        gradient = svg.defs().gradient('radial', (add) => {
-            stops.forEach(stop => {
-                add.stop(stop.position / 100, stop.color);
-            });
+    if (type === 'conic') {
+        // Fatias vetoriais em um padrão do tamanho da caixa da forma
+        gradient = svg.defs().element('pattern', {
+            id: id,
+            x: round(box.x),
+            y: round(box.y),
+            width: round(box.width),
+            height: round(box.height),
+            patternUnits: units,
+            patternContentUnits: units
         });
+        createConicSegments(gradient, gradientData, box.width, box.height);
 
-        gradient.attr({
+        shape.attr('fill', `url(#${id})`);
+        return gradient;
+    }
+
+    if (type === 'radial') {
+        // Gradiente radial centrado na caixa, alcançando o lado maior
+        gradient = svg.defs().element('radialGradient', {
             id: id,
-            cx: '50%',
-            cy: '50%',
-            r: '50%'
+            gradientUnits: bounds ? units : null, // objectBoundingBox é o padrão do SVG
+            cx: round(cx),
+            cy: round(cy),
+            r: round(Math.max(box.width, box.height) / 2)
         });
     } else {
-        // Gradiente linear
-        gradient = svg.defs().gradient('linear', (add) => {
-            stops.forEach(stop => {
-                add.stop(stop.position / 100, stop.color);
-            });
-        });
+        // Gradiente linear pelo centro da caixa, de ponta a ponta na direção do ângulo
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        const halfLength = (Math.abs(box.width * dx) + Math.abs(box.height * dy)) / 2;
 
-        gradient.attr({
+        gradient = svg.defs().element('linearGradient', {
             id: id,
-            x1: '0%',
-            y1: '0%',
-            x2: '100%',
-            y2: '100%'
+            gradientUnits: bounds ? units : null, // objectBoundingBox é o padrão do SVG
+            x1: round(cx - dx * halfLength),
+            y1: round(cy - dy * halfLength),
+            x2: round(cx + dx * halfLength),
+            y2: round(cy + dy * halfLength)
         });
     }
 
+    stops.forEach(stop => {
+        gradient.element('stop', { offset: stop.position / 100, 'stop-color': stop.color });
+    });
+
     // Aplicar gradiente à forma
     shape.attr('fill', `url(#${id})`);
 
@@ -164,32 +256,65 @@ function applyDistortedGradient(svg, shape, gradientData, bounds = null) {
 
 /**
  * Cria um gradiente com padrão de ruído para textura orgânica
+ * Com options.resolveImage, a imagem é pedida a quem chamou (ex: workers da página, ver gradient-jobs.js)
+ * em vez de calculada aqui; enquanto ela não fica pronta, o padrão sai sem dataUrl
+ * e applyNoiseGradientPattern() desenha um gradiente radial simples no lugar
  * @param {string} id - ID único para o padrão
  * @param {string} color1 - Cor inicial
  * @param {string} color2 - Cor final
  * @param {number} layerIndex - Índice da camada
  * @param {object} options - Opções de ruído e gradiente
- * @returns {object} Dados do padrão de gradiente com ruído
+ * @param {function} options.encodeImage - Codificador (pixels, width, height) => data URL
+ * @param {function} options.resolveImage - (pedido { id, color1, color2, layerIndex, options }) => data URL ou null
+ * @returns {object} Dados do padrão de gradiente com ruído { id, dataUrl, size, color1, color2 }
  */
 function createNoiseGradientPattern(id, color1, color2, layerIndex, options = {}) {
+    const { encodeImage = encodePixelsToDataUrl, resolveImage, ...noiseOptions } = options;
+
+    if (resolveImage) {
+        return {
+            id: id,
+            dataUrl: resolveImage({ id, color1, color2, layerIndex, options: noiseOptions }),
+            size: noiseOptions.patternSize || 400,
+            color1: color1,
+            color2: color2
+        };
+    }
+
+    const { pixels, size } = computeNoiseGradientPixels(color1, color2, layerIndex, noiseOptions);
+
+    return {
+        id: id,
+        dataUrl: encodeImage(pixels, size, size),
+        size: size,
+        color1: color1,
+        color2: color2
+    };
+}
+
+/**
+ * Calcula os pixels RGBA de um gradiente radial com ruído (sem DOM)
+ * @param {string} color1 - Cor inicial
+ * @param {string} color2 - Cor final
+ * @param {number} layerIndex - Índice da camada
+ * @param {object} options - Opções de ruído e gradiente
+ * @param {string} options.colorSpace - Espaço de interpolação das cores (ver COLOR_SPACES)
+ * @returns {object} Objeto com pixels (Uint8ClampedArray RGBA) e size
+ */
+function computeNoiseGradientPixels(color1, color2, layerIndex, options = {}) {
     const {
         intensity = 50,
         scale = 50,
         octaves = 3,
-        seed = Math.random() * 1000,
-        gradientComplexity = 5,
-        patternSize = 400 // Permite customizar o tamanho
+        seed = 12345,
+        patternSize = 400, // Permite customizar o tamanho
+        colorSpace = 'srgb'
     } = options;
-    const simplex = new SimplexNoise(seed + layerIndex * 234.567);
 
-    // Criar canvas temporário
-    const canvas = document.createElement('canvas');
-    canvas.width = patternSize;
-    canvas.height = patternSize;
-    const ctx = canvas.getContext('2d');
+    const simplex = new SimplexNoise(seed + layerIndex * 234.567);
+    const mixColor = createColorMixer(color1, color2, colorSpace);
 
-    const imageData = ctx.createImageData(patternSize, patternSize);
-    const data = imageData.data;
+    const data = new Uint8ClampedArray(patternSize * patternSize * 4);
 
     const centerX = patternSize / 2;
     const centerY = patternSize / 2;
@@ -230,7 +355,7 @@ function createNoiseGradientPattern(id, color1, color2, layerIndex, options = {}
             t = Math.max(0, Math.min(1, t));
 
             // Interpolar cor (SEM variação adicional - gradiente puro)
-            const color = interpolateColorRGB(color1, color2, t);
+            const color = mixColor(t);
 
             data[idx] = color.r;
             data[idx + 1] = color.g;
@@ -239,21 +364,59 @@ function createNoiseGradientPattern(id, color1, color2, layerIndex, options = {}
         }
     }
 
-    ctx.putImageData(imageData, 0, 0);
-
-    const dataUrl = canvas.toDataURL('image/png');
-
     return {
-        id: id,
-        dataUrl: dataUrl,
+        pixels: data,
         size: patternSize
     };
 }
 
+/**
+ * Codifica pixels RGBA como data URL PNG usando canvas do navegador
+ * @param {Uint8ClampedArray} pixels - Pixels RGBA
+ * @param {number} width - Largura em pixels
+ * @param {number} height - Altura em pixels
+ * @returns {string} Data URL PNG
+ */
+function encodePixelsToDataUrl(pixels, width, height) {
+    if (typeof document === 'undefined') {
+        throw new Error('Nenhum codificador de imagem disponível fora do navegador (use options.encodeImage)');
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const imageData = ctx.createImageData(width, height);
+    imageData.data.set(pixels);
+    ctx.putImageData(imageData, 0, 0);
+
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Cria o <image> com o bitmap de um padrão de gradiente com ruído
+ * Também usado para trocar a prévia pela imagem pronta no DOM (ver gradient-jobs.js)
+ * @param {object} patternData - Dados do padrão (com dataUrl)
+ * @returns {SvgNode} Elemento image
+ */
+function createNoiseGradientImage(patternData) {
+    return new SvgNode('image', {
+        'xlink:href': patternData.dataUrl,
+        width: patternData.size,
+        height: patternData.size,
+        x: 0,
+        y: 0,
+        preserveAspectRatio: 'none'
+    });
+}
+
 /**
  * Aplica padrão de gradiente com ruído a uma forma
- * @param {object} svg - Instância SVG.js
- * @param {object} shape - Elemento SVG da forma
+ * Padrões sem dataUrl (imagem ainda sendo calculada) recebem como prévia um gradiente
+ * radial simples das mesmas cores, com ID "<patternId>-preview"
+ * @param {SvgDocument} svg - Documento SVG (ver svg-document.js)
+ * @param {SvgNode} shape - Nó da forma
  * @param {string} patternId - ID do padrão
  * @param {object} patternData - Dados do padrão
  */
@@ -265,19 +428,26 @@ function applyNoiseGradientPattern(svg, shape, patternId, patternData) {
     }
 
     // Criar pattern SVG
-    const pattern = svg.defs()
-        .pattern(patternData.size, patternData.size)
-        .attr('id', patternId)
-        .attr('patternUnits', 'userSpaceOnUse')
-        .attr('patternContentUnits', 'userSpaceOnUse')
-        .attr('x', 0)
-        .attr('y', 0);
-
-    pattern.image(patternData.dataUrl)
-        .size(patternData.size, patternData.size)
-        .attr('x', 0)
-        .attr('y', 0)
-        .attr('preserveAspectRatio', 'none');
+    const pattern = svg.defs().element('pattern', {
+        id: patternId,
+        width: patternData.size,
+        height: patternData.size,
+        patternUnits: 'userSpaceOnUse',
+        patternContentUnits: 'userSpaceOnUse',
+        x: 0,
+        y: 0
+    });
+
+    if (patternData.dataUrl) {
+        pattern.add(createNoiseGradientImage(patternData));
+    } else {
+        const preview = createPureGradient(svg, `${patternId}-preview`, patternData.color1, patternData.color2);
+        pattern.element('rect', {
+            width: patternData.size,
+            height: patternData.size,
+            fill: `url(#${preview.attr('id')})`
+        });
+    }
 
     // Aplicar padrão à forma
     shape.attr('fill', `url(#${patternId})`);
@@ -294,27 +464,23 @@ function applyNoiseGradientPattern(svg, shape, patternId, patternData) {
 function varyColor(hexColor, delta) {
     const rgb = hexToRgb(hexColor);
 
-    const r = Math.max(0, Math.min(255, rgb.r + delta));
-    const g = Math.max(0, Math.min(255, rgb.g + delta));
-    const b = Math.max(0, Math.min(255, rgb.b + delta));
+    // Canais arredondados: rgbToHex espera inteiros
+    const r = Math.round(Math.max(0, Math.min(255, rgb.r + delta)));
+    const g = Math.round(Math.max(0, Math.min(255, rgb.g + delta)));
+    const b = Math.round(Math.max(0, Math.min(255, rgb.b + delta)));
 
     return rgbToHex(r, g, b);
 }
 
 /**
  * Interpola entre duas cores RGB (retorna objeto RGB ao invés de hex)
+ * Para muitas amostras das mesmas cores, prefira createColorMixer() (color.js)
  * @param {string} color1 - Cor inicial em hex
  * @param {string} color2 - Cor final em hex
  * @param {number} t - Fator de interpolação (0-1)
+ * @param {string} space - Espaço de interpolação (ver COLOR_SPACES em color.js)
  * @returns {object} Cor RGB {r, g, b}
  */
-function interpolateColorRGB(color1, color2, t) {
-    const c1 = hexToRgb(color1);
-    const c2 = hexToRgb(color2);
-
-    return {
-        r: Math.round(c1.r + (c2.r - c1.r) * t),
-        g: Math.round(c1.g + (c2.g - c1.g) * t),
-        b: Math.round(c1.b + (c2.b - c1.b) * t)
-    };
+function interpolateColorRGB(color1, color2, t, space = 'srgb') {
+    return createColorMixer(color1, color2, space)(t);
 }
@@ -0,0 +1,135 @@
+/**
+ * Paper Cut Forms Generator - Headless Loader (Node)
+ * Carrega o núcleo de renderização fora do navegador
+ *
+ * Uso:
+ *   const { renderArtwork } = require('./js/headless');
+ *   const svgString = renderArtwork(params);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+// Scripts do núcleo, na mesma ordem em que index.html os carrega
+const CORE_SCRIPTS = [
+    'utils.js',
+    'color.js',
+    'palette.js',
+    'quantize.js',
+    'geometry.js',
+    'warp.js',
+    'easing.js',
+    'noise.js',
+    'gradient.js',
+    'svg-document.js',
+    'shapes.js',
+    'shape-generators.js',
+    'font.js',
+    'artboard.js',
+    'layer-overrides.js',
+    'render.js',
+    'pipeline.js',
+    'animation.js',
+    'zip.js',
+    'cut-export.js'
+];
+
+/**
+ * Avalia os scripts do núcleo em um contexto isolado, como o navegador faria
+ * @returns {object} Contexto com as funções globais do núcleo
+ */
+function loadCore() {
+    const context = vm.createContext({ console, TextEncoder, TextDecoder });
+
+    CORE_SCRIPTS.forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    return context;
+}
+
+const core = loadCore();
+
+/**
+ * Monta um chunk PNG
+ * @param {string} type - Tipo do chunk (IHDR, IDAT, IEND)
+ * @param {Buffer} data - Conteúdo do chunk
+ * @returns {Buffer} Chunk com tamanho e CRC
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(core.crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Codifica pixels RGBA como PNG
+ * @param {Uint8ClampedArray} pixels - Pixels RGBA
+ * @param {number} width - Largura em pixels
+ * @param {number} height - Altura em pixels
+ * @returns {Buffer} Arquivo PNG
+ */
+function encodePNG(pixels, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bits por canal
+    header[9] = 6;  // RGBA
+    header[10] = 0; // compressão
+    header[11] = 0; // filtro
+    header[12] = 0; // sem entrelaçamento
+
+    // Cada linha é precedida pelo tipo de filtro (0 = nenhum)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        Buffer.from(pixels.buffer, pixels.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Codifica pixels RGBA como data URL PNG (substitui o canvas do navegador)
+ * @param {Uint8ClampedArray} pixels - Pixels RGBA
+ * @param {number} width - Largura em pixels
+ * @param {number} height - Altura em pixels
+ * @returns {string} Data URL PNG
+ */
+function encodePNGDataUrl(pixels, width, height) {
+    return `data:image/png;base64,${encodePNG(pixels, width, height).toString('base64')}`;
+}
+
+/**
+ * Renderiza a arte como string SVG no Node
+ * @param {object} params - Parâmetros de geração (mesmo formato de getControlValues())
+ * @param {object} options - Opções de renderização (ver buildArtwork em render.js)
+ * @returns {string} Markup SVG completo
+ */
+function renderArtwork(params, options = {}) {
+    return core.renderArtwork(params, { encodeImage: encodePNGDataUrl, ...options });
+}
+
+// Constantes declaradas com const não viram propriedades do contexto
+const DEFAULT_PARAMS = vm.runInContext('DEFAULT_PARAMS', core);
+
+module.exports = {
+    CORE_SCRIPTS,
+    core,
+    DEFAULT_PARAMS,
+    renderArtwork,
+    encodePNG,
+    encodePNGDataUrl
+};
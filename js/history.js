@@ -0,0 +1,137 @@
+/**
+ * Paper Cut Forms Generator - Undo/Redo History
+ * Pilha limitada de snapshots de parâmetros com agrupamento de mudanças rápidas
+ */
+
+/**
+ * Estado do histórico
+ * pendingParams guarda a última mudança ainda não gravada (arraste em andamento)
+ */
+const undoHistory = {
+    states: [],
+    currentIndex: -1,
+    pendingParams: null,
+    pendingTimer: null
+};
+
+/**
+ * Grava um snapshot no histórico, descartando os estados de redo
+ * Snapshots iguais ao estado atual são ignorados
+ * @param {object} params - Parâmetros no formato de getControlValues()
+ */
+function pushHistoryState(params) {
+    const current = undoHistory.states[undoHistory.currentIndex];
+    if (current && JSON.stringify(current) === JSON.stringify(params)) return;
+
+    undoHistory.states = undoHistory.states.slice(0, undoHistory.currentIndex + 1);
+    undoHistory.states.push({ ...params });
+
+    if (undoHistory.states.length > CONFIG.history.maxSize) {
+        undoHistory.states.shift();
+    }
+
+    undoHistory.currentIndex = undoHistory.states.length - 1;
+    updateHistoryButtons();
+}
+
+/**
+ * Registra uma mudança de parâmetros
+ * Mudanças em sequência rápida (arraste de slider) viram uma única entrada
+ * @param {object} params - Parâmetros no formato de getControlValues()
+ */
+function recordHistory(params) {
+    undoHistory.pendingParams = params;
+    clearTimeout(undoHistory.pendingTimer);
+    undoHistory.pendingTimer = setTimeout(flushHistory, CONFIG.history.coalesceDelay);
+    updateHistoryButtons();
+}
+
+/**
+ * Grava imediatamente a mudança pendente, se houver
+ * Ações discretas (aleatório, nova seed, preset) chamam antes e depois de alterar os controles
+ */
+function flushHistory() {
+    clearTimeout(undoHistory.pendingTimer);
+    undoHistory.pendingTimer = null;
+
+    if (undoHistory.pendingParams) {
+        const params = undoHistory.pendingParams;
+        undoHistory.pendingParams = null;
+        pushHistoryState(params);
+    }
+}
+
+/**
+ * Restaura um snapshot do histórico nos controles e renderiza
+ * @param {number} index - Índice do snapshot
+ */
+function restoreHistoryState(index) {
+    undoHistory.currentIndex = index;
+    setControlValues(undoHistory.states[index]);
+    generate();
+
+    // O snapshot restaurado já é o estado atual; não gravar de novo
+    clearTimeout(undoHistory.pendingTimer);
+    undoHistory.pendingParams = null;
+    updateHistoryButtons();
+}
+
+/**
+ * Volta para o estado anterior
+ */
+function undo() {
+    flushHistory();
+    if (undoHistory.currentIndex > 0) {
+        restoreHistoryState(undoHistory.currentIndex - 1);
+    }
+}
+
+/**
+ * Avança para o próximo estado desfeito
+ */
+function redo() {
+    flushHistory();
+    if (undoHistory.currentIndex < undoHistory.states.length - 1) {
+        restoreHistoryState(undoHistory.currentIndex + 1);
+    }
+}
+
+/**
+ * Habilita/desabilita os botões de undo/redo conforme a posição no histórico
+ */
+function updateHistoryButtons() {
+    // Uma mudança pendente também pode ser desfeita (após existir um estado anterior)
+    const canUndo = undoHistory.currentIndex > 0 ||
+        (undoHistory.pendingParams !== null && undoHistory.currentIndex >= 0);
+
+    if (controls.undoButton) {
+        controls.undoButton.disabled = !canUndo;
+    }
+    if (controls.redoButton) {
+        controls.redoButton.disabled = undoHistory.currentIndex >= undoHistory.states.length - 1;
+    }
+}
+
+/**
+ * Inicializa atalhos de teclado (Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y) e estado dos botões
+ */
+function initHistory() {
+    document.addEventListener('keydown', function(event) {
+        if (!(event.ctrlKey || event.metaKey)) return;
+
+        // Campos de texto mantêm o undo nativo do navegador
+        if (event.target.matches && event.target.matches('input[type="number"], input[type="text"], textarea')) return;
+
+        const key = event.key.toLowerCase();
+
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            redo();
+        }
+    });
+
+    updateHistoryButtons();
+}
@@ -0,0 +1,205 @@
+/**
+ * Paper Cut Forms Generator - Layer Editor
+ * Seleção de camadas (no canvas ou na lista) e edição dos ajustes manuais de cada uma
+ */
+
+// Ajustes em edição (mesmo formato de params.layerOverrides) e camada selecionada
+let layerOverrides = {};
+let selectedLayer = null;
+
+/**
+ * ID do campo de edição de um ajuste (ex: rotation → layerOverrideRotation)
+ * @param {string} key - Chave de LAYER_OVERRIDE_FIELDS
+ * @returns {string} ID do elemento
+ */
+function getLayerFieldId(key) {
+    return `layerOverride${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+}
+
+/**
+ * Retorna uma cópia dos ajustes atuais
+ * @returns {object} Ajustes por camada
+ */
+function getLayerOverrides() {
+    return normalizeLayerOverrides(layerOverrides);
+}
+
+/**
+ * Aplica os ajustes de um conjunto de parâmetros (ver setControlValues)
+ * Parâmetros sem layerOverrides mantêm os ajustes atuais
+ * @param {object} params - Parâmetros de geração
+ */
+function applyLayerOverridesParams(params) {
+    if (params.layerOverrides !== undefined) {
+        layerOverrides = normalizeLayerOverrides(params.layerOverrides);
+    }
+}
+
+/**
+ * Cria os campos de edição a partir de LAYER_OVERRIDE_FIELDS em #layerOverrideFields
+ */
+function renderLayerEditor() {
+    const container = document.getElementById('layerOverrideFields');
+
+    Object.entries(LAYER_OVERRIDE_FIELDS).forEach(([key, field]) => {
+        const id = getLayerFieldId(key);
+        let group;
+
+        if (field.type === 'number') {
+            group = createRangeControlGroup({ ...field, key: id, value: field.min }, field.label);
+        } else {
+            group = document.createElement('div');
+            group.className = 'control-group';
+            const input = document.createElement('input');
+            input.id = id;
+            input.type = field.type === 'color' ? 'color' : 'checkbox';
+
+            const label = document.createElement('label');
+            if (field.type === 'boolean') {
+                label.append(input, ` ${field.label}`);
+                group.append(label);
+            } else {
+                label.textContent = field.label;
+                group.append(label, input);
+            }
+        }
+
+        group.dataset.layerField = key;
+        container.appendChild(group);
+    });
+}
+
+/**
+ * Seleciona uma camada para edição
+ * @param {number|null} layer - Número da camada, ou null para nenhuma
+ */
+function selectLayer(layer) {
+    selectedLayer = layer;
+    updateLayerEditor(getControlValues());
+}
+
+/**
+ * Atualiza a lista de camadas, os campos da camada selecionada (ajuste ou valor calculado)
+ * e o destaque no canvas; chamado a cada geração
+ * @param {object} params - Parâmetros de geração usados na arte atual
+ */
+function updateLayerEditor(params) {
+    const select = document.getElementById('layerSelect');
+    const fields = document.getElementById('layerOverrideFields');
+
+    if (selectedLayer !== null && selectedLayer > params.frequency) {
+        selectedLayer = null;
+    }
+
+    select.innerHTML = '';
+    select.appendChild(new Option('Nenhuma', ''));
+    for (let i = params.frequency; i >= 1; i--) {
+        const position = i === params.frequency ? ' (borda)' : i === 1 ? ' (centro)' : '';
+        const edited = layerOverrides[i] ? ' •' : '';
+        select.appendChild(new Option(`Camada ${i}${position}${edited}`, i));
+    }
+    select.value = selectedLayer === null ? '' : selectedLayer;
+
+    document.querySelectorAll('#chaos-svg .layer-selected').forEach(element => {
+        element.removeAttribute('class');
+    });
+    fields.classList.toggle('hidden', selectedLayer === null);
+    if (selectedLayer === null) return;
+
+    const highlighted = document.querySelector(`#chaos-svg [data-layer="${selectedLayer}"]`);
+    if (highlighted) highlighted.setAttribute('class', 'layer-selected');
+
+    // Valores calculados pela fórmula, exibidos nos campos sem ajuste
+    const values = computeLayerValues(params, selectedLayer);
+    const colors = samplePalette(resolvePalette(params), getPalettePosition(values.colorT, params), params.colorSpace);
+    const computed = {
+        color: colors.color,
+        colorB: colors.colorB,
+        rotation: Math.round(values.rotateFactor * 100) / 100,
+        scale: 1,
+        offsetX: 0,
+        offsetY: 0,
+        opacity: Math.round(calculateLayerOpacity(values.t, params) * 100) / 100,
+        shadow: params.shadowEnabled
+    };
+    const override = layerOverrides[selectedLayer] || {};
+
+    Object.entries(LAYER_OVERRIDE_FIELDS).forEach(([key, field]) => {
+        const input = document.getElementById(getLayerFieldId(key));
+        const value = override[key] !== undefined ? override[key] : computed[key];
+
+        if (field.type === 'boolean') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        if (field.type === 'number') {
+            document.getElementById(`${getLayerFieldId(key)}Value`).textContent = value;
+        }
+
+        const group = fields.querySelector(`[data-layer-field="${key}"]`);
+        group.classList.toggle('overridden', override[key] !== undefined);
+        if (key === 'colorB') {
+            group.classList.toggle('hidden', !params.gradientEnabled);
+        }
+    });
+}
+
+/**
+ * Guarda o valor de um campo como ajuste da camada selecionada e regenera
+ * @param {string} key - Chave de LAYER_OVERRIDE_FIELDS
+ */
+function setSelectedLayerOverride(key) {
+    if (selectedLayer === null) return;
+
+    const field = LAYER_OVERRIDE_FIELDS[key];
+    const input = document.getElementById(getLayerFieldId(key));
+    const value = field.type === 'boolean' ? input.checked : field.type === 'number' ? parseFloat(input.value) : input.value;
+
+    layerOverrides[selectedLayer] = { ...layerOverrides[selectedLayer], [key]: value };
+    generate();
+}
+
+/**
+ * Remove os ajustes da camada selecionada (volta aos valores calculados)
+ */
+function resetSelectedLayer() {
+    if (selectedLayer === null || !layerOverrides[selectedLayer]) return;
+
+    delete layerOverrides[selectedLayer];
+    generate();
+}
+
+/**
+ * Remove os ajustes de todas as camadas
+ */
+function resetAllLayers() {
+    if (!Object.keys(layerOverrides).length) return;
+
+    layerOverrides = {};
+    generate();
+}
+
+/**
+ * Inicializa o editor de camadas
+ */
+function initLayerEditor() {
+    renderLayerEditor();
+
+    document.getElementById('layerSelect').addEventListener('change', function() {
+        selectLayer(this.value === '' ? null : parseInt(this.value, 10));
+    });
+
+    // Clique em uma camada do canvas a seleciona; clique fora das camadas limpa a seleção
+    document.getElementById('canvas-wrapper').addEventListener('click', function(event) {
+        const element = event.target.closest('[data-layer]');
+        selectLayer(element ? parseInt(element.getAttribute('data-layer'), 10) : null);
+    });
+
+    Object.entries(LAYER_OVERRIDE_FIELDS).forEach(([key, field]) => {
+        const input = document.getElementById(getLayerFieldId(key));
+        input.addEventListener(field.type === 'boolean' ? 'change' : 'input', function() {
+            setSelectedLayerOverride(key);
+        });
+    });
+}
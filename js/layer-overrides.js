@@ -0,0 +1,126 @@
+/**
+ * Paper Cut Forms Generator - Layer Overrides
+ * Ajustes manuais por camada, guardados pelo número da camada (1 = centro, frequency = borda)
+ * params.layerOverrides = { [camada]: { color, colorB, rotation, scale, offsetX, offsetY, opacity, shadow } }
+ * Campos ausentes seguem o valor calculado pela fórmula
+ */
+
+/**
+ * Campos que podem ser sobrescritos
+ * `code` é a chave curta usada no hash da URL (não altere: links compartilhados dependem dela)
+ */
+const LAYER_OVERRIDE_FIELDS = {
+    color: { code: 'c', type: 'color', label: 'Cor' },
+    colorB: { code: 'b', type: 'color', label: 'Cor B (Gradiente)' },
+    rotation: { code: 'r', type: 'number', label: 'Rotação (°)', min: -180, max: 180, step: 1 },
+    scale: { code: 's', type: 'number', label: 'Escala', min: 0.2, max: 2, step: 0.01 },
+    offsetX: { code: 'x', type: 'number', label: 'Deslocamento X', min: -200, max: 200, step: 1 },
+    offsetY: { code: 'y', type: 'number', label: 'Deslocamento Y', min: -200, max: 200, step: 1 },
+    opacity: { code: 'o', type: 'number', label: 'Opacidade', min: 0, max: 1, step: 0.05 },
+    shadow: { code: 'd', type: 'boolean', label: 'Inner Shadow' }
+};
+
+/**
+ * Valida um valor de campo
+ * @param {object} field - Entrada de LAYER_OVERRIDE_FIELDS
+ * @param {*} value - Valor
+ * @returns {*} Valor válido, ou undefined se inválido
+ */
+function normalizeLayerOverrideValue(field, value) {
+    switch (field.type) {
+        case 'color':
+            return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+        case 'boolean':
+            return typeof value === 'boolean' ? value : undefined;
+        default: {
+            const number = Number(value);
+            if (value === null || value === '' || !Number.isFinite(number)) return undefined;
+            return Math.max(field.min, Math.min(field.max, number));
+        }
+    }
+}
+
+/**
+ * Valida os ajustes: camadas com número inteiro positivo e só campos conhecidos e válidos
+ * @param {object} overrides - Ajustes por camada
+ * @returns {object} Ajustes válidos (camadas sem campos são descartadas)
+ */
+function normalizeLayerOverrides(overrides) {
+    const normalized = {};
+    if (!overrides || typeof overrides !== 'object') return normalized;
+
+    Object.keys(overrides).forEach(layer => {
+        const index = Number(layer);
+        const source = overrides[layer];
+        if (!Number.isInteger(index) || index < 1 || !source || typeof source !== 'object') return;
+
+        const entry = {};
+        Object.keys(LAYER_OVERRIDE_FIELDS).forEach(key => {
+            const value = normalizeLayerOverrideValue(LAYER_OVERRIDE_FIELDS[key], source[key]);
+            if (value !== undefined) entry[key] = value;
+        });
+        if (Object.keys(entry).length) normalized[index] = entry;
+    });
+
+    return normalized;
+}
+
+/**
+ * Ajustes de uma camada
+ * @param {object} params - Parâmetros de geração
+ * @param {number} layer - Número da camada
+ * @returns {object} Campos sobrescritos (vazio se nenhum)
+ */
+function getLayerOverride(params, layer) {
+    const overrides = params.layerOverrides;
+    return (overrides && overrides[layer]) || {};
+}
+
+/**
+ * Serializa os ajustes no hash da URL: "camada:campo=valor;campo=valor" separados por vírgula
+ * @param {object} overrides - Ajustes por camada
+ * @returns {string} Ex: "3:c=ff0000;r=12,5:o=0.5"
+ */
+function encodeLayerOverridesParam(overrides) {
+    const normalized = normalizeLayerOverrides(overrides);
+
+    return Object.keys(normalized).map(layer => {
+        const fields = Object.keys(normalized[layer]).map(key => {
+            const value = normalized[layer][key];
+            const field = LAYER_OVERRIDE_FIELDS[key];
+            if (field.type === 'color') return `${field.code}=${value.slice(1)}`;
+            if (field.type === 'boolean') return `${field.code}=${value ? 1 : 0}`;
+            return `${field.code}=${value}`;
+        });
+        return `${layer}:${fields.join(';')}`;
+    }).join(',');
+}
+
+/**
+ * Inverso de encodeLayerOverridesParam()
+ * @param {string} text - Ajustes serializados
+ * @returns {object} Ajustes por camada (vazio se nenhum válido)
+ */
+function decodeLayerOverridesParam(text) {
+    const byCode = {};
+    Object.keys(LAYER_OVERRIDE_FIELDS).forEach(key => {
+        byCode[LAYER_OVERRIDE_FIELDS[key].code] = key;
+    });
+
+    const overrides = {};
+    text.split(',').forEach(part => {
+        const [layer, fields = ''] = part.split(':');
+        overrides[layer] = {};
+
+        fields.split(';').forEach(pair => {
+            const [code, raw] = pair.split('=');
+            const key = byCode[code];
+            if (!key || raw === undefined) return;
+
+            const type = LAYER_OVERRIDE_FIELDS[key].type;
+            overrides[layer][key] = type === 'color' ? `#${raw}` : type === 'boolean' ? raw === '1' : raw;
+        });
+    });
+
+    return normalizeLayerOverrides(overrides);
+}
@@ -5,14 +5,14 @@
 
 /**
  * Cria filtro SVG de textura vetorial usando feTurbulence
- * @param {object} svg - Instância SVG.js
+ * @param {SvgDocument} svg - Documento SVG (ver svg-document.js)
  * @param {string} filterId - ID único para o filtro
  * @param {object} options - Opções de textura
  * @param {number} options.scale - Escala da textura (20-200, padrão 80)
  * @param {number} options.intensity - Intensidade da textura (0-100, padrão 50)
  * @param {number} options.octaves - Número de octaves (1-6, padrão 4)
  * @param {number} options.seed - Seed para textura consistente
- * @returns {object} Filtro SVG criado
+ * @returns {SvgNode} Filtro criado
  */
 function createVectorTextureFilter(svg, filterId, options = {}) {
     const {
@@ -116,28 +116,31 @@ function createVectorTextureFilter(svg, filterId, options = {}) {
  * Baseado no algoritmo de Ken Perlin
  */
 class SimplexNoise {
-    constructor(seed = Math.random()) {
+    constructor(seed = 12345) {
         this.seed = seed;
+        this.random = createRandom(seed);
         this.grad3 = [
             [1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],
             [1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],
             [0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]
         ];
+
+        // Permutação de 0-255 embaralhada (Fisher-Yates) com o gerador da seed
         this.p = [];
         for(let i = 0; i < 256; i++) {
-            this.p[i] = Math.floor(this.random() * 256);
+            this.p[i] = i;
+        }
+        for(let i = 255; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
         }
+
         this.perm = [];
         for(let i = 0; i < 512; i++) {
             this.perm[i] = this.p[i & 255];
         }
     }
 
-    random() {
-        const x = Math.sin(this.seed++) * 10000;
-        return x - Math.floor(x);
-    }
-
     dot(g, x, y) {
         return g[0] * x + g[1] * y;
     }
@@ -199,85 +202,6 @@ class SimplexNoise {
     }
 }
 
-/**
- * Gera uma textura de ruído SVG
- * @param {string} id - ID único para o pattern
- * @param {string} baseColor - Cor base em formato hex
- * @param {object} options - Opções de geração
- * @param {number} options.scale - Escala do ruído (quanto menor, mais detalhado)
- * @param {number} options.intensity - Intensidade do ruído (0-100)
- * @param {number} options.octaves - Número de octaves para ruído fractal
- * @param {number} options.seed - Seed para geração determinística
- * @returns {SVGPatternElement} Elemento pattern SVG
- */
-function createNoisePattern(id, baseColor, options = {}) {
-    const {
-        scale = 50,
-        intensity = 50,
-        octaves = 3,
-        seed = Math.random() * 1000,
-        patternSize = 200 // Permite customizar o tamanho
-    } = options;
-    const simplex = new SimplexNoise(seed);
-
-    // Criar canvas temporário para gerar a textura
-    const canvas = document.createElement('canvas');
-    canvas.width = patternSize;
-    canvas.height = patternSize;
-    const ctx = canvas.getContext('2d');
-
-    // Converter cor hex para RGB
-    const rgb = hexToRgb(baseColor);
-
-    // Gerar ruído
-    const imageData = ctx.createImageData(patternSize, patternSize);
-    const data = imageData.data;
-
-    for (let y = 0; y < patternSize; y++) {
-        for (let x = 0; x < patternSize; x++) {
-            const idx = (y * patternSize + x) * 4;
-
-            // Ruído fractal com múltiplas octaves
-            let noiseValue = 0;
-            let amplitude = 1;
-            let frequency = 1;
-            let maxValue = 0;
-
-            for (let o = 0; o < octaves; o++) {
-                const sampleX = (x / scale) * frequency;
-                const sampleY = (y / scale) * frequency;
-                noiseValue += simplex.noise(sampleX, sampleY) * amplitude;
-                maxValue += amplitude;
-                amplitude *= 0.5;
-                frequency *= 2;
-            }
-
-            // Normalizar para 0-1
-            noiseValue = (noiseValue / maxValue + 1) / 2;
-
-            // Aplicar intensidade (0.3 para normalizar com gradiente)
-            const effect = (noiseValue - 0.5) * (intensity / 100) * 0.3;
-
-            // Aplicar ruído à cor base
-            data[idx] = Math.max(0, Math.min(255, rgb.r + effect * 255));
-            data[idx + 1] = Math.max(0, Math.min(255, rgb.g + effect * 255));
-            data[idx + 2] = Math.max(0, Math.min(255, rgb.b + effect * 255));
-            data[idx + 3] = 255;
-        }
-    }
-
-    ctx.putImageData(imageData, 0, 0);
-
-    // Converter canvas para data URL
-    const dataUrl = canvas.toDataURL('image/png');
-
-    return {
-        id: id,
-        dataUrl: dataUrl,
-        size: patternSize
-    };
-}
-
 /**
  * Cria um filtro SVG de turbulência como alternativa mais leve
  * @param {string} id - ID único para o filtro
@@ -303,7 +227,7 @@ function createTurbulenceFilter(id, options = {}) {
 
 /**
  * Aplica textura de ruído a uma forma SVG
- * @param {object} shape - Elemento SVG da forma
+ * @param {SvgNode} shape - Nó da forma
  * @param {string} patternId - ID do pattern de ruído
  * @param {string} baseColor - Cor base
  * @param {number} opacity - Opacidade da textura (0-1)
@@ -321,17 +245,3 @@ function applyNoiseToShape(shape, patternId, baseColor, opacity = 0.3) {
 
     return textureShape;
 }
-
-/**
- * Converte cor hexadecimal para RGB
- * @param {string} hex - Cor em formato hex
- * @returns {object} Objeto com propriedades r, g, b
- */
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16)
-    } : { r: 0, g: 0, b: 0 };
-}
@@ -0,0 +1,337 @@
+/**
+ * Paper Cut Forms Generator - Palette Editor
+ * Editor de paradas da paleta: adicionar, remover, arrastar, importar, exportar e extrair de imagens
+ */
+
+// Paradas em edição (mesmo formato de params.palette) e parada selecionada
+let paletteStops = paletteFromLegacyColors(DEFAULT_PARAMS);
+let selectedPaletteStop = paletteStops[0];
+
+// Amostras usadas na pré-visualização da rampa (reflete o espaço de interpolação)
+const PALETTE_PREVIEW_SAMPLES = 24;
+
+// Formatos de exportação: extensão, tipo MIME e serializador
+const PALETTE_EXPORT_FORMATS = {
+    gpl: { extension: 'gpl', type: 'text/plain', serialize: stops => exportPaletteGPL(stops) },
+    ase: { extension: 'ase', type: 'application/octet-stream', serialize: stops => exportPaletteASE(stops) },
+    json: { extension: 'json', type: 'application/json', serialize: stops => exportPaletteJSON(stops) },
+    css: { extension: 'css', type: 'text/css', serialize: stops => exportPaletteCSS(stops) }
+};
+
+// Maior lado da imagem reduzida usada na extração de cores
+const PALETTE_IMAGE_MAX_SIZE = 256;
+
+// Pixels da última imagem carregada e cores extraídas dela (da mais para a menos frequente)
+let paletteImagePixels = null;
+let extractedPaletteColors = [];
+
+/**
+ * Retorna uma cópia das paradas atuais
+ * @returns {Array<object>} Paradas [{ position, color, colorB }]
+ */
+function getPaletteStops() {
+    return paletteStops.map(stop => ({ ...stop }));
+}
+
+/**
+ * Substitui as paradas em edição (entradas inválidas são descartadas)
+ * @param {Array<object>} stops - Paradas [{ position, color, colorB }]
+ * @returns {boolean} true se a paleta foi aplicada
+ */
+function setPaletteStops(stops) {
+    const normalized = normalizePalette(stops);
+    if (!normalized.length) return false;
+
+    paletteStops = normalized;
+    selectedPaletteStop = paletteStops[0];
+    renderPaletteEditor();
+    return true;
+}
+
+/**
+ * Aplica a paleta de um conjunto de parâmetros (ver setControlValues)
+ * Parâmetros antigos, só com color1A/1B/2A/2B, viram uma paleta de duas paradas
+ * @param {object} params - Parâmetros de geração
+ */
+function applyPaletteParams(params) {
+    if (params.palette) {
+        setPaletteStops(params.palette);
+    } else if (['color1A', 'color1B', 'color2A', 'color2B'].some(key => params[key] !== undefined)) {
+        setPaletteStops(paletteFromLegacyColors(params));
+    }
+}
+
+/**
+ * Redesenha a rampa, as alças das paradas e as cores da parada selecionada
+ */
+function renderPaletteEditor() {
+    const ramp = document.getElementById('paletteRamp');
+    const colorSpace = controls.colorSpace.value;
+
+    const samples = [];
+    for (let i = 0; i <= PALETTE_PREVIEW_SAMPLES; i++) {
+        const t = i / PALETTE_PREVIEW_SAMPLES;
+        samples.push(`${samplePalette(paletteStops, t, colorSpace).color} ${Math.round(t * 1000) / 10}%`);
+    }
+    ramp.style.background = `linear-gradient(to right, ${samples.join(', ')})`;
+
+    ramp.innerHTML = '';
+    paletteStops.forEach(stop => {
+        const handle = document.createElement('div');
+        handle.className = 'palette-stop' + (stop === selectedPaletteStop ? ' selected' : '');
+        handle.style.left = `${stop.position * 100}%`;
+        handle.style.background = `linear-gradient(${stop.color} 50%, ${stop.colorB} 50%)`;
+        handle.title = `${Math.round(stop.position * 100)}%`;
+        handle.addEventListener('pointerdown', event => startPaletteStopDrag(event, stop, handle));
+        ramp.appendChild(handle);
+    });
+
+    controls.paletteStopColor.value = selectedPaletteStop.color;
+    controls.paletteStopColorB.value = selectedPaletteStop.colorB;
+}
+
+/**
+ * Posição (0-1) na rampa de um evento de ponteiro
+ * @param {PointerEvent} event - Evento
+ * @returns {number} Posição limitada a 0-1
+ */
+function getPaletteRampPosition(event) {
+    const rect = document.getElementById('paletteRamp').getBoundingClientRect();
+    return Math.max(0, Math.min(1, (event.clientX - rect.left) / (rect.width || 1)));
+}
+
+/**
+ * Seleciona uma parada e começa a arrastá-la; a arte é regenerada ao soltar
+ * @param {PointerEvent} event - Evento pointerdown
+ * @param {object} stop - Parada
+ * @param {HTMLElement} handle - Alça da parada
+ */
+function startPaletteStopDrag(event, stop, handle) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    selectedPaletteStop = stop;
+    renderPaletteEditor();
+
+    let moved = false;
+    const move = moveEvent => {
+        moved = true;
+        stop.position = getPaletteRampPosition(moveEvent);
+        paletteStops.sort((a, b) => a.position - b.position);
+        renderPaletteEditor();
+    };
+    const end = () => {
+        window.removeEventListener('pointermove', move);
+        window.removeEventListener('pointerup', end);
+        if (moved) generate();
+    };
+
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', end);
+}
+
+/**
+ * Adiciona uma parada com a cor atual da paleta naquela posição
+ * Sem posição, usa o meio do maior intervalo entre paradas
+ * @param {number} position - Posição (0-1), opcional
+ */
+function addPaletteStop(position) {
+    if (position === undefined) {
+        const bounds = [0, ...paletteStops.map(stop => stop.position), 1];
+        let gap = 0;
+        position = 0.5;
+        for (let i = 1; i < bounds.length; i++) {
+            if (bounds[i] - bounds[i - 1] > gap) {
+                gap = bounds[i] - bounds[i - 1];
+                position = (bounds[i] + bounds[i - 1]) / 2;
+            }
+        }
+    }
+
+    const sample = samplePalette(paletteStops, position, controls.colorSpace.value);
+    const stop = { position, color: sample.color, colorB: sample.colorB };
+
+    paletteStops.push(stop);
+    paletteStops.sort((a, b) => a.position - b.position);
+    selectedPaletteStop = stop;
+    renderPaletteEditor();
+    generate();
+}
+
+/**
+ * Remove a parada selecionada (a paleta mantém pelo menos uma parada)
+ */
+function removeSelectedPaletteStop() {
+    if (paletteStops.length <= 1) return;
+
+    const index = paletteStops.indexOf(selectedPaletteStop);
+    paletteStops.splice(index, 1);
+    selectedPaletteStop = paletteStops[Math.min(index, paletteStops.length - 1)];
+    renderPaletteEditor();
+    generate();
+}
+
+/**
+ * Importa uma paleta de arquivo .gpl, .ase, .json ou .css
+ * @param {File} file - Arquivo escolhido
+ */
+async function importPaletteFile(file) {
+    try {
+        const stops = parsePaletteFile(file.name, await file.arrayBuffer());
+        if (!setPaletteStops(stops)) {
+            window.alert('Nenhuma cor encontrada no arquivo de paleta.');
+            return;
+        }
+        generate();
+    } catch (error) {
+        console.error('Erro ao importar paleta:', error);
+        window.alert(`Erro ao importar paleta: ${error.message}`);
+    }
+}
+
+/**
+ * Exporta a paleta atual no formato escolhido
+ */
+function downloadPalette() {
+    const format = PALETTE_EXPORT_FORMATS[controls.paletteExportFormat.value];
+    const data = format.serialize(getPaletteStops());
+    downloadBlob(new Blob([data], { type: format.type }), `chaos-shape-palette.${format.extension}`);
+}
+
+/**
+ * Lê os pixels de uma imagem, reduzida para PALETTE_IMAGE_MAX_SIZE
+ * @param {File} file - Arquivo de imagem
+ * @returns {Promise<Uint8ClampedArray>} Pixels RGBA
+ */
+function readImagePixels(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, PALETTE_IMAGE_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Formato de imagem não suportado'));
+        };
+        img.src = url;
+    });
+}
+
+/**
+ * Extrai as cores da imagem carregada com o método e a quantidade escolhidos
+ */
+function extractImagePalette() {
+    if (!paletteImagePixels) return;
+
+    extractedPaletteColors = extractPalette(paletteImagePixels, {
+        count: parseInt(controls.paletteImageCount.value, 10) || 6,
+        method: controls.paletteImageMethod.value
+    });
+    renderPaletteSwatches();
+}
+
+/**
+ * Mostra as cores extraídas, com a fração da imagem ocupada por cada uma
+ */
+function renderPaletteSwatches() {
+    const container = document.getElementById('paletteSwatches');
+    container.innerHTML = '';
+
+    extractedPaletteColors.forEach(({ color, share }) => {
+        const swatch = document.createElement('div');
+        swatch.className = 'palette-swatch';
+        swatch.style.background = color;
+        swatch.textContent = `${Math.round(share * 100)}%`;
+        swatch.title = color;
+        container.appendChild(swatch);
+    });
+}
+
+/**
+ * Carrega uma imagem e extrai sua paleta (tudo local, nada é enviado)
+ * @param {File} file - Arquivo de imagem
+ */
+async function importPaletteImage(file) {
+    try {
+        paletteImagePixels = await readImagePixels(file);
+        extractImagePalette();
+        if (!extractedPaletteColors.length) {
+            window.alert('A imagem não tem pixels opacos para extrair cores.');
+        }
+    } catch (error) {
+        console.error('Erro ao extrair paleta da imagem:', error);
+        window.alert(`Erro ao extrair paleta da imagem: ${error.message}`);
+    }
+}
+
+/**
+ * Aplica as cores extraídas à paleta
+ * @param {string} target - 'ramp' (uma parada por cor) ou 'ab' (pares A/B por parada, ativa os gradientes)
+ */
+function applyExtractedPalette(target) {
+    if (!extractedPaletteColors.length) {
+        window.alert('Carregue uma imagem para extrair as cores primeiro.');
+        return;
+    }
+
+    setPaletteStops(paletteFromExtractedColors(extractedPaletteColors.map(entry => entry.color), target));
+    if (target === 'ab') {
+        controls.gradientEnabled.checked = true;
+        updateColorBVisibility();
+        updateGradientControls();
+    }
+    generate();
+}
+
+/**
+ * Inicializa o editor de paleta
+ */
+function initPaletteEditor() {
+    document.getElementById('paletteRamp').addEventListener('pointerdown', function(event) {
+        addPaletteStop(getPaletteRampPosition(event));
+    });
+
+    controls.paletteStopColor.addEventListener('input', function() {
+        selectedPaletteStop.color = controls.paletteStopColor.value;
+        renderPaletteEditor();
+        generate();
+    });
+
+    controls.paletteStopColorB.addEventListener('input', function() {
+        selectedPaletteStop.colorB = controls.paletteStopColorB.value;
+        renderPaletteEditor();
+        generate();
+    });
+
+    controls.paletteFile.addEventListener('change', function() {
+        const file = controls.paletteFile.files[0];
+        if (file) importPaletteFile(file);
+        controls.paletteFile.value = '';
+    });
+
+    controls.colorSpace.addEventListener('input', renderPaletteEditor);
+
+    Object.entries(QUANTIZE_METHODS).forEach(([value, label]) => {
+        controls.paletteImageMethod.add(new Option(label, value));
+    });
+
+    controls.paletteImage.addEventListener('change', function() {
+        const file = controls.paletteImage.files[0];
+        if (file) importPaletteImage(file);
+    });
+
+    controls.paletteImageMethod.addEventListener('change', extractImagePalette);
+    controls.paletteImageCount.addEventListener('change', extractImagePalette);
+
+    renderPaletteEditor();
+}
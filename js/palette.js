@@ -0,0 +1,429 @@
+/**
+ * Paper Cut Forms Generator - Palettes
+ * Paletas com qualquer número de paradas ao longo da pilha de camadas
+ * Posição 0 = camada externa (borda), 1 = camada central
+ * Importa e exporta GIMP (.gpl), Adobe (.ase), JSON e CSS custom properties
+ */
+
+// Prefixo das custom properties CSS exportadas
+const PALETTE_CSS_PREFIX = '--paper-cut-stop';
+
+// Cores nomeadas do CSS (ex: "blue", "rebeccapurple")
+const CSS_NAMED_COLORS = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+    beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+    blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+    chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+    darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b',
+    darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000',
+    darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b', darkslategray: '#2f4f4f',
+    darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3', deeppink: '#ff1493',
+    deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969', dodgerblue: '#1e90ff', firebrick: '#b22222',
+    floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc',
+    ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+    greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+    indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa', lavenderblush: '#fff0f5',
+    lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6', lightcoral: '#f08080',
+    lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90',
+    lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a', lightseagreen: '#20b2aa',
+    lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899', lightsteelblue: '#b0c4de',
+    lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6', magenta: '#ff00ff',
+    maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3',
+    mediumpurple: '#9370db', mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee',
+    mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc', mediumvioletred: '#c71585',
+    midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5',
+    navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23',
+    orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98',
+    paleturquoise: '#afeeee', palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9',
+    peru: '#cd853f', pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080',
+    rebeccapurple: '#663399', red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1',
+    saddlebrown: '#8b4513', salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57', seashell: '#fff5ee',
+    sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd', slategray: '#708090',
+    slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c',
+    teal: '#008080', thistle: '#d8bfd8', tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee',
+    wheat: '#f5deb3', white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+
+/**
+ * Monta as paradas a partir das cores fixas (color1A/1B na borda, color2A/2B no centro)
+ * Mantém compatíveis presets, receitas e links anteriores às paletas
+ * @param {object} params - Parâmetros com color1A, color1B, color2A e color2B
+ * @returns {Array<object>} Paradas [{ position, color, colorB }]
+ */
+function paletteFromLegacyColors(params) {
+    const { color1A, color1B, color2A, color2B } = { ...DEFAULT_PARAMS, ...params };
+    return [
+        { position: 0, color: color1A, colorB: color1B },
+        { position: 1, color: color2A, colorB: color2B }
+    ];
+}
+
+/**
+ * Valida e ordena paradas de paleta
+ * Posições fora de 0-1 são limitadas; cores inválidas descartam a parada; colorB ausente repete a cor
+ * @param {Array<object>} stops - Paradas [{ position, color, colorB }]
+ * @returns {Array<object>} Paradas válidas ordenadas por posição
+ */
+function normalizePalette(stops) {
+    if (!Array.isArray(stops)) return [];
+
+    const isHex = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+    return stops
+        .filter(stop => stop && isHex(stop.color) && Number.isFinite(Number(stop.position)))
+        .map(stop => ({
+            position: Math.max(0, Math.min(1, Number(stop.position))),
+            color: stop.color.toLowerCase(),
+            colorB: isHex(stop.colorB) ? stop.colorB.toLowerCase() : stop.color.toLowerCase()
+        }))
+        .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Paleta efetiva dos parâmetros: `palette` quando houver, senão as cores fixas
+ * @param {object} params - Parâmetros de geração
+ * @returns {Array<object>} Paradas ordenadas (pelo menos uma)
+ */
+function resolvePalette(params) {
+    const stops = normalizePalette(params.palette);
+    return stops.length ? stops : paletteFromLegacyColors(params);
+}
+
+/**
+ * Cor da paleta em uma posição da pilha de camadas
+ * @param {Array<object>} stops - Paradas ordenadas (ver resolvePalette)
+ * @param {number} t - Posição (0 = borda, 1 = centro)
+ * @param {string} colorSpace - Espaço de interpolação (ver COLOR_SPACES)
+ * @returns {object} Cores { color, colorB } em hex
+ */
+function samplePalette(stops, t, colorSpace = 'srgb') {
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+
+    if (t <= first.position) return { color: first.color, colorB: first.colorB };
+    if (t >= last.position) return { color: last.color, colorB: last.colorB };
+
+    const index = stops.findIndex(stop => stop.position >= t);
+    const from = stops[index - 1];
+    const to = stops[index];
+    const span = to.position - from.position;
+    const u = span === 0 ? 1 : (t - from.position) / span;
+
+    return {
+        color: interpolateColor(from.color, to.color, u, colorSpace),
+        colorB: interpolateColor(from.colorB, to.colorB, u, colorSpace)
+    };
+}
+
+/**
+ * Espalha cores importadas de forma uniforme entre 0 e 1
+ * @param {Array<string>} colors - Cores em hex
+ * @returns {Array<object>} Paradas
+ */
+function paletteFromColors(colors) {
+    const count = colors.length;
+    return normalizePalette(colors.map((color, i) => ({
+        position: count === 1 ? 0 : i / (count - 1),
+        color,
+        colorB: color
+    })));
+}
+
+/**
+ * Converte uma cor CSS simples (#rgb, #rrggbb, rgb() ou nome como "blue") em hex #rrggbb
+ * @param {string} value - Cor CSS
+ * @returns {string|null} Cor em hex ou null se não reconhecida
+ */
+function parseCssColor(value) {
+    const text = value.trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(CSS_NAMED_COLORS, text)) return CSS_NAMED_COLORS[text];
+
+    let match = /^#([0-9a-f]{3})$/.exec(text);
+    if (match) return '#' + match[1].split('').map(c => c + c).join('');
+
+    match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/.exec(text);
+    if (match) return '#' + match[1];
+
+    match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/.exec(text);
+    if (match) {
+        const [r, g, b] = match.slice(1, 4).map(v => Math.max(0, Math.min(255, Math.round(parseFloat(v)))));
+        return rgbToHex(r, g, b);
+    }
+
+    return null;
+}
+
+/**
+ * Serializa a paleta no hash da URL: "posição:cor:corB" separados por vírgula
+ * @param {Array<object>} stops - Paradas
+ * @returns {string} Ex: "0:3498db:2ecc71,1:e74c3c:f39c12"
+ */
+function encodePaletteParam(stops) {
+    return normalizePalette(stops).map(stop =>
+        `${Math.round(stop.position * 1000) / 1000}:${stop.color.slice(1)}:${stop.colorB.slice(1)}`
+    ).join(',');
+}
+
+/**
+ * Inverso de encodePaletteParam()
+ * @param {string} text - Paleta serializada
+ * @returns {Array<object>|undefined} Paradas, ou undefined se inválida
+ */
+function decodePaletteParam(text) {
+    const stops = normalizePalette(text.split(',').map(part => {
+        const [position, color, colorB] = part.split(':');
+        return { position: parseFloat(position), color: `#${color}`, colorB: colorB ? `#${colorB}` : undefined };
+    }));
+    return stops.length ? stops : undefined;
+}
+
+/**
+ * Lê uma paleta de arquivo .gpl, .ase, .json ou .css
+ * @param {string} name - Nome do arquivo (a extensão define o formato)
+ * @param {ArrayBuffer} buffer - Conteúdo do arquivo
+ * @returns {Array<object>} Paradas (vazio se nenhuma cor for encontrada)
+ */
+function parsePaletteFile(name, buffer) {
+    const extension = name.toLowerCase().split('.').pop();
+    if (extension === 'ase') return parseAsePalette(buffer);
+
+    const text = new TextDecoder().decode(buffer);
+    switch (extension) {
+        case 'gpl': return parseGplPalette(text);
+        case 'json': return parseJsonPalette(text);
+        case 'css': return parseCssPalette(text);
+        default: throw new Error(`Formato de paleta não suportado: .${extension}`);
+    }
+}
+
+/**
+ * Lê uma paleta GIMP (.gpl): linhas "R G B nome"
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {Array<object>} Paradas
+ */
+function parseGplPalette(text) {
+    const colors = [];
+    text.split(/\r?\n/).forEach(line => {
+        const match = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})(?:\s|$)/.exec(line);
+        if (match) {
+            const [r, g, b] = match.slice(1, 4).map(v => Math.min(255, parseInt(v, 10)));
+            colors.push(rgbToHex(r, g, b));
+        }
+    });
+    return paletteFromColors(colors);
+}
+
+/**
+ * Lê uma paleta JSON: { stops: [...] }, { colors: [...] } ou uma lista de cores
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {Array<object>} Paradas
+ */
+function parseJsonPalette(text) {
+    const data = JSON.parse(text);
+
+    if (data && Array.isArray(data.stops)) {
+        return normalizePalette(data.stops.map(stop => ({
+            ...stop,
+            color: parseCssColor(String(stop.color || '')),
+            colorB: stop.colorB ? parseCssColor(String(stop.colorB)) : undefined
+        })));
+    }
+
+    const list = Array.isArray(data) ? data : (data && data.colors) || [];
+    return paletteFromColors(list.map(value => parseCssColor(String(value))).filter(Boolean));
+}
+
+/**
+ * Lê custom properties CSS com cores (ex: "--brand-primary: #ff6600;"), na ordem do arquivo
+ * Propriedades exportadas por exportPaletteCSS() recuperam posições e cores B
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {Array<object>} Paradas
+ */
+function parseCssPalette(text) {
+    const properties = [];
+    const regex = /(--[\w-]+)\s*:\s*([^;}]+)/g;
+    let match;
+    while ((match = regex.exec(text))) {
+        properties.push({ name: match[1], value: match[2].trim() });
+    }
+
+    // Paleta exportada por este app: --paper-cut-stop-N, -N-b e -N-position
+    const exported = properties.filter(p => new RegExp(`^${PALETTE_CSS_PREFIX}-\\d+$`).test(p.name));
+    if (exported.length) {
+        const find = name => (properties.find(p => p.name === name) || {}).value;
+        return normalizePalette(exported.map(({ name, value }) => ({
+            position: parseFloat(find(`${name}-position`)) / 100,
+            color: parseCssColor(value),
+            colorB: parseCssColor(find(`${name}-b`) || value)
+        })));
+    }
+
+    return paletteFromColors(properties.map(p => parseCssColor(p.value)).filter(Boolean));
+}
+
+/**
+ * Lê uma paleta Adobe Swatch Exchange (.ase); grupos são achatados
+ * Cores CMYK, LAB e cinza são convertidas de forma aproximada
+ * @param {ArrayBuffer} buffer - Conteúdo do arquivo
+ * @returns {Array<object>} Paradas
+ */
+function parseAsePalette(buffer) {
+    const view = new DataView(buffer);
+    const ascii = (offset, length) => String.fromCharCode(...new Uint8Array(buffer, offset, length));
+    if (view.byteLength < 12 || ascii(0, 4) !== 'ASEF') {
+        throw new Error('Arquivo .ase inválido');
+    }
+
+    const blockCount = view.getUint32(8);
+    const colors = [];
+    let p = 12;
+
+    for (let i = 0; i < blockCount && p + 6 <= view.byteLength; i++) {
+        const type = view.getUint16(p);
+        const length = view.getUint32(p + 2);
+        const start = p + 6;
+
+        if (type === 0x0001) {
+            const nameLength = view.getUint16(start);
+            let q = start + 2 + nameLength * 2;
+            const model = ascii(q, 4).trim();
+            q += 4;
+            const values = [];
+            const channels = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model] || 0;
+            for (let c = 0; c < channels; c++) {
+                values.push(view.getFloat32(q + c * 4));
+            }
+
+            let rgb = null;
+            if (model === 'RGB') {
+                rgb = values.map(v => v * 255);
+            } else if (model === 'CMYK') {
+                const [c, m, y, k] = values;
+                rgb = [c, m, y].map(v => 255 * (1 - v) * (1 - k));
+            } else if (model === 'Gray') {
+                rgb = [values[0] * 255, values[0] * 255, values[0] * 255];
+            } else if (model === 'LAB') {
+                rgb = labToRgb(values[0] * 100, values[1], values[2]);
+            }
+
+            if (rgb) {
+                const [r, g, b] = rgb.map(v => Math.max(0, Math.min(255, Math.round(v))));
+                colors.push(rgbToHex(r, g, b));
+            }
+        }
+
+        p = start + length;
+    }
+
+    return paletteFromColors(colors);
+}
+
+/**
+ * Converte CIE Lab (D50) para sRGB, usado apenas na importação de .ase
+ * @param {number} L - Luminosidade (0-100)
+ * @param {number} a - Eixo verde-vermelho
+ * @param {number} b - Eixo azul-amarelo
+ * @returns {Array<number>} [r, g, b] em 0-255
+ */
+function labToRgb(L, a, b) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = f => f > 6 / 29 ? f * f * f : 3 * (6 / 29) * (6 / 29) * (f - 4 / 29);
+    const [x, y, z] = [0.96422 * inverse(fx), inverse(fy), 0.82521 * inverse(fz)];
+
+    // XYZ (D50) → sRGB linear (matriz com adaptação de Bradford)
+    const linear = [
+        3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+        -0.9787684 * x + 1.9161415 * y + 0.0334540 * z,
+        0.0719453 * x - 0.2289914 * y + 1.4052427 * z
+    ];
+    return linear.map(v => linearToSrgb(Math.max(0, Math.min(1, v))) * 255);
+}
+
+/**
+ * Exporta a paleta como GIMP Palette (.gpl); posições e cores B não fazem parte do formato
+ * @param {Array<object>} stops - Paradas
+ * @param {string} name - Nome da paleta
+ * @returns {string} Conteúdo do arquivo
+ */
+function exportPaletteGPL(stops, name = 'Paper Cut') {
+    const lines = ['GIMP Palette', `Name: ${name}`, `Columns: ${stops.length}`, '#'];
+    stops.forEach((stop, i) => {
+        const { r, g, b } = hexToRgb(stop.color);
+        lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\tStop ${i + 1}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Exporta a paleta como Adobe Swatch Exchange (.ase, cores RGB globais)
+ * @param {Array<object>} stops - Paradas
+ * @returns {Uint8Array} Conteúdo do arquivo
+ */
+function exportPaletteASE(stops) {
+    const blocks = stops.map((stop, i) => {
+        const name = `Stop ${i + 1}\0`;
+        // nome (2 + 2 por caractere) + modelo (4) + 3 floats + tipo (2)
+        const length = 2 + name.length * 2 + 4 + 12 + 2;
+        const block = new DataView(new ArrayBuffer(6 + length));
+        let p = 0;
+
+        block.setUint16(p, 0x0001); p += 2;
+        block.setUint32(p, length); p += 4;
+        block.setUint16(p, name.length); p += 2;
+        for (let c = 0; c < name.length; c++, p += 2) block.setUint16(p, name.charCodeAt(c));
+        'RGB '.split('').forEach(char => block.setUint8(p++, char.charCodeAt(0)));
+
+        const { r, g, b } = hexToRgb(stop.color);
+        [r, g, b].forEach(value => {
+            block.setFloat32(p, value / 255);
+            p += 4;
+        });
+        block.setUint16(p, 0); // global
+
+        return new Uint8Array(block.buffer);
+    });
+
+    const header = new DataView(new ArrayBuffer(12));
+    'ASEF'.split('').forEach((char, i) => header.setUint8(i, char.charCodeAt(0)));
+    header.setUint16(4, 1);
+    header.setUint16(6, 0);
+    header.setUint32(8, blocks.length);
+
+    const parts = [new Uint8Array(header.buffer), ...blocks];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        output.set(part, position);
+        position += part.length;
+    });
+    return output;
+}
+
+/**
+ * Exporta a paleta como JSON (posições e cores B preservadas)
+ * @param {Array<object>} stops - Paradas
+ * @returns {string} Conteúdo do arquivo
+ */
+function exportPaletteJSON(stops) {
+    return JSON.stringify({ stops: normalizePalette(stops) }, null, 2) + '\n';
+}
+
+/**
+ * Exporta a paleta como CSS custom properties (cor, cor B e posição de cada parada)
+ * @param {Array<object>} stops - Paradas
+ * @returns {string} Conteúdo do arquivo
+ */
+function exportPaletteCSS(stops) {
+    const lines = [':root {'];
+    normalizePalette(stops).forEach((stop, i) => {
+        const name = `${PALETTE_CSS_PREFIX}-${i + 1}`;
+        lines.push(`    ${name}: ${stop.color};`);
+        lines.push(`    ${name}-b: ${stop.colorB};`);
+        lines.push(`    ${name}-position: ${Math.round(stop.position * 1000) / 10}%;`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
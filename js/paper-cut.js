@@ -0,0 +1,210 @@
+/**
+ * Paper Cut Forms Generator - Library
+ * Artes em outros sites e aplicações, sem o painel de index.html:
+ *   PaperCut.render(params, targetElement) e o elemento <paper-cut-form>
+ * Depende apenas dos scripts do núcleo (CORE_SCRIPTS em headless.js); cli/build-library.js
+ * junta tudo em dist/paper-cut.js, que expõe somente window.PaperCut
+ *
+ * Exemplo:
+ *   <paper-cut-form selected-shape="star" frequency="8" seed="42" gradient-enabled gradient-type="conic"></paper-cut-form>
+ */
+
+// Estado de cada elemento já renderizado: { id, cache, svg }
+const paperCutTargets = new WeakMap();
+
+// Contador para os IDs exclusivos de cada arte da página (paper-cut-1, paper-cut-2...)
+let paperCutCount = 0;
+
+// Parâmetros com codificação própria nos atributos, no mesmo formato dos links compartilhados
+// (ex: palette="0:3498db:2ecc71,1:e74c3c:f39c12", layer-overrides="3:c=ff0000;r=12,5:o=0.5")
+const PAPER_CUT_ATTRIBUTE_CODECS = {
+    palette: decodePaletteParam,
+    layerOverrides: decodeLayerOverridesParam
+};
+
+/**
+ * Nome do atributo de um parâmetro (ex: chaosX → chaos-x, selectedShape → selected-shape)
+ * @param {string} key - Chave do parâmetro
+ * @returns {string} Nome do atributo
+ */
+function getPaperCutAttributeName(key) {
+    return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Atributos aceitos por <paper-cut-form>, um por parâmetro de DEFAULT_PARAMS (mais palette)
+ * @returns {object} Nome do atributo → chave do parâmetro
+ */
+function getPaperCutAttributes() {
+    const attributes = {};
+    [...Object.keys(DEFAULT_PARAMS), 'palette'].forEach(key => {
+        attributes[getPaperCutAttributeName(key)] = key;
+    });
+    return attributes;
+}
+
+/**
+ * Converte o valor de um atributo no tipo do parâmetro (os tipos seguem DEFAULT_PARAMS)
+ * Booleanos: presença liga, "false" ou "0" desligam; cores aceitam "#rrggbb" ou "rrggbb"
+ * @param {string} key - Chave do parâmetro
+ * @param {string} raw - Valor do atributo
+ * @returns {*} Valor convertido, ou undefined se inválido
+ */
+function parsePaperCutAttribute(key, raw) {
+    const defaultValue = DEFAULT_PARAMS[key];
+
+    if (PAPER_CUT_ATTRIBUTE_CODECS[key]) {
+        return PAPER_CUT_ATTRIBUTE_CODECS[key](raw);
+    }
+    if (typeof defaultValue === 'boolean') {
+        return raw !== 'false' && raw !== '0';
+    }
+    if (typeof defaultValue === 'number') {
+        const value = parseFloat(raw);
+        return Number.isFinite(value) ? value : undefined;
+    }
+    if (/^#[0-9a-f]{6}$/i.test(defaultValue)) {
+        const hex = raw.replace(/^#/, '');
+        return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex.toLowerCase()}` : undefined;
+    }
+    return raw;
+}
+
+/**
+ * Completa parâmetros parciais com DEFAULT_PARAMS e valida os ajustes por camada
+ * @param {object} params - Parâmetros de geração (qualquer subconjunto de DEFAULT_PARAMS)
+ * @returns {object} Parâmetros completos
+ */
+function resolvePaperCutParams(params = {}) {
+    return {
+        ...DEFAULT_PARAMS,
+        ...params,
+        layerOverrides: normalizeLayerOverrides(params.layerOverrides)
+    };
+}
+
+/**
+ * Renderiza uma arte dentro de um elemento da página
+ * Cada elemento recebe IDs próprios (ex: paper-cut-2-clip-3), então várias artes convivem na mesma página;
+ * renderizações seguintes no mesmo elemento reaproveitam os estágios em cache e atualizam o SVG no lugar
+ * Gradientes com ruído (gradientType 'noise') são calculados na hora, na thread da página;
+ * para embutir, prefira os gradientes vetoriais
+ * @param {object} params - Parâmetros de geração (ver buildArtwork); ausentes usam DEFAULT_PARAMS
+ * @param {Element} targetElement - Elemento que recebe o <svg> (o conteúdo anterior é substituído)
+ * @param {object} options - Opções
+ * @param {boolean} options.guides - Se deve desenhar as guias de sangria e área segura (padrão false)
+ * @returns {SVGElement} Elemento <svg> renderizado
+ */
+function renderPaperCut(params, targetElement, options = {}) {
+    let state = paperCutTargets.get(targetElement);
+    if (!state) {
+        paperCutCount++;
+        state = { id: `paper-cut-${paperCutCount}`, cache: createRenderCache(), svg: null };
+        paperCutTargets.set(targetElement, state);
+    }
+
+    const svg = buildArtwork(resolvePaperCutParams(params), {
+        id: state.id,
+        idPrefix: `${state.id}-`,
+        guides: Boolean(options.guides),
+        cache: state.cache
+    });
+
+    if (state.svg && state.svg.parentNode === targetElement) {
+        patchSvgElement(state.svg, svg);
+    } else {
+        state.svg = createSvgElement(svg);
+        targetElement.replaceChildren(state.svg);
+    }
+
+    return state.svg;
+}
+
+/**
+ * Renderiza uma arte como string SVG, sem DOM (ex: para salvar ou enviar a um servidor)
+ * @param {object} params - Parâmetros de geração; ausentes usam DEFAULT_PARAMS
+ * @param {object} options - Opções de renderização (ver buildArtwork)
+ * @returns {string} Markup SVG completo
+ */
+function renderPaperCutToString(params, options = {}) {
+    return renderArtwork(resolvePaperCutParams(params), options);
+}
+
+/**
+ * Registra o elemento <paper-cut-form>
+ * Os atributos seguem os parâmetros de generateShapes() em kebab-case (ver getPaperCutAttributes);
+ * a propriedade `params` aceita um objeto, que tem prioridade sobre os atributos
+ * Mudanças de atributo na mesma tarefa são agrupadas em uma única renderização
+ */
+function definePaperCutElement() {
+    const attributes = getPaperCutAttributes();
+
+    class PaperCutFormElement extends HTMLElement {
+        static get observedAttributes() {
+            return Object.keys(attributes);
+        }
+
+        constructor() {
+            super();
+            this.extraParams = {};
+            this.renderQueued = false;
+        }
+
+        /**
+         * Parâmetros vindos dos atributos e da propriedade `params`
+         * @returns {object} Parâmetros de geração (parciais)
+         */
+        get params() {
+            const params = {};
+            Object.keys(attributes).forEach(name => {
+                if (!this.hasAttribute(name)) return;
+                const value = parsePaperCutAttribute(attributes[name], this.getAttribute(name));
+                if (value !== undefined) params[attributes[name]] = value;
+            });
+            return { ...params, ...this.extraParams };
+        }
+
+        set params(value) {
+            this.extraParams = { ...value };
+            this.scheduleRender();
+        }
+
+        connectedCallback() {
+            this.render();
+        }
+
+        attributeChangedCallback() {
+            this.scheduleRender();
+        }
+
+        scheduleRender() {
+            if (this.renderQueued || !this.isConnected) return;
+            this.renderQueued = true;
+            queueMicrotask(() => {
+                this.renderQueued = false;
+                if (this.isConnected) this.render();
+            });
+        }
+
+        render() {
+            try {
+                renderPaperCut(this.params, this);
+            } catch (error) {
+                console.error('Erro ao renderizar <paper-cut-form>:', error);
+            }
+        }
+    }
+
+    customElements.define('paper-cut-form', PaperCutFormElement);
+}
+
+const PaperCut = {
+    DEFAULT_PARAMS,
+    render: renderPaperCut,
+    renderToString: renderPaperCutToString,
+    attributes: getPaperCutAttributes()
+};
+
+if (typeof customElements !== 'undefined' && !customElements.get('paper-cut-form')) {
+    definePaperCutElement();
+}
@@ -0,0 +1,34 @@
+/**
+ * Paper Cut Forms Generator - Param Controls
+ * Sliders gerados a partir dos registros de parâmetros (WARP_MODES, SHAPE_GENERATORS)
+ */
+
+/**
+ * Cria um grupo de controle com slider para um parâmetro de registro
+ * O slider usa a chave do parâmetro como ID e o valor exibido usa `${key}Value`
+ * @param {object} param - Parâmetro { key, label, min, max, step, value }
+ * @param {string} labelText - Texto do label
+ * @returns {HTMLElement} Elemento .control-group
+ */
+function createRangeControlGroup(param, labelText) {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    const value = document.createElement('span');
+    value.className = 'value-display';
+    value.id = `${param.key}Value`;
+    value.textContent = param.value;
+    label.append(`${labelText} `, value);
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.id = param.key;
+    input.min = param.min;
+    input.max = param.max;
+    input.step = param.step;
+    input.value = param.value;
+
+    group.append(label, input);
+    return group;
+}
@@ -0,0 +1,323 @@
+/**
+ * Paper Cut Forms Generator - Render Pipeline
+ * Renderização em estágios: geometria, distorção, clips, preenchimentos e filtros
+ * Cada estágio declara os parâmetros que lê; com um cache (createRenderCache), o resultado de um
+ * estágio é reaproveitado enquanto esses parâmetros e os estágios de que ele depende não mudam.
+ * Assim, mudar uma cor ou a sombra não redistorce os paths nem recalcula os clips.
+ */
+
+/**
+ * Estágios, na ordem de execução
+ * `inputs`: parâmetros de geração lidos pelo estágio
+ * `overrides`: campos de params.layerOverrides lidos pelo estágio (ver layer-overrides.js)
+ * `after`: estágios cujo resultado o estágio usa
+ * `run(params, upstream, options)`: calcula o resultado (upstream traz os resultados de `after`)
+ * `complete(value)`: opcional; resultados incompletos não entram no cache
+ */
+const RENDER_STAGES = {
+    geometry: {
+        inputs: [
+            'selectedShape', 'customPath', 'frequency', 'scaleConstant', 'maxRotate', 'seed',
+            'sizeEasing', 'sizeBezier', 'rotationEasing', 'rotationBezier',
+            ...Object.keys(getShapeDefaultParams())
+        ],
+        overrides: ['scale', 'rotation'],
+        after: [],
+        run: params => computeLayerGeometry(params)
+    },
+    warp: {
+        inputs: [
+            'warpMode', 'warpMode2', 'chaosX', 'chaosY', 'seed', 'warpPhase', 'seedBlend', 'blendSeed',
+            ...Object.keys(getWarpDefaultParams())
+        ],
+        overrides: ['offsetX', 'offsetY'],
+        after: ['geometry'],
+        run: (params, { geometry }) => warpLayerGeometry(params, geometry)
+    },
+    clips: {
+        inputs: [],
+        overrides: [],
+        after: ['warp'],
+        // Caixa de cada contorno distorcido: centro da escala dos clips e posição dos gradientes vetoriais
+        run: (params, { warp }) => warp.map(d => {
+            const bounds = getPathBBox(d);
+            return { bounds, transform: getScaledClipTransform(bounds) };
+        })
+    },
+    fills: {
+        inputs: [
+            'frequency', 'palette', 'color1A', 'color1B', 'color2A', 'color2B', 'paletteReverse', 'paletteShift',
+            'colorSpace', 'colorEasing', 'colorBezier', 'gradientEnabled', 'gradientType', 'gradientAngle', 'gradientNoise',
+            'textureScale', 'textureOctaves', 'seed', 'layerOpacity', 'opacityMode', 'layerOpacityMin'
+        ],
+        overrides: ['color', 'colorB', 'opacity'],
+        after: [],
+        run: (params, upstream, options) => computeLayerFills(params, options),
+        // Padrões com a imagem ainda em cálculo (ver gradient-jobs.js) são pedidos de novo na próxima renderização
+        complete: fills => fills.every(fill => !fill.pattern || fill.pattern.dataUrl)
+    },
+    filters: {
+        inputs: [
+            'frequency', 'textureEnabled', 'textureIntensity', 'textureScale', 'textureOctaves', 'seed',
+            'shadowEnabled', 'shadowOffsetX', 'shadowOffsetY', 'shadowBlur', 'shadowSize', 'shadowColor'
+        ],
+        overrides: ['shadow'],
+        after: [],
+        run: params => computeLayerFilters(params)
+    }
+};
+
+/**
+ * Cria um cache de estágios
+ * Um cache deve ser usado sempre com as mesmas opções de renderização (encodeImage, resolveImage)
+ * @returns {object} Cache { entries: { estágio: { key, value } }, reused: [...] }
+ */
+function createRenderCache() {
+    return {
+        entries: {},
+        reused: [] // Estágios reaproveitados na última execução (para depuração)
+    };
+}
+
+/**
+ * Chave de um estágio: valores das entradas e dos campos de ajuste por camada que ele lê
+ * @param {object} stage - Entrada de RENDER_STAGES
+ * @param {object} params - Parâmetros de geração
+ * @returns {string} Chave
+ */
+function getRenderStageKey(stage, params) {
+    const overrides = {};
+    if (stage.overrides.length) {
+        Object.keys(params.layerOverrides || {}).forEach(layer => {
+            const fields = {};
+            stage.overrides.forEach(field => {
+                const value = params.layerOverrides[layer][field];
+                if (value !== undefined) fields[field] = value;
+            });
+            if (Object.keys(fields).length) overrides[layer] = fields;
+        });
+    }
+
+    return JSON.stringify([stage.inputs.map(key => params[key]), overrides]);
+}
+
+/**
+ * Executa os estágios pedidos (e os que eles dependem), reaproveitando o cache quando possível
+ * @param {object} params - Parâmetros de geração
+ * @param {object} options - Opções de renderização (ver buildArtwork); options.cache é o cache de estágios
+ * @param {Array<string>} names - Estágios desejados (padrão: todos)
+ * @returns {object} Resultados { geometry, warp, clips, fills, filters } (apenas os executados)
+ */
+function runRenderStages(params, options = {}, names = Object.keys(RENDER_STAGES)) {
+    const { cache = null } = options;
+    const results = {};
+    const keys = {};
+    if (cache) cache.reused = [];
+
+    const run = name => {
+        if (name in results) return;
+
+        const stage = RENDER_STAGES[name];
+        stage.after.forEach(run);
+
+        // A chave inclui as chaves dos estágios anteriores: mudou a geometria, muda a distorção
+        keys[name] = [getRenderStageKey(stage, params), ...stage.after.map(dependency => keys[dependency])].join('>');
+
+        const entry = cache && cache.entries[name];
+        if (entry && entry.key === keys[name]) {
+            results[name] = entry.value;
+            cache.reused.push(name);
+            return;
+        }
+
+        const upstream = {};
+        stage.after.forEach(dependency => {
+            upstream[dependency] = results[dependency];
+        });
+        results[name] = stage.run(params, upstream, options);
+
+        if (cache) {
+            const complete = !stage.complete || stage.complete(results[name]);
+            cache.entries[name] = complete ? { key: keys[name], value: results[name] } : undefined;
+        }
+    };
+
+    names.forEach(run);
+    return results;
+}
+
+/**
+ * Estágio geometry: tamanho, rotação e forma (ainda sem distorção) de cada camada
+ * Camadas ordenadas da maior (borda) para a menor (centro); ajustes de escala e rotação entram aqui
+ * @param {object} params - Parâmetros de geração (ver buildArtwork)
+ * @returns {Array<object>} Camadas { layer, t, size, rotateFactor, geometry } (geometry: ver createShape)
+ */
+function computeLayerGeometry(params) {
+    const { selectedShape, frequency } = params;
+    const layers = [];
+
+    for (let i = frequency; i >= 1; i--) {
+        const { t, size: computedSize, rotateFactor } = computeLayerValues(params, i);
+        const override = getLayerOverride(params, i);
+        const size = override.scale !== undefined ? computedSize * override.scale : computedSize;
+
+        layers.push({
+            layer: i,
+            t: t,
+            size: size,
+            rotateFactor: override.rotation !== undefined ? override.rotation : rotateFactor,
+            geometry: createShape(selectedShape, size, params)
+        });
+    }
+
+    return layers;
+}
+
+/**
+ * Estágio warp: contorno distorcido de cada camada, com o deslocamento manual aplicado
+ * @param {object} params - Parâmetros de geração (ver buildArtwork)
+ * @param {Array<object>} layers - Resultado do estágio geometry
+ * @returns {Array<string>} Path distorcido de cada camada, na ordem de layers
+ */
+function warpLayerGeometry(params, layers) {
+    const warp = createWarp(params);
+
+    return layers.map(({ layer, geometry }) => {
+        const override = getLayerOverride(params, layer);
+        const d = warpGeometry(geometry, warp);
+        if (!override.offsetX && !override.offsetY) return d;
+        return serializePathData(scalePathCommands(normalizePathData(d), 1, 1, override.offsetX || 0, override.offsetY || 0));
+    });
+}
+
+/**
+ * Estágio fills: cor, opacidade e gradiente de cada camada
+ * Os gradientes vetoriais saem sem posição; buildArtwork os encaixa na caixa da forma distorcida (estágio clips)
+ * @param {object} params - Parâmetros de geração (ver buildArtwork)
+ * @param {object} options - Opções de renderização (encodeImage e resolveImage dos gradientes com ruído)
+ * @returns {Array<object>} Preenchimentos { color, opacity, pattern, gradient } da borda para o centro
+ *                          (pattern: dados de createNoiseGradientPattern; gradient: de createDistortedGradient;
+ *                          ambos null com cor sólida)
+ */
+function computeLayerFills(params, options = {}) {
+    const {
+        frequency,
+        seed = 12345,
+        textureScale = 80,
+        textureOctaves = 4,
+        gradientEnabled = false,
+        gradientType = 'noise',
+        gradientAngle = 90,
+        gradientNoise = 30,
+        colorSpace = 'srgb'
+    } = params;
+    const { encodeImage, resolveImage } = options;
+
+    const palette = resolvePalette(params);
+    const fills = [];
+
+    for (let i = frequency; i >= 1; i--) {
+        const { t, colorT } = computeLayerValues(params, i);
+
+        // Cores da camada na paleta; a cor B é usada no gradiente
+        const computedColors = samplePalette(palette, getPalettePosition(colorT, params), colorSpace);
+        const override = getLayerOverride(params, i);
+        const color = override.color || computedColors.color;
+        const colorB = override.colorB || computedColors.colorB;
+
+        let pattern = null;
+        let gradient = null;
+
+        if (gradientEnabled && gradientType === 'noise') {
+            // Gradiente distorcido em bitmap (sem textura embutida - textura aplicada via filtro)
+            pattern = createNoiseGradientPattern(`noise-gradient-${i}`, color, colorB, i, {
+                intensity: 0,  // Sempre 0 para gradiente puro (textura vem do filtro)
+                scale: textureScale,
+                octaves: textureOctaves,
+                seed: seed + (i * 789.123),
+                patternSize: 400,
+                colorSpace,
+                encodeImage,
+                resolveImage
+            });
+        } else if (gradientEnabled) {
+            // Gradiente vetorial com paradas perturbadas por ruído
+            gradient = createDistortedGradient(`gradient-${i}`, color, colorB, i, {
+                intensity: gradientNoise,
+                complexity: 7,
+                seed: seed,
+                type: gradientType,
+                angle: gradientAngle,
+                colorSpace
+            });
+        }
+
+        fills.push({
+            color: color,
+            // Opacidade da rampa global, ou a do ajuste manual da camada
+            opacity: override.opacity !== undefined ? override.opacity : calculateLayerOpacity(t, params),
+            pattern: pattern,
+            gradient: gradient
+        });
+    }
+
+    return fills;
+}
+
+/**
+ * Estágio filters: textura compartilhada e inner shadow progressivo de cada camada
+ * @param {object} params - Parâmetros de geração (ver buildArtwork)
+ * @returns {object} Filtros { texture, layers: [{ shadow }] } (texture e shadow null quando desligados)
+ */
+function computeLayerFilters(params) {
+    const {
+        frequency,
+        seed = 12345,
+        textureEnabled = false,
+        textureIntensity = 50,
+        textureScale = 80,
+        textureOctaves = 4,
+        shadowEnabled = false,
+        shadowOffsetX = 1,
+        shadowOffsetY = 1,
+        shadowBlur = 4,
+        shadowSize = 2,
+        shadowColor = '#000000'
+    } = params;
+
+    const texture = !textureEnabled ? null : {
+        scale: textureScale,
+        intensity: textureIntensity,
+        octaves: textureOctaves,
+        seed: seed
+    };
+
+    const layers = [];
+    for (let i = frequency; i >= 1; i--) {
+        const { t } = computeLayerValues(params, i);
+        const override = getLayerOverride(params, i);
+        const layerShadowEnabled = override.shadow !== undefined ? override.shadow : shadowEnabled;
+
+        if (!layerShadowEnabled || shadowBlur <= 0) {
+            layers.push({ shadow: null });
+            continue;
+        }
+
+        // Calcular valores progressivos de blur e offset
+        const minMultiplier = 0.5;
+        const maxMultiplier = shadowSize;
+        const shadowProgress = minMultiplier + (t * (maxMultiplier - minMultiplier));
+
+        layers.push({
+            shadow: {
+                blur: shadowBlur * shadowProgress,
+                offsetX: shadowOffsetX * shadowProgress,
+                offsetY: shadowOffsetY * shadowProgress,
+                opacity: 0.7,
+                color: shadowColor
+            }
+        });
+    }
+
+    return { texture, layers };
+}
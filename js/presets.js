@@ -0,0 +1,297 @@
+/**
+ * Paper Cut Forms Generator - Presets
+ * Estilos prontos e presets do usuário persistidos no localStorage
+ */
+
+/**
+ * Presets embutidos (sobrescrevem apenas os parâmetros listados de DEFAULT_PARAMS)
+ */
+const BUILTIN_PRESETS = [
+    {
+        name: 'Ondas Suaves',
+        params: {
+            selectedShape: 'circle',
+            frequency: 12,
+            scaleConstant: 24,
+            chaosX: 30,
+            chaosY: 40,
+            maxRotate: 10,
+            color1A: '#1d4e89',
+            color2A: '#9fd8cb',
+            shadowEnabled: true,
+            shadowBlur: 6
+        }
+    },
+    {
+        name: 'Espirais Dramáticas',
+        params: {
+            selectedShape: 'hexagon',
+            frequency: 18,
+            scaleConstant: 14,
+            chaosX: 70,
+            chaosY: 80,
+            maxRotate: 35,
+            color1A: '#2b0f3a',
+            color2A: '#ff6b35',
+            shadowEnabled: true,
+            shadowBlur: 10,
+            shadowSize: 3
+        }
+    },
+    {
+        name: 'Minimalista',
+        params: {
+            selectedShape: 'square',
+            frequency: 5,
+            scaleConstant: 40,
+            chaosX: 10,
+            chaosY: 12,
+            maxRotate: 5,
+            color1A: '#f2f2f2',
+            color2A: '#bdbdbd',
+            shadowEnabled: true,
+            shadowBlur: 3,
+            textureEnabled: false
+        }
+    },
+    {
+        name: 'Papel Texturizado',
+        params: {
+            selectedShape: 'triangle',
+            frequency: 10,
+            scaleConstant: 30,
+            chaosX: 45,
+            chaosY: 35,
+            maxRotate: 20,
+            color1A: '#e9dcc9',
+            color2A: '#8c5a3c',
+            textureEnabled: true,
+            textureIntensity: 15,
+            textureScale: 60,
+            textureOctaves: 5
+        }
+    },
+    {
+        name: 'Gradiente Vibrante',
+        params: {
+            selectedShape: 'circle',
+            frequency: 9,
+            scaleConstant: 32,
+            chaosX: 55,
+            chaosY: 60,
+            maxRotate: 25,
+            gradientEnabled: true,
+            color1A: '#ff006e',
+            color1B: '#fb5607',
+            color2A: '#3a86ff',
+            color2B: '#8338ec'
+        }
+    }
+];
+
+// Prefixos dos valores do <select> para diferenciar origem do preset
+const PRESET_BUILTIN_PREFIX = 'builtin:';
+const PRESET_USER_PREFIX = 'user:';
+
+/**
+ * Carrega os presets do usuário do localStorage
+ * @returns {Array<object>} Presets no formato { name, params }, na ordem salva
+ */
+function loadUserPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.presets.storageKey));
+        return Array.isArray(stored)
+            ? stored.filter(preset => preset && typeof preset.name === 'string' && preset.params)
+            : [];
+    } catch (error) {
+        console.error('Erro ao carregar presets:', error);
+        return [];
+    }
+}
+
+/**
+ * Salva os presets do usuário no localStorage
+ * @param {Array<object>} presets - Presets no formato { name, params }
+ * @returns {boolean} true se foram salvos
+ */
+function saveUserPresets(presets) {
+    try {
+        localStorage.setItem(CONFIG.presets.storageKey, JSON.stringify(presets));
+        return true;
+    } catch (error) {
+        console.error('Erro ao salvar presets:', error);
+        return false;
+    }
+}
+
+/**
+ * Busca um preset pelo valor do <select>
+ * @param {string} value - Valor no formato "builtin:Nome" ou "user:Nome"
+ * @returns {object|null} Preset encontrado
+ */
+function findPreset(value) {
+    if (value.startsWith(PRESET_BUILTIN_PREFIX)) {
+        const name = value.slice(PRESET_BUILTIN_PREFIX.length);
+        return BUILTIN_PRESETS.find(preset => preset.name === name) || null;
+    }
+
+    if (value.startsWith(PRESET_USER_PREFIX)) {
+        const name = value.slice(PRESET_USER_PREFIX.length);
+        return loadUserPresets().find(preset => preset.name === name) || null;
+    }
+
+    return null;
+}
+
+/**
+ * Retorna o nome do preset do usuário selecionado, se houver
+ * @returns {string|null} Nome do preset
+ */
+function getSelectedUserPresetName() {
+    const value = controls.presetSelect.value;
+    return value.startsWith(PRESET_USER_PREFIX) ? value.slice(PRESET_USER_PREFIX.length) : null;
+}
+
+/**
+ * Recria as opções do seletor de presets
+ * @param {string} selectedValue - Valor a manter selecionado
+ */
+function renderPresetOptions(selectedValue = '') {
+    const select = controls.presetSelect;
+    select.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = '— Escolha um preset —';
+    select.appendChild(placeholder);
+
+    const addGroup = (label, presets, prefix) => {
+        if (presets.length === 0) return;
+
+        const group = document.createElement('optgroup');
+        group.label = label;
+        presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = prefix + preset.name;
+            option.textContent = preset.name;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    };
+
+    addGroup('Estilos', BUILTIN_PRESETS, PRESET_BUILTIN_PREFIX);
+    addGroup('Meus Presets', loadUserPresets(), PRESET_USER_PREFIX);
+
+    select.value = selectedValue;
+    if (select.value !== selectedValue) select.value = '';
+}
+
+/**
+ * Aplica um preset: atualiza sliders, labels e renderiza em um único passo
+ * @param {string} value - Valor no formato "builtin:Nome" ou "user:Nome"
+ */
+function applyPreset(value) {
+    const preset = findPreset(value);
+    if (!preset) return;
+
+    // O formato de impressão atual é mantido; presets definem apenas o estilo
+    flushHistory();
+    setControlValues({ ...DEFAULT_PARAMS, ...getArtboardControlValues(), ...preset.params });
+    generate();
+    flushHistory();
+}
+
+/**
+ * Salva o estado atual como preset do usuário
+ */
+function saveCurrentPreset() {
+    const name = (window.prompt('Nome do preset:', getSelectedUserPresetName() || '') || '').trim();
+    if (!name) return;
+
+    const presets = loadUserPresets();
+    const existing = presets.findIndex(preset => preset.name === name);
+    const params = getControlValues();
+
+    if (existing !== -1) {
+        if (!window.confirm(`Substituir o preset "${name}"?`)) return;
+        presets[existing].params = params;
+    } else {
+        if (presets.length >= CONFIG.presets.maxUserPresets) {
+            window.alert(`Limite de ${CONFIG.presets.maxUserPresets} presets atingido.`);
+            return;
+        }
+        presets.push({ name, params });
+    }
+
+    if (saveUserPresets(presets)) {
+        renderPresetOptions(PRESET_USER_PREFIX + name);
+    }
+}
+
+/**
+ * Renomeia o preset do usuário selecionado
+ */
+function renameSelectedPreset() {
+    const oldName = getSelectedUserPresetName();
+    if (!oldName) return;
+
+    const newName = (window.prompt('Novo nome:', oldName) || '').trim();
+    if (!newName || newName === oldName) return;
+
+    const presets = loadUserPresets();
+    if (presets.some(preset => preset.name === newName)) {
+        window.alert(`Já existe um preset chamado "${newName}".`);
+        return;
+    }
+
+    presets.find(preset => preset.name === oldName).name = newName;
+
+    if (saveUserPresets(presets)) {
+        renderPresetOptions(PRESET_USER_PREFIX + newName);
+    }
+}
+
+/**
+ * Exclui o preset do usuário selecionado
+ */
+function deleteSelectedPreset() {
+    const name = getSelectedUserPresetName();
+    if (!name || !window.confirm(`Excluir o preset "${name}"?`)) return;
+
+    const presets = loadUserPresets().filter(preset => preset.name !== name);
+
+    if (saveUserPresets(presets)) {
+        renderPresetOptions();
+    }
+}
+
+/**
+ * Move o preset do usuário selecionado na lista
+ * @param {number} direction - -1 para cima, 1 para baixo
+ */
+function moveSelectedPreset(direction) {
+    const name = getSelectedUserPresetName();
+    if (!name) return;
+
+    const presets = loadUserPresets();
+    const index = presets.findIndex(preset => preset.name === name);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= presets.length) return;
+
+    [presets[index], presets[target]] = [presets[target], presets[index]];
+
+    if (saveUserPresets(presets)) {
+        renderPresetOptions(PRESET_USER_PREFIX + name);
+    }
+}
+
+/**
+ * Inicializa o seletor de presets
+ */
+function initPresets() {
+    renderPresetOptions();
+
+    controls.presetSelect.addEventListener('change', function() {
+        applyPreset(controls.presetSelect.value);
+    });
+}
@@ -0,0 +1,228 @@
+/**
+ * Paper Cut Forms Generator - Color Quantization
+ * Extração das cores dominantes de uma imagem (median cut ou k-means)
+ * Trabalha sobre pixels RGBA (mesmo formato de ImageData.data), sem depender do DOM
+ */
+
+// Métodos de quantização disponíveis (chave → nome exibido)
+const QUANTIZE_METHODS = {
+    mediancut: 'Median Cut',
+    kmeans: 'K-means'
+};
+
+// Limite de pixels analisados (imagens maiores são amostradas em intervalos regulares)
+const QUANTIZE_MAX_SAMPLES = 20000;
+
+// Pixels com alfa abaixo disto são ignorados (fundo transparente)
+const QUANTIZE_MIN_ALPHA = 128;
+
+// Iterações máximas do k-means
+const KMEANS_MAX_ITERATIONS = 24;
+
+/**
+ * Amostra os pixels opacos de um buffer RGBA
+ * @param {Uint8ClampedArray|Array<number>} data - Pixels RGBA
+ * @param {number} maxSamples - Quantidade máxima de pixels
+ * @returns {Array<Array<number>>} Pixels [r, g, b]
+ */
+function samplePixels(data, maxSamples = QUANTIZE_MAX_SAMPLES) {
+    const total = Math.floor(data.length / 4);
+    const step = Math.max(1, Math.floor(total / maxSamples));
+    const pixels = [];
+
+    for (let i = 0; i < total; i += step) {
+        const offset = i * 4;
+        if (data[offset + 3] < QUANTIZE_MIN_ALPHA) continue;
+        pixels.push([data[offset], data[offset + 1], data[offset + 2]]);
+    }
+
+    return pixels;
+}
+
+/**
+ * Cor média de um grupo de pixels
+ * @param {Array<Array<number>>} pixels - Pixels [r, g, b]
+ * @returns {Array<number>} Média [r, g, b]
+ */
+function averagePixels(pixels) {
+    const sum = [0, 0, 0];
+    pixels.forEach(pixel => {
+        sum[0] += pixel[0];
+        sum[1] += pixel[1];
+        sum[2] += pixel[2];
+    });
+    return sum.map(value => value / (pixels.length || 1));
+}
+
+/**
+ * Quantização por median cut: divide repetidamente a caixa com maior erro quadrático
+ * ao longo do canal de maior variância
+ * O corte fica no ponto que minimiza a variância das duas metades (não exatamente na mediana),
+ * então uma cor pequena e distante não é misturada com metade de uma cor dominante
+ * @param {Array<Array<number>>} pixels - Pixels [r, g, b]
+ * @param {number} count - Número de cores
+ * @returns {Array<object>} Grupos [{ rgb: [r, g, b], population }]
+ */
+function medianCut(pixels, count) {
+    const describe = box => {
+        const variances = [0, 1, 2].map(channel => {
+            const mean = box.reduce((sum, pixel) => sum + pixel[channel], 0) / box.length;
+            return box.reduce((sum, pixel) => sum + (pixel[channel] - mean) ** 2, 0);
+        });
+        const channel = variances.indexOf(Math.max(...variances));
+        return { pixels: box, channel, score: variances[channel] };
+    };
+
+    const split = (box, channel) => {
+        const sorted = [...box].sort((a, b) => a[channel] - b[channel]);
+        const values = sorted.map(pixel => pixel[channel]);
+        const total = values.reduce((sum, value) => sum + value, 0);
+        const totalSquares = values.reduce((sum, value) => sum + value * value, 0);
+
+        // Erro de cada metade = soma dos quadrados - soma² / n (somas prefixadas)
+        let sum = 0;
+        let squares = 0;
+        let best = Math.floor(values.length / 2);
+        let bestError = Infinity;
+        for (let i = 1; i < values.length; i++) {
+            sum += values[i - 1];
+            squares += values[i - 1] * values[i - 1];
+            if (values[i] === values[i - 1]) continue;
+
+            const right = values.length - i;
+            const error = squares - sum * sum / i + (totalSquares - squares) - (total - sum) ** 2 / right;
+            if (error < bestError) {
+                bestError = error;
+                best = i;
+            }
+        }
+        return [sorted.slice(0, best), sorted.slice(best)];
+    };
+
+    const boxes = [describe(pixels)];
+
+    while (boxes.length < count) {
+        let index = -1;
+        boxes.forEach((box, i) => {
+            if (box.score > 0 && (index < 0 || box.score > boxes[index].score)) index = i;
+        });
+        if (index < 0) break;
+
+        const [low, high] = split(boxes[index].pixels, boxes[index].channel);
+        boxes.splice(index, 1, describe(low), describe(high));
+    }
+
+    return boxes.map(box => ({ rgb: averagePixels(box.pixels), population: box.pixels.length }));
+}
+
+/**
+ * Quantização por k-means com centros iniciais k-means++
+ * Os centros iniciais vêm de uma seed fixa, então a mesma imagem gera sempre a mesma paleta
+ * @param {Array<Array<number>>} pixels - Pixels [r, g, b]
+ * @param {number} count - Número de cores
+ * @returns {Array<object>} Grupos [{ rgb: [r, g, b], population }]
+ */
+function kMeans(pixels, count) {
+    const rng = createRandom('kmeans');
+    const distance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+    // k-means++: cada novo centro é sorteado com probabilidade proporcional à distância²
+    const centers = [pixels[Math.floor(rng() * pixels.length)]];
+    const nearest = pixels.map(pixel => distance(pixel, centers[0]));
+    while (centers.length < count) {
+        const total = nearest.reduce((sum, value) => sum + value, 0);
+        if (total === 0) break;
+
+        let target = rng() * total;
+        let index = 0;
+        while (index < pixels.length - 1 && target >= nearest[index]) {
+            target -= nearest[index];
+            index++;
+        }
+        centers.push(pixels[index]);
+        pixels.forEach((pixel, i) => {
+            nearest[i] = Math.min(nearest[i], distance(pixel, pixels[index]));
+        });
+    }
+
+    const assignments = new Array(pixels.length).fill(-1);
+    let groups = [];
+
+    for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+        let changed = false;
+        groups = centers.map(() => []);
+
+        pixels.forEach((pixel, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centers.forEach((center, c) => {
+                const d = distance(pixel, center);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = c;
+                }
+            });
+            if (assignments[i] !== best) {
+                assignments[i] = best;
+                changed = true;
+            }
+            groups[best].push(pixel);
+        });
+
+        groups.forEach((group, c) => {
+            if (group.length) centers[c] = averagePixels(group);
+        });
+        if (!changed) break;
+    }
+
+    return centers
+        .map((rgb, c) => ({ rgb, population: groups[c].length }))
+        .filter(group => group.population > 0);
+}
+
+/**
+ * Extrai as cores dominantes de uma imagem, da mais para a menos frequente
+ * @param {Uint8ClampedArray|Array<number>} data - Pixels RGBA (ImageData.data)
+ * @param {object} options - Opções
+ * @param {number} options.count - Número de cores (padrão: 6)
+ * @param {string} options.method - Chave de QUANTIZE_METHODS (padrão: mediancut)
+ * @returns {Array<object>} Cores [{ color: '#rrggbb', share }] com share = fração dos pixels (0-1)
+ */
+function extractPalette(data, { count = 6, method = 'mediancut' } = {}) {
+    const pixels = samplePixels(data);
+    if (!pixels.length) return [];
+
+    const quantize = method === 'kmeans' ? kMeans : medianCut;
+    const groups = quantize(pixels, Math.max(1, Math.round(count)));
+    const merged = new Map();
+
+    // Grupos que arredondam para a mesma cor somam suas populações
+    groups.forEach(group => {
+        const color = rgbToHex(...group.rgb.map(Math.round));
+        merged.set(color, (merged.get(color) || 0) + group.population);
+    });
+
+    return [...merged]
+        .map(([color, population]) => ({ color, share: population / pixels.length }))
+        .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Monta paradas de paleta a partir das cores extraídas, na ordem de dominância
+ * @param {Array<string>} colors - Cores em hex, da mais para a menos frequente
+ * @param {string} target - 'ramp' (uma cor por parada) ou 'ab' (pares de cores A/B por parada)
+ * @returns {Array<object>} Paradas [{ position, color, colorB }]
+ */
+function paletteFromExtractedColors(colors, target = 'ramp') {
+    if (target !== 'ab') return paletteFromColors(colors);
+
+    const pairs = [];
+    for (let i = 0; i < colors.length; i += 2) {
+        pairs.push({ color: colors[i], colorB: colors[i + 1] || colors[i] });
+    }
+
+    return normalizePalette(pairs.map((pair, i) => ({
+        position: pairs.length === 1 ? 0 : i / (pairs.length - 1),
+        ...pair
+    })));
+}
@@ -0,0 +1,313 @@
+/**
+ * Paper Cut Forms Generator - Headless Renderer
+ * Núcleo de renderização puro: parâmetros → documento SVG, sem navegador
+ * Usado pela página (generateShapes) e pelo Node (headless.js)
+ */
+
+/**
+ * Parâmetros padrão de geração (mesmos valores iniciais de index.html)
+ * Mesmo formato retornado por getControlValues(), exceto pela paleta: sem `palette`,
+ * as cores color1A/1B (borda) e color2A/2B (centro) formam a paleta padrão
+ */
+const DEFAULT_PARAMS = {
+    selectedShape: 'hexagon',
+    frequency: 6,
+    scaleConstant: 22,
+    chaosY: 40,
+    chaosX: 44,
+    maxRotate: 15,
+    seed: 12345,
+    color1A: '#3498db',
+    color1B: '#2ecc71',
+    color2A: '#e74c3c',
+    color2B: '#f39c12',
+    textureEnabled: false,
+    textureIntensity: 50,
+    textureScale: 80,
+    textureOctaves: 4,
+    shadowEnabled: true,
+    shadowOffsetX: 1,
+    shadowOffsetY: 1,
+    shadowBlur: 4,
+    shadowSize: 2,
+    shadowColor: '#000000',
+    gradientEnabled: false,
+    gradientType: 'noise',
+    gradientAngle: 90,
+    gradientNoise: 30,
+    colorSpace: 'srgb',
+    layerOpacity: 100,
+    opacityMode: 'uniform',
+    layerOpacityMin: 30,
+    blendMode: 'normal',
+    paletteReverse: false,
+    customPath: '',
+    ...getShapeDefaultParams(),
+    warpMode: 'sine',
+    warpMode2: 'none',
+    ...getWarpDefaultParams(),
+    ...getEasingDefaultParams(),
+    layerOverrides: {},
+    artboardSize: 'screen',
+    artboardOrientation: 'portrait',
+    artboardUnit: 'mm',
+    artboardWidth: 210,
+    artboardHeight: 297,
+    bleed: 3,
+    safeMargin: 5
+};
+
+/**
+ * Valores calculados pela fórmula para uma camada, antes dos ajustes manuais
+ * Tamanho, rotação e cor seguem as curvas de easing de cada canal (ver easing.js)
+ * @param {object} params - Parâmetros de geração (ver buildArtwork)
+ * @param {number} i - Número da camada (1 = centro, frequency = borda)
+ * @returns {object} Valores { t, colorT, size, rotateFactor }
+ */
+function computeLayerValues(params, i) {
+    const { frequency, scaleConstant, maxRotate } = params;
+    const t = map(i, frequency, 1, 0, 1);
+
+    return {
+        t: t,
+        colorT: getEasing(params, 'color')(t),
+        // Índice da camada ajustado pela curva (com a curva linear é exatamente i);
+        // Béziers que descem abaixo de 0 não geram tamanhos negativos
+        size: Math.max(0, frequency * getEasing(params, 'size')(i / frequency)) * scaleConstant,
+        rotateFactor: maxRotate * getEasing(params, 'rotation')(t)
+    };
+}
+
+/**
+ * Opacidade de uma camada pela rampa global (antes dos ajustes manuais)
+ * 'fade-in' esmaece o centro e 'fade-out' esmaece a borda; o extremo esmaecido usa layerOpacityMin
+ * @param {number} t - Posição da camada (0 = borda, 1 = centro)
+ * @param {object} params - Parâmetros com layerOpacity, layerOpacityMin e opacityMode (0-100)
+ * @returns {number} Opacidade (0-1)
+ */
+function calculateLayerOpacity(t, params) {
+    const { layerOpacity = 100, layerOpacityMin = 30, opacityMode = 'uniform' } = params;
+    const full = layerOpacity / 100;
+    const faded = Math.min(layerOpacityMin, layerOpacity) / 100;
+
+    switch (opacityMode) {
+        case 'fade-in':
+            return full + (faded - full) * t;
+        case 'fade-out':
+            return faded + (full - faded) * t;
+        case 'uniform':
+        default:
+            return full;
+    }
+}
+
+/**
+ * Posição de uma camada na paleta
+ * paletteShift (animação) desloca a progressão de cor em vai e volta, sem saltos entre as pontas
+ * da paleta: 1 = ida e volta completa; paletteReverse inverte o resultado
+ * @param {number} colorT - Progressão de cor da camada (ver computeLayerValues)
+ * @param {object} params - Parâmetros com paletteShift e paletteReverse
+ * @returns {number} Posição na paleta (0 = borda, 1 = centro)
+ */
+function getPalettePosition(colorT, params) {
+    const { paletteShift = 0, paletteReverse = false } = params;
+    let position = colorT;
+
+    if (paletteShift) {
+        const cycle = ((colorT + paletteShift * 2) % 2 + 2) % 2;
+        position = cycle <= 1 ? cycle : 2 - cycle;
+    }
+
+    return paletteReverse ? 1 - position : position;
+}
+
+/**
+ * Calcula a geometria de cada camada (tamanho, rotação e contorno distorcido)
+ * Camadas ordenadas da maior (borda) para a menor (centro)
+ * Ajustes manuais de escala, rotação e deslocamento (params.layerOverrides) entram aqui,
+ * então também valem para a exportação de corte
+ * @param {object} params - Parâmetros de geração (ver buildArtwork)
+ * @param {object} options - Opções de renderização (options.cache: ver runRenderStages em pipeline.js)
+ * @returns {Array<object>} Camadas { layer, t, colorT, size, rotateFactor, d }
+ */
+function computeLayers(params, options = {}) {
+    const { geometry, warp } = runRenderStages(params, options, ['warp']);
+
+    return geometry.map(({ layer, t, size, rotateFactor }, index) => ({
+        layer: layer,
+        t: t,
+        colorT: computeLayerValues(params, layer).colorT,
+        size: size,
+        rotateFactor: rotateFactor,
+        d: warp[index]
+    }));
+}
+
+/**
+ * Monta o documento SVG da arte com base nos parâmetros fornecidos
+ * @param {object} params - Parâmetros de geração
+ * @param {string} params.selectedShape - Tipo de forma (circle, square, hexagon, triangle, custom ou forma paramétrica)
+ * @param {string} params.customPath - Path da forma importada (usado com selectedShape 'custom')
+ * @param {number} params.frequency - Número de camadas
+ * @param {number} params.scaleConstant - Escala de cada camada
+ * @param {number} params.chaosY - Intensidade da distorção no eixo Y
+ * @param {number} params.chaosX - Intensidade da distorção no eixo X
+ * @param {string} params.warpMode - Modo de distorção (ver WARP_MODES em warp.js)
+ * @param {string} params.warpMode2 - Segundo modo encadeado, ou 'none'
+ * @param {number} params.warpPhase - Fase da distorção, 1 = ciclo completo (animação; padrão 0)
+ * @param {number} params.seedBlend - Mistura com a distorção de blendSeed, 0-1 (animação; padrão 0)
+ * @param {number} params.blendSeed - Seed de destino da mistura (ver createWarp em warp.js)
+ * @param {number} params.maxRotate - Rotação máxima em graus
+ * @param {string} params.sizeEasing - Curva do tamanho das camadas (ver EASING_CURVES em easing.js)
+ * @param {string} params.rotationEasing - Curva da rotação das camadas
+ * @param {string} params.colorEasing - Curva da progressão de cor na paleta
+ * @param {string} params.sizeBezier - Pontos de controle "x1,y1,x2,y2" da curva Bézier de tamanho
+ * @param {string} params.rotationBezier - Pontos de controle da curva Bézier de rotação
+ * @param {string} params.colorBezier - Pontos de controle da curva Bézier de cor
+ * @param {number} params.seed - Seed para distorção e textura
+ * @param {Array<object>} params.palette - Paradas da paleta [{ position, color, colorB }] (ver palette.js)
+ * @param {boolean} params.paletteReverse - Inverte a direção da paleta (centro → borda)
+ * @param {number} params.paletteShift - Deslocamento das cores na paleta (animação; ver getPalettePosition)
+ * @param {string} params.color1A - Primeira cor inicial (borda) em hex, usada quando não há palette
+ * @param {string} params.color1B - Segunda cor inicial (borda) em hex, usada quando não há palette
+ * @param {string} params.color2A - Primeira cor final (centro) em hex, usada quando não há palette
+ * @param {string} params.color2B - Segunda cor final (centro) em hex, usada quando não há palette
+ * @param {boolean} params.textureEnabled - Se deve aplicar textura
+ * @param {number} params.textureIntensity - Intensidade da textura (0-100)
+ * @param {number} params.textureScale - Escala da textura
+ * @param {number} params.textureOctaves - Número de octaves da textura
+ * @param {boolean} params.shadowEnabled - Se deve aplicar inner shadow
+ * @param {number} params.shadowOffsetX - Offset X da sombra
+ * @param {number} params.shadowOffsetY - Offset Y da sombra
+ * @param {number} params.shadowBlur - Blur final da sombra
+ * @param {number} params.shadowSize - Tamanho final da sombra
+ * @param {string} params.shadowColor - Cor da sombra em hex
+ * @param {boolean} params.gradientEnabled - Se deve usar gradientes
+ * @param {string} params.gradientType - 'noise' (bitmap com ruído), ou vetorial: 'radial', 'linear' ou 'conic'
+ * @param {number} params.gradientAngle - Direção do gradiente linear e início do cônico, em graus
+ * @param {number} params.gradientNoise - Perturbação das paradas dos gradientes vetoriais (0-100)
+ * @param {string} params.colorSpace - Espaço de interpolação das cores (ver COLOR_SPACES em color.js)
+ * @param {number} params.layerOpacity - Opacidade das camadas (0-100)
+ * @param {string} params.opacityMode - Rampa de opacidade: 'uniform', 'fade-in' (centro esmaecido) ou 'fade-out' (borda esmaecida)
+ * @param {number} params.layerOpacityMin - Opacidade no extremo esmaecido da rampa (0-100)
+ * @param {string} params.blendMode - Modo de mesclagem entre camadas (ver BLEND_MODES em shapes.js)
+ * @param {object} params.layerOverrides - Ajustes manuais por número de camada (ver layer-overrides.js)
+ * @param {string} params.artboardSize - Tamanho do papel (ver resolveArtboard em artboard.js)
+ * @param {object} options - Opções de renderização
+ * @param {string} options.id - ID do elemento <svg> (padrão 'chaos-svg')
+ * @param {string} options.idPrefix - Prefixo dos IDs internos, para várias artes no mesmo documento (ver paper-cut.js)
+ * @param {function} options.encodeImage - Codificador de pixels para os padrões de gradiente
+ * @param {function} options.resolveImage - Fornece as imagens dos padrões de gradiente de forma assíncrona
+ *                                          (ver createNoiseGradientPattern em gradient.js)
+ * @param {boolean} options.guides - Se deve desenhar as guias de sangria e área segura
+ * @param {object} options.cache - Cache de estágios entre renderizações (ver createRenderCache em pipeline.js)
+ * @returns {SvgDocument} Documento SVG montado
+ */
+function buildArtwork(params, options = {}) {
+    const { selectedShape, blendMode = 'normal' } = params;
+    const { id = 'chaos-svg', idPrefix = '', guides = false } = options;
+
+    // Estágios de renderização (pipeline.js), reaproveitados do cache quando as entradas não mudaram
+    const { geometry, warp, clips, fills, filters } = runRenderStages(params, options);
+    const artboard = resolveArtboard(params);
+
+    const svg = new SvgDocument(SVG_WIDTH, SVG_HEIGHT);
+    svg.attr('id', id);
+    applyArtboard(svg, artboard);
+
+    // Espaço de desenho 800 × 800 centralizado no papel
+    const shapeGroup = svg.group();
+    if (artboard.offsetX || artboard.offsetY) {
+        shapeGroup.attr('transform', `translate(${artboard.offsetX}, ${artboard.offsetY})`);
+    }
+
+    // Criar filtro de textura vetorial ÚNICO se necessário (será reutilizado em todas as camadas)
+    if (filters.texture) {
+        createVectorTextureFilter(svg, 'shared-texture-filter', filters.texture);
+    }
+
+    // Array para armazenar metadados das formas para aplicar clips após distorção
+    const shapeMetadata = [];
+
+    // Montar camadas - da maior (borda) para menor (centro)
+    geometry.forEach(({ layer: i, size, rotateFactor }, index) => {
+        const fill = fills[index];
+        const { shadow } = filters.layers[index];
+
+        // Contorno já distorcido
+        const shape = shapeGroup.element('path', {
+            d: warp[index],
+            transform: `rotate(${rotateFactor}, ${SVG_WIDTH / 2}, ${SVG_HEIGHT / 2})`,
+            stroke: 'none',
+            'stroke-width': 0,
+            'data-layer': i
+        });
+
+        if (fill.opacity < 1) {
+            shape.attr('opacity', Math.round(fill.opacity * 1000) / 1000);
+        }
+
+        // Aplicar cor base: gradiente OU cor sólida
+        if (fill.pattern) {
+            applyNoiseGradientPattern(svg, shape, fill.pattern.id, fill.pattern);
+        } else if (fill.gradient) {
+            // Gradiente vetorial encaixado na caixa da forma distorcida
+            applyDistortedGradient(svg, shape, fill.gradient, clips[index].bounds);
+        } else {
+            shape.attr('fill', fill.color);
+        }
+
+        // Aplicar filtros: textura e/ou shadow
+        const filterRefs = [];
+
+        if (filters.texture) {
+            filterRefs.push('url(#shared-texture-filter)');
+        }
+
+        if (shadow) {
+            const filterId = `inner-shadow-${i}`;
+            createInnerShadowFilter(svg, filterId, shadow.blur, shadow.offsetX, shadow.offsetY, shadow.opacity, shadow.color);
+            filterRefs.push(`url(#${filterId})`);
+        }
+
+        // Aplicar filtros combinados (SVG suporta múltiplos filtros)
+        if (filterRefs.length > 0) {
+            shape.attr('filter', filterRefs.join(' '));
+        }
+
+        // Armazenar metadados para criar clips após distorção
+        shapeMetadata.push({
+            layer: i,
+            clipId: `clip-${i}`,
+            clipTransform: clips[index].transform,
+            shapeType: selectedShape,
+            size: size,
+            rotateFactor: rotateFactor,
+            element: shape
+        });
+    });
+
+    // Aplicar clip-paths sobre as formas JÁ distorcidas para garantir contenção
+    reapplyClipsAfterDistortion(svg, shapeMetadata, { blendMode });
+
+    if (guides) {
+        createArtboardGuides(svg, artboard);
+    }
+
+    // IDs internos (clip-N, shared-texture-filter...) exclusivos de cada arte da página; o ID do <svg> não muda
+    if (idPrefix) {
+        svg.prefixIds(idPrefix).attr('id', id);
+    }
+
+    return svg;
+}
+
+/**
+ * Renderiza a arte como string SVG
+ * @param {object} params - Parâmetros de geração (ver buildArtwork)
+ * @param {object} options - Opções de renderização (ver buildArtwork)
+ * @returns {string} Markup SVG completo
+ */
+function renderArtwork(params, options = {}) {
+    return buildArtwork(params, options).toString();
+}
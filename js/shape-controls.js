@@ -0,0 +1,232 @@
+/**
+ * Paper Cut Forms Generator - Shape Controls
+ * Opções e sliders das formas paramétricas (SHAPE_GENERATORS) e importação de formas SVG ou texto
+ */
+
+// Fonte carregada para gerar formas de texto (não faz parte dos parâmetros: só o contorno é salvo)
+let shapeFont = null;
+
+/**
+ * Acrescenta as formas paramétricas e a forma importada ao seletor de forma,
+ * com os sliders de cada forma em #shapeParams (data-shape indica a forma)
+ */
+function renderShapeControls() {
+    const select = document.getElementById('shape');
+    const container = document.getElementById('shapeParams');
+
+    Object.keys(SHAPE_GENERATORS).forEach(key => {
+        const generator = SHAPE_GENERATORS[key];
+        select.appendChild(new Option(generator.label, key));
+
+        generator.params.forEach(param => {
+            const group = createRangeControlGroup(param, param.label);
+            group.dataset.shape = key;
+            container.appendChild(group);
+        });
+    });
+
+    select.appendChild(new Option('Importada (SVG / Texto)', 'custom'));
+}
+
+/**
+ * Adiciona ao cache de controles a forma importada e os sliders das formas paramétricas
+ */
+function cacheShapeControls() {
+    controls.customPath = document.getElementById('customPath');
+    controls.customPathFile = document.getElementById('customPathFile');
+    controls.shapeFontFile = document.getElementById('shapeFontFile');
+    controls.shapeText = document.getElementById('shapeText');
+
+    getShapeParamKeys().forEach(key => {
+        controls[key] = document.getElementById(key);
+        controls[`${key}Value`] = document.getElementById(`${key}Value`);
+    });
+}
+
+/**
+ * Lista as chaves de todos os parâmetros das formas paramétricas
+ * @returns {Array<string>} Chaves dos parâmetros (ex: 'starPoints')
+ */
+function getShapeParamKeys() {
+    return Object.keys(getShapeDefaultParams());
+}
+
+/**
+ * Lê o path importado e os parâmetros de todas as formas paramétricas
+ * @returns {object} Parâmetros { customPath, ...parâmetros das formas }
+ */
+function getShapeControlValues() {
+    const values = { customPath: controls.customPath.value.trim() };
+
+    getShapeParamKeys().forEach(key => {
+        values[key] = parseFloat(controls[key].value);
+    });
+
+    return values;
+}
+
+/**
+ * Mostra apenas os controles da forma selecionada e atualiza os valores exibidos
+ */
+function updateShapeControls() {
+    const shape = controls.shape.value;
+
+    document.querySelectorAll('.control-group[data-shape]').forEach(group => {
+        group.classList.toggle('hidden', group.dataset.shape !== shape);
+    });
+
+    getShapeParamKeys().forEach(key => {
+        controls[`${key}Value`].textContent = controls[key].value;
+    });
+}
+
+/**
+ * Extrai os contornos de um arquivo SVG como um único path
+ * Considera path, polygon, polyline, rect, circle e ellipse; transforms não são aplicados
+ * @param {string} markup - Código do arquivo SVG
+ * @returns {string} String com comandos do path (vazia se não houver contornos)
+ */
+function extractSvgPathData(markup) {
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('SVG inválido');
+    }
+
+    const number = (element, name) => parseFloat(element.getAttribute(name)) || 0;
+    const parts = [];
+
+    doc.querySelectorAll('path, polygon, polyline, rect, circle, ellipse').forEach(element => {
+        switch (element.tagName.toLowerCase()) {
+            case 'path':
+                parts.push(element.getAttribute('d') || '');
+                break;
+            case 'polygon':
+            case 'polyline': {
+                const values = (element.getAttribute('points') || '').match(PATH_NUMBER_REGEX) || [];
+                if (values.length >= 4) parts.push(`M${values.join(' ')}Z`);
+                break;
+            }
+            case 'rect':
+                parts.push(rectToPathData(number(element, 'x'), number(element, 'y'),
+                    number(element, 'width'), number(element, 'height')));
+                break;
+            case 'circle':
+                parts.push(circleToPathData(number(element, 'cx'), number(element, 'cy'), number(element, 'r')));
+                break;
+            case 'ellipse': {
+                const [cx, cy, rx, ry] = ['cx', 'cy', 'rx', 'ry'].map(name => number(element, name));
+                parts.push(`M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`);
+                break;
+            }
+        }
+    });
+
+    return parts.join(' ');
+}
+
+/**
+ * Importa uma forma a partir de um path ou do código de um arquivo SVG
+ * O path normalizado fica no campo da forma importada e é salvo com os demais parâmetros
+ * @param {string} text - Atributo d de um path ou código SVG
+ */
+function importCustomShape(text) {
+    try {
+        const d = /<svg|<path/i.test(text) ? extractSvgPathData(text) : text;
+        const customPath = normalizeCustomPath(d);
+
+        if (!customPath) {
+            window.alert('Nenhum contorno encontrado. Cole um path SVG válido ou um arquivo SVG com formas.');
+            return;
+        }
+
+        controls.customPath.value = customPath;
+        controls.shape.value = 'custom';
+        updateShapeControls();
+        generate();
+    } catch (error) {
+        console.error('Erro ao importar forma:', error);
+        window.alert(`Erro ao importar forma: ${error.message}`);
+    }
+}
+
+/**
+ * Descompressão zlib para tabelas WOFF, com a API de streams do navegador
+ * @param {Uint8Array} bytes - Dados comprimidos
+ * @returns {Promise<Uint8Array>} Dados descomprimidos
+ */
+async function inflateZlib(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Carrega a fonte escolhida no seletor de arquivo; os contornos são gerados em importTextShape()
+ * @param {File} file - Arquivo TTF, OTF ou WOFF
+ */
+async function loadShapeFont(file) {
+    try {
+        shapeFont = await loadFont(await file.arrayBuffer(), inflateZlib);
+        if (controls.shapeText.value.trim()) importTextShape();
+    } catch (error) {
+        shapeFont = null;
+        console.error('Erro ao carregar fonte:', error);
+        window.alert(`Erro ao carregar fonte: ${error.message}`);
+    }
+}
+
+/**
+ * Converte o texto digitado em contornos com a fonte carregada e usa como forma importada
+ */
+function importTextShape() {
+    if (!shapeFont) {
+        window.alert('Escolha um arquivo de fonte (TTF, OTF ou WOFF) primeiro.');
+        return;
+    }
+
+    const text = controls.shapeText.value.trim();
+    if (!text) return;
+
+    importCustomShape(textToPathData(shapeFont, text));
+}
+
+/**
+ * Inicializa os controles de forma
+ */
+function initShapeControls() {
+    controls.shape.addEventListener('change', updateShapeControls);
+
+    controls.customPath.addEventListener('change', function() {
+        if (controls.customPath.value.trim()) importCustomShape(controls.customPath.value);
+    });
+
+    controls.customPathFile.addEventListener('change', function() {
+        const file = controls.customPathFile.files[0];
+        if (!file) return;
+
+        file.text()
+            .then(importCustomShape)
+            .catch(error => {
+                console.error('Erro ao ler arquivo SVG:', error);
+                window.alert(`Erro ao ler arquivo SVG: ${error.message}`);
+            });
+        controls.customPathFile.value = '';
+    });
+
+    controls.shapeFontFile.addEventListener('change', function() {
+        const file = controls.shapeFontFile.files[0];
+        if (file) loadShapeFont(file);
+    });
+
+    controls.shapeText.addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') importTextShape();
+    });
+
+    getShapeParamKeys().forEach(key => {
+        controls[key].addEventListener('input', function() {
+            controls[`${key}Value`].textContent = controls[key].value;
+            generate();
+        });
+    });
+
+    updateShapeControls();
+}
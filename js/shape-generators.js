@@ -0,0 +1,232 @@
+/**
+ * Paper Cut Forms Generator - Shape Generators
+ * Formas paramétricas e normalização de formas importadas
+ * Os contornos são gerados em torno da origem; createShape() (shapes.js) escala e centraliza
+ */
+
+// Raio base dos contornos gerados (a escala final vem de createShape)
+const SHAPE_GENERATOR_RADIUS = 100;
+
+// Pontos por volta nos contornos amostrados (superelipse, coração, blob)
+const SHAPE_GENERATOR_SAMPLES = 96;
+
+/**
+ * Ponto na circunferência de raio r, começando no topo (-90°)
+ * @param {number} r - Raio
+ * @param {number} angle - Ângulo em radianos a partir do topo
+ * @returns {Array<number>} Ponto [x, y]
+ */
+function polarPoint(r, angle) {
+    return [r * Math.cos(angle - Math.PI / 2), r * Math.sin(angle - Math.PI / 2)];
+}
+
+/**
+ * Vértices de um polígono regular
+ * @param {number} sides - Número de lados
+ * @param {number} r - Raio circunscrito
+ * @returns {Array<Array<number>>} Vértices [x, y]
+ */
+function regularPolygonPoints(sides, r) {
+    return Array.from({ length: sides }, (_, i) => polarPoint(r, i * 2 * Math.PI / sides));
+}
+
+/**
+ * Contorno fechado e suave a partir de uma curva paramétrica
+ * @param {function} curve - (t) => [x, y], com t de 0 a 1
+ * @param {Array<number>} cornerAt - Valores de t (múltiplos de 1/SHAPE_GENERATOR_SAMPLES) que são cantos
+ * @returns {string} String com comandos do path
+ */
+function sampleClosedCurve(curve, cornerAt = []) {
+    const n = SHAPE_GENERATOR_SAMPLES;
+    const points = [];
+    const corners = [];
+
+    for (let i = 0; i < n; i++) {
+        points.push(curve(i / n));
+        corners.push(cornerAt.some(t => Math.round(t * n) % n === i));
+    }
+
+    return smoothPointsToPathData(points, corners, true);
+}
+
+/**
+ * Registro das formas paramétricas
+ * Cada forma declara o nome exibido, os parâmetros dos sliders e como gerar o contorno
+ * Para adicionar uma forma basta registrá-la aqui (a interface é montada a partir deste objeto)
+ */
+const SHAPE_GENERATORS = {
+    polygon: {
+        label: 'Polígono Regular',
+        params: [
+            { key: 'polygonSides', label: 'Lados', min: 3, max: 12, step: 1, value: 5 }
+        ],
+        create: ({ polygonSides }) => {
+            const points = regularPolygonPoints(Math.round(polygonSides), SHAPE_GENERATOR_RADIUS);
+            return pointsToPathData(points.map(p => p.join(',')));
+        }
+    },
+    star: {
+        label: 'Estrela',
+        params: [
+            { key: 'starPoints', label: 'Pontas', min: 3, max: 16, step: 1, value: 5 },
+            { key: 'starInnerRadius', label: 'Raio Interno (%)', min: 10, max: 95, step: 1, value: 45 }
+        ],
+        create: ({ starPoints, starInnerRadius }) => {
+            const count = Math.round(starPoints) * 2;
+            const inner = SHAPE_GENERATOR_RADIUS * starInnerRadius / 100;
+            const points = Array.from({ length: count }, (_, i) =>
+                polarPoint(i % 2 === 0 ? SHAPE_GENERATOR_RADIUS : inner, i * 2 * Math.PI / count));
+            return pointsToPathData(points.map(p => p.join(',')));
+        }
+    },
+    superellipse: {
+        label: 'Superelipse',
+        params: [
+            { key: 'superellipseExponent', label: 'Expoente', min: 0.5, max: 10, step: 0.1, value: 4 }
+        ],
+        create: ({ superellipseExponent }) => {
+            // |x|^n + |y|^n = 1; com n <= 1 as pontas nos eixos viram cantos
+            const power = 2 / superellipseExponent;
+            const curve = t => {
+                const angle = t * 2 * Math.PI;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                return [
+                    SHAPE_GENERATOR_RADIUS * Math.sign(cos) * Math.pow(Math.abs(cos), power),
+                    SHAPE_GENERATOR_RADIUS * Math.sign(sin) * Math.pow(Math.abs(sin), power)
+                ];
+            };
+            return sampleClosedCurve(curve, superellipseExponent <= 1 ? [0, 0.25, 0.5, 0.75] : []);
+        }
+    },
+    roundedPolygon: {
+        label: 'Polígono Arredondado',
+        params: [
+            { key: 'roundedSides', label: 'Lados', min: 3, max: 12, step: 1, value: 6 },
+            { key: 'roundedRadius', label: 'Arredondamento (%)', min: 0, max: 100, step: 1, value: 30 }
+        ],
+        create: ({ roundedSides, roundedRadius }) => {
+            const points = regularPolygonPoints(Math.round(roundedSides), SHAPE_GENERATOR_RADIUS);
+            const n = points.length;
+            // Com 100% os arcos de cantos vizinhos se encontram no meio do lado
+            const cut = Math.max(0, Math.min(100, roundedRadius)) / 200;
+            if (cut === 0) return pointsToPathData(points.map(p => p.join(',')));
+
+            const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+            const commands = [];
+
+            points.forEach((vertex, i) => {
+                const before = lerp(vertex, points[(i - 1 + n) % n], cut);
+                const after = lerp(vertex, points[(i + 1) % n], cut);
+
+                commands.push({ type: i === 0 ? 'M' : 'L', values: before });
+                // Curva quadrática com controle no vértice, escrita como cúbica
+                commands.push({
+                    type: 'C',
+                    values: [...lerp(before, vertex, 2 / 3), ...lerp(after, vertex, 2 / 3), ...after]
+                });
+            });
+            commands.push({ type: 'Z', values: [] });
+
+            return serializePathData(commands);
+        }
+    },
+    heart: {
+        label: 'Coração',
+        params: [],
+        create: () => sampleClosedCurve(t => {
+            const a = t * 2 * Math.PI;
+            return [
+                16 * Math.pow(Math.sin(a), 3),
+                -(13 * Math.cos(a) - 5 * Math.cos(2 * a) - 2 * Math.cos(3 * a) - Math.cos(4 * a))
+            ];
+        }, [0, 0.5])
+    },
+    blob: {
+        label: 'Blob',
+        params: [
+            { key: 'blobLobes', label: 'Lóbulos', min: 2, max: 12, step: 1, value: 5 },
+            { key: 'blobVariance', label: 'Irregularidade (%)', min: 0, max: 60, step: 1, value: 25 }
+        ],
+        create: ({ blobLobes, blobVariance, seed }) => {
+            // Harmônicos com amplitude e fase sorteadas pela seed da arte
+            const rng = createRandom(`blob-${seed}`);
+            const harmonics = [];
+            for (let k = 2; k <= Math.round(blobLobes) + 1; k++) {
+                harmonics.push({ k, amplitude: rng() / (k - 1), phase: rng() * 2 * Math.PI });
+            }
+            const total = harmonics.reduce((sum, h) => sum + h.amplitude, 0) || 1;
+
+            return sampleClosedCurve(t => {
+                const angle = t * 2 * Math.PI;
+                const wave = harmonics.reduce((sum, h) => sum + h.amplitude * Math.sin(h.k * angle + h.phase), 0);
+                return polarPoint(SHAPE_GENERATOR_RADIUS * (1 + blobVariance / 100 * wave / total), angle);
+            });
+        }
+    }
+};
+
+/**
+ * Valores padrão de todos os parâmetros das formas paramétricas
+ * @returns {object} Parâmetros { polygonSides: 5, ... }
+ */
+function getShapeDefaultParams() {
+    const defaults = {};
+    Object.values(SHAPE_GENERATORS).forEach(generator => {
+        generator.params.forEach(param => {
+            defaults[param.key] = param.value;
+        });
+    });
+    return defaults;
+}
+
+/**
+ * Gera o contorno de uma forma paramétrica
+ * @param {string} shapeType - Chave em SHAPE_GENERATORS
+ * @param {object} params - Parâmetros de geração (faltantes usam os padrões)
+ * @returns {string} String com comandos do path, em torno da origem
+ */
+function generateShapePath(shapeType, params = {}) {
+    const full = { ...getShapeDefaultParams(), seed: 12345, ...params };
+    return SHAPE_GENERATORS[shapeType].create(full);
+}
+
+/**
+ * Normaliza um path importado: comandos absolutos (M, L, C, Z), encaixado em uma caixa
+ * de 2 × SHAPE_GENERATOR_RADIUS centrada na origem, com 2 casas decimais
+ * @param {string} d - String com comandos do path (qualquer sintaxe SVG)
+ * @returns {string} Path normalizado, ou string vazia se não houver contorno válido
+ */
+function normalizeCustomPath(d) {
+    const commands = normalizePathData(d || '');
+    if (!commands.some(cmd => cmd.type !== 'M' && cmd.type !== 'Z')) return '';
+
+    const normalized = serializePathData(commands);
+    const box = getPathBBox(normalized);
+    if (box.width === 0 && box.height === 0) return '';
+
+    const scale = SHAPE_GENERATOR_RADIUS * 2 / Math.max(box.width, box.height);
+    const round = value => Math.round(value * 100) / 100;
+
+    return serializePathData(scalePathCommands(
+        commands,
+        scale,
+        scale,
+        -(box.x + box.width / 2) * scale,
+        -(box.y + box.height / 2) * scale
+    ).map(cmd => ({ type: cmd.type, values: cmd.values.map(round) })));
+}
+
+/**
+ * Ajusta um path à forma final: o maior lado da bounding box passa a medir size
+ * @param {string} d - String com comandos do path (absolutos)
+ * @param {number} size - Tamanho da forma
+ * @param {number} cx - Centro X
+ * @param {number} cy - Centro Y
+ * @returns {string} Path escalado e centralizado
+ */
+function fitPathData(d, size, cx, cy) {
+    const box = getPathBBox(d);
+    const width = box.height > box.width ? size * box.width / box.height : size;
+    return centerPathData(resizePathData(d, width), cx, cy);
+}
@@ -3,7 +3,7 @@
  * Gera formas geométricas com camadas e gradientes de cores
  */
 
-// Configuração do canvas
+// Espaço de desenho (unidades do SVG); o tamanho físico vem do artboard (artboard.js)
 const SVG_WIDTH = 800;
 const SVG_HEIGHT = 800;
 
@@ -13,230 +13,62 @@ const SHAPE_PATHS = {
     triangle: 'M392.83 239.489C395.767 233.553 404.233 233.553 407.17 239.489L524.189 475.952C526.82 481.269 522.952 487.5 517.019 487.5H282.981C277.048 487.5 273.18 481.269 275.811 475.952L392.83 239.489Z'
 };
 
-let svg;
+// Modos de mesclagem (mix-blend-mode) aceitos entre as camadas
+const BLEND_MODES = [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+];
 
-/**
- * Inicializa o canvas SVG
- */
-function initSVG() {
-    const wrapper = document.getElementById('canvas-wrapper');
-    wrapper.innerHTML = '';
-
-    svg = SVG()
-        .viewbox(0, 0, SVG_WIDTH, SVG_HEIGHT)
-        .addTo('#canvas-wrapper')
-        .attr('id', 'chaos-svg');
-}
+// Margem visual: clips serão 85% do tamanho da forma (15% menor)
+// Recorta agressivamente as FILHAS para evitar que pontas ultrapassem os PAIS
+// Deixa 15% de borda visível nos PAIS criando efeito de profundidade
+const CLIP_SCALE_FACTOR = 0.85;
 
 /**
- * Gera as formas com base nos parâmetros fornecidos
- * @param {object} params - Parâmetros de geração
- * @param {string} params.selectedShape - Tipo de forma (circle, square, hexagon, triangle)
- * @param {number} params.frequency - Número de camadas
- * @param {number} params.scaleConstant - Escala de cada camada
- * @param {number} params.chaosY - Intensidade da distorção no eixo Y
- * @param {number} params.chaosX - Intensidade da distorção no eixo X
- * @param {number} params.maxRotate - Rotação máxima em graus
- * @param {string} params.color1A - Primeira cor inicial (borda) em hex
- * @param {string} params.color1B - Segunda cor inicial (borda) em hex
- * @param {string} params.color2A - Primeira cor final (centro) em hex
- * @param {string} params.color2B - Segunda cor final (centro) em hex
- * @param {boolean} params.textureEnabled - Se deve aplicar textura
- * @param {number} params.textureIntensity - Intensidade da textura (0-100)
- * @param {number} params.textureScale - Escala da textura
- * @param {number} params.textureOctaves - Número de octaves da textura
- * @param {boolean} params.shadowEnabled - Se deve aplicar inner shadow
- * @param {number} params.shadowOffsetX - Offset X da sombra
- * @param {number} params.shadowOffsetY - Offset Y da sombra
- * @param {number} params.shadowBlur - Blur final da sombra
- * @param {number} params.shadowSize - Tamanho final da sombra
- * @param {string} params.shadowColor - Cor da sombra em hex
- * @param {boolean} params.gradientEnabled - Se deve usar gradientes
+ * Cria a geometria de uma forma centralizada no canvas
+ * @param {string} shapeType - Tipo de forma (circle, square, hexagon, triangle, custom ou chave de SHAPE_GENERATORS)
+ * @param {number} size - Tamanho da forma
+ * @param {object} params - Parâmetros de geração (customPath e parâmetros das formas paramétricas)
+ * @returns {object} Geometria { type: 'circle'|'rect'|'path', ... }
  */
-function generateShapes(params) {
-    const {
-        selectedShape,
-        frequency,
-        scaleConstant,
-        chaosY,
-        chaosX,
-        maxRotate,
-        seed = 12345,
-        color1A,
-        color1B,
-        color2A,
-        color2B,
-        textureEnabled = false,
-        textureIntensity = 50,
-        textureScale = 80,
-        textureOctaves = 4,
-        shadowEnabled = false,
-        shadowOffsetX = 1,
-        shadowOffsetY = 1,
-        shadowBlur = 4,
-        shadowSize = 2,
-        shadowColor = '#000000',
-        gradientEnabled = false
-    } = params;
-
-    initSVG();
+function createShape(shapeType, size, params = {}) {
+    const cx = SVG_WIDTH / 2;
+    const cy = SVG_HEIGHT / 2;
 
-    const shapeGroup = svg.group();
-
-    // Criar filtro de textura vetorial ÚNICO se necessário (será reutilizado em todas as camadas)
-    if (textureEnabled) {
-        createVectorTextureFilter(svg, 'shared-texture-filter', {
-            scale: textureScale,
-            intensity: textureIntensity,
-            octaves: textureOctaves,
-            seed: seed
-        });
+    if (SHAPE_GENERATORS[shapeType]) {
+        return { type: 'path', d: fitPathData(generateShapePath(shapeType, params), size, cx, cy) };
     }
 
-    // Array para armazenar metadados das formas para reaplicar clips após distorção
-    const shapeMetadata = [];
-
-    let previousClipId = null;
-
-    // Gerar camadas - da maior (borda) para menor (centro)
-    for (let i = frequency; i >= 1; i--) {
-        const rotateFactor = map(i, frequency, 1, 0, maxRotate);
-        const t = map(i, frequency, 1, 0, 1);
-
-        // Interpolar entre as cores iniciais (1A, 1B) e finais (2A, 2B)
-        // Para cada camada, calculamos duas cores que serão usadas no gradiente
-        const layerColorA = interpolateColor(color1A, color2A, t);
-        const layerColorB = interpolateColor(color1B, color2B, t);
-
-        // Cor média para modo sem gradiente
-        const layerColor = interpolateColor(layerColorA, layerColorB, 0.5);
-
-        const clipId = `clip-${i}`;
-
-        // Criar forma para esta camada
-        const shape = createShape(selectedShape, i * scaleConstant);
-
-        // Configurar posição e transformação
-        shape
-            .cx(SVG_WIDTH / 2)
-            .cy(SVG_HEIGHT / 2)
-            .attr('transform', `rotate(${rotateFactor}, ${SVG_WIDTH / 2}, ${SVG_HEIGHT / 2})`)
-            .attr('stroke', 'none')
-            .attr('stroke-width', 0);
-
-        // Aplicar cor base: gradiente OU cor sólida
-        if (gradientEnabled) {
-            // Gradiente distorcido (sem textura embutida - textura aplicada via filtro)
-            const patternId = `noise-gradient-${i}`;
-            const patternData = createNoiseGradientPattern(
-                patternId,
-                layerColorA,
-                layerColorB,
-                i,
-                {
-                    intensity: 0,  // Sempre 0 para gradiente puro (textura vem do filtro)
-                    scale: textureScale,
-                    octaves: textureOctaves,
-                    seed: seed + (i * 789.123),
-                    patternSize: 400
-                }
-            );
-            applyNoiseGradientPattern(svg, shape, patternId, patternData);
-        } else {
-            // Cor sólida
-            shape.attr('fill', layerColorA);
-        }
-
-        // Aplicar filtros: textura e/ou shadow
-        const filters = [];
-
-        if (textureEnabled) {
-            filters.push('url(#shared-texture-filter)');
-        }
-
-        if (shadowEnabled && shadowBlur > 0) {
-            const filterId = `inner-shadow-${i}`;
-
-            // Calcular valores progressivos de blur e offset
-            const minMultiplier = 0.5;
-            const maxMultiplier = shadowSize;
-            const shadowProgress = minMultiplier + (t * (maxMultiplier - minMultiplier));
-
-            const blurAmount = shadowBlur * shadowProgress;
-            const offsetXAmount = shadowOffsetX * shadowProgress;
-            const offsetYAmount = shadowOffsetY * shadowProgress;
-            const opacityAmount = 0.7;
-
-            createInnerShadowFilter(filterId, blurAmount, offsetXAmount, offsetYAmount, opacityAmount, shadowColor);
-            filters.push(`url(#${filterId})`);
-        }
-
-        // Aplicar filtros combinados (SVG suporta múltiplos filtros)
-        if (filters.length > 0) {
-            shape.attr('filter', filters.join(' '));
-        }
-
-        // Armazenar metadados para criar clips após distorção
-        shapeMetadata.push({
-            layer: i,
-            clipId: clipId,
-            shapeType: selectedShape,
-            size: i * scaleConstant,
-            rotateFactor: rotateFactor
-        });
-
-        // Adicionar forma ao grupo
-        shapeGroup.add(shape);
+    // Forma importada; sem path válido cai no círculo
+    const customPath = shapeType === 'custom' ? normalizeCustomPath(params.customPath) : '';
+    if (customPath) {
+        return { type: 'path', d: fitPathData(customPath, size, cx, cy) };
     }
 
-    // Aplicar distorção senoidal
-    const svgEl = document.getElementById('chaos-svg');
-    applyWarpDistortion(svgEl, chaosX, chaosY, seed);
-
-    // Reaplicar clip-paths APÓS distorção para garantir contenção
-    reapplyClipsAfterDistortion(svgEl, shapeMetadata, frequency);
-}
-
-/**
- * Cria uma forma SVG baseada no tipo
- * @param {string} shapeType - Tipo de forma (circle, square, hexagon, triangle)
- * @param {number} size - Tamanho da forma
- * @returns {object} Elemento SVG criado
- */
-function createShape(shapeType, size) {
-    let shape;
-
     switch (shapeType) {
-        case 'circle':
-            shape = svg.circle(size);
-            break;
         case 'square':
-            shape = svg.rect(size, size);
-            break;
+            return { type: 'rect', x: cx - size / 2, y: cy - size / 2, width: size, height: size };
         case 'hexagon':
-            shape = svg.path(SHAPE_PATHS.hexagon).size(size);
-            break;
         case 'triangle':
-            shape = svg.path(SHAPE_PATHS.triangle).size(size);
-            break;
+            return { type: 'path', d: centerPathData(resizePathData(SHAPE_PATHS[shapeType], size), cx, cy) };
+        case 'circle':
         default:
-            shape = svg.circle(size);
+            return { type: 'circle', cx, cy, r: size / 2 };
     }
-
-    return shape;
 }
 
 /**
  * Cria um filtro de inner shadow progressivo
+ * @param {SvgDocument} svg - Documento SVG (ver svg-document.js)
  * @param {string} filterId - ID único para o filtro
  * @param {number} blurAmount - Quantidade de blur (stdDeviation)
  * @param {number} offsetX - Deslocamento horizontal da sombra
  * @param {number} offsetY - Deslocamento vertical da sombra
  * @param {number} opacity - Opacidade da sombra (0-1)
  * @param {string} color - Cor da sombra em hex
- * @returns {object} Elemento de filtro SVG
+ * @returns {SvgNode} Filtro criado
  */
-function createInnerShadowFilter(filterId, blurAmount, offsetX, offsetY, opacity, color) {
+function createInnerShadowFilter(svg, filterId, blurAmount, offsetX, offsetY, opacity, color) {
     // Verificar se o filtro já existe e removê-lo
     const existingFilter = svg.defs().findOne(`#${filterId}`);
     if (existingFilter) {
@@ -301,170 +133,70 @@ function createInnerShadowFilter(filterId, blurAmount, offsetX, offsetY, opacity
 }
 
 /**
- * Aplica cor sólida com textura de ruído opcional a uma forma
- * @param {object} shape - Elemento SVG da forma
- * @param {string} color - Cor base em formato hex
- * @param {number} layerIndex - Índice da camada (para seed único)
- * @param {object} noiseOptions - Opções de ruído
- * @returns {object} Forma com cor aplicada
+ * Transformação do clip de uma forma distorcida: CLIP_SCALE_FACTOR em torno do centro da sua bounding box
+ * @param {object} bbox - Caixa do path distorcido { x, y, width, height } (ver getPathBBox)
+ * @returns {string} Atributo transform do clone usado no clip-path
  */
-function applyColorToShape(shape, color, layerIndex, noiseOptions = null) {
-    if (noiseOptions && noiseOptions.enabled) {
-        const patternId = `noise-pattern-${layerIndex}`;
-        const noiseData = createNoisePattern(patternId, color, {
-            scale: noiseOptions.scale,
-            intensity: noiseOptions.intensity,
-            octaves: noiseOptions.octaves,
-            seed: noiseOptions.seed !== undefined ? noiseOptions.seed : (layerIndex * 123.456),
-            patternSize: noiseOptions.patternSize
-        });
-
-        // Criar pattern SVG com configuração correta
-        const pattern = svg.defs()
-            .pattern(noiseData.size, noiseData.size)
-            .attr('id', patternId)
-            .attr('patternUnits', 'userSpaceOnUse')
-            .attr('patternContentUnits', 'userSpaceOnUse')
-            .attr('x', 0)
-            .attr('y', 0);
-
-        pattern.image(noiseData.dataUrl)
-            .size(noiseData.size, noiseData.size)
-            .attr('x', 0)
-            .attr('y', 0)
-            .attr('preserveAspectRatio', 'none');
-
-        shape.attr('fill', `url(#${patternId})`);
-    } else {
-        // Cor sólida sem ruído
-        shape.attr('fill', color);
-    }
-
-    return shape;
+function getScaledClipTransform(bbox) {
+    const centerX = bbox.x + bbox.width / 2;
+    const centerY = bbox.y + bbox.height / 2;
+    return `translate(${centerX}, ${centerY}) scale(${CLIP_SCALE_FACTOR}) translate(${-centerX}, ${-centerY})`;
 }
 
 /**
  * Reaplica os clip-paths após a distorção para garantir contenção
  * Cria clip-paths baseados nas formas JÁ DISTORCIDAS
- * @param {SVGElement} svgEl - Elemento SVG contendo as formas distorcidas
- * @param {Array} shapeMetadata - Array com metadados das formas
- * @param {number} frequency - Número de camadas (para identificar forma MAIOR)
+ * As bounding boxes são calculadas analiticamente (getPathBBox), sem DOM
+ * @param {SvgDocument} svg - Documento SVG contendo as formas distorcidas
+ * @param {Array} shapeMetadata - Metadados das camadas, da MAIOR para a menor
+ *                              (clipTransform opcional: transformação já calculada, ver getScaledClipTransform)
+ * @param {object} options - Opções
+ * @param {string} options.blendMode - Modo de mesclagem dos grupos das camadas (ver BLEND_MODES)
  */
-function reapplyClipsAfterDistortion(svgEl, shapeMetadata, frequency) {
-    // Pegar todas as formas visíveis (não clip-paths) no grupo principal
-    // Após distorção, todas as formas podem ter virado <path>
-    const allShapes = Array.from(svgEl.querySelectorAll('g > path, g > circle, g > rect'))
-        .filter(shape => !shape.closest('clipPath'));
+function reapplyClipsAfterDistortion(svg, shapeMetadata, options = {}) {
+    if (shapeMetadata.length === 0) return;
 
-    if (allShapes.length === 0) return;
+    const mainGroup = shapeMetadata[0].element.parent;
+    const defs = svg.defs();
 
-    const mainGroup = svgEl.querySelector('g');
-    const defs = svgEl.querySelector('defs');
-    if (!mainGroup || !defs) return;
+    // Cria um clip-path a partir de uma forma distorcida, escalado em torno do seu centro
+    const createScaledClip = (clipId, meta) => {
+        const clipPath = defs.element('clipPath', { id: clipId });
+        const clonedShape = clipPath.add(meta.element.clone());
+        clonedShape.attr({ 'clip-path': null, filter: null, fill: null, opacity: null, 'data-layer': null });
+        clonedShape.attr('transform', meta.clipTransform || getScaledClipTransform(getPathBBox(meta.element.attr('d'))));
 
-    // Margem visual: clips serão 85% do tamanho da forma (15% menor)
-    // Recorta agressivamente as FILHAS para evitar que pontas ultrapassem os PAIS
-    // Deixa 15% de borda visível nos PAIS criando efeito de profundidade
-    const clipScaleFactor = 0.85;
+        return clipPath;
+    };
 
     // 1. Criar clip-path GLOBAL baseado na forma MAIOR (já distorcida)
-    const largestShape = allShapes[0];
     const globalClipId = 'clip-global-largest';
-
-    const globalClipPath = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
-    globalClipPath.setAttribute('id', globalClipId);
-
-    const clonedLargest = largestShape.cloneNode(true);
-    clonedLargest.removeAttribute('clip-path');
-    clonedLargest.removeAttribute('filter');
-    clonedLargest.removeAttribute('fill');
-
-    // Aplicar escala de segurança no clip global
-    const bbox = largestShape.getBBox();
-    const centerX = bbox.x + bbox.width / 2;
-    const centerY = bbox.y + bbox.height / 2;
-    clonedLargest.setAttribute('transform',
-        `translate(${centerX}, ${centerY}) scale(${clipScaleFactor}) translate(${-centerX}, ${-centerY})`
-    );
-
-    globalClipPath.appendChild(clonedLargest);
-    defs.appendChild(globalClipPath);
+    createScaledClip(globalClipId, shapeMetadata[0]);
 
     // 2. Criar clip-path individual para cada forma baseado na forma ANTERIOR (já distorcida)
-    const clipPaths = {}; // Armazenar clips criados
-
-    for (let i = 0; i < allShapes.length - 1; i++) {
-        const currentShape = allShapes[i]; // Forma que será usada como clip para a próxima
-        const meta = shapeMetadata[i];
-        const clipId = meta.clipId;
-
-        // Criar clip-path baseado na forma atual (distorcida)
-        const clipPath = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
-        clipPath.setAttribute('id', clipId);
-
-        const clonedShape = currentShape.cloneNode(true);
-        clonedShape.removeAttribute('clip-path');
-        clonedShape.removeAttribute('filter');
-        clonedShape.removeAttribute('fill');
-
-        // Aplicar escala de segurança centralizada
-        const shapeBBox = currentShape.getBBox();
-        const shapeCenterX = shapeBBox.x + shapeBBox.width / 2;
-        const shapeCenterY = shapeBBox.y + shapeBBox.height / 2;
-        clonedShape.setAttribute('transform',
-            `translate(${shapeCenterX}, ${shapeCenterY}) scale(${clipScaleFactor}) translate(${-shapeCenterX}, ${-shapeCenterY})`
-        );
-
-        clipPath.appendChild(clonedShape);
-        defs.appendChild(clipPath);
-        clipPaths[clipId] = clipPath;
+    for (let i = 0; i < shapeMetadata.length - 1; i++) {
+        createScaledClip(shapeMetadata[i].clipId, shapeMetadata[i]);
     }
 
-    // 3. Criar estrutura de grupos aninhados
-    const globalClipGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    globalClipGroup.setAttribute('clip-path', `url(#${globalClipId})`);
-
-    // 4. Para cada forma (exceto a MAIOR), criar grupo individual com clip
-    for (let i = 1; i < allShapes.length; i++) {
-        const shape = allShapes[i];
-        const prevMeta = shapeMetadata[i - 1]; // Metadados da forma ANTERIOR (maior que esta)
+    // Grupos com clip-path isolam a mesclagem: cada grupo de camada mescla com as camadas
+    // anteriores dentro do grupo global, e o grupo global mescla com a forma MAIOR
+    const blendStyle = BLEND_MODES.includes(options.blendMode) && options.blendMode !== 'normal'
+        ? `mix-blend-mode: ${options.blendMode}`
+        : null;
 
-        if (shape && shape.parentNode === mainGroup) {
-            // Criar grupo individual com clip da forma anterior
-            const individualGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-            individualGroup.setAttribute('clip-path', `url(#${prevMeta.clipId})`);
+    // 3. Criar estrutura de grupos aninhados
+    const globalClipGroup = new SvgNode('g', { 'clip-path': `url(#${globalClipId})`, style: blendStyle });
 
-            // Mover forma para o grupo individual
-            shape.removeAttribute('clip-path');
-            individualGroup.appendChild(shape);
+    // 4. Para cada forma (exceto a MAIOR), criar grupo individual com clip da forma anterior
+    for (let i = 1; i < shapeMetadata.length; i++) {
+        const shape = shapeMetadata[i].element;
+        const prevMeta = shapeMetadata[i - 1];
 
-            // Adicionar grupo individual ao grupo global
-            globalClipGroup.appendChild(individualGroup);
-        }
+        const individualGroup = globalClipGroup.element('g', { 'clip-path': `url(#${prevMeta.clipId})`, style: blendStyle });
+        shape.attr('clip-path', null);
+        individualGroup.add(shape);
     }
 
     // 5. Adicionar grupo global ao mainGroup
-    mainGroup.appendChild(globalClipGroup);
-}
-
-/**
- * Exporta o SVG atual para download
- */
-function downloadSVG() {
-    const svgEl = document.getElementById('chaos-svg');
-    if (!svgEl) {
-        console.error('SVG não encontrado');
-        return;
-    }
-
-    const svgData = new XMLSerializer().serializeToString(svgEl);
-    const blob = new Blob([svgData], { type: 'image/svg+xml' });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'chaos-shape.svg';
-    a.click();
-
-    URL.revokeObjectURL(url);
+    mainGroup.add(globalClipGroup);
 }
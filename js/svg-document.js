@@ -0,0 +1,278 @@
+/**
+ * Paper Cut Forms Generator - SVG Document
+ * Árvore SVG mínima em memória, serializável para string sem DOM
+ * Expõe o subconjunto da API do SVG.js usado pelos geradores (defs, element, attr, findOne)
+ * No navegador, createSvgElement() e patchSvgElement() levam a árvore para o DOM
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Escapa um valor para uso em atributo ou texto XML
+ * @param {*} value - Valor a ser escapado
+ * @returns {string} Valor escapado
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Nó de um documento SVG em memória
+ */
+class SvgNode {
+    /**
+     * @param {string} tag - Nome da tag SVG
+     * @param {object} attrs - Atributos iniciais
+     */
+    constructor(tag, attrs = {}) {
+        this.tag = tag;
+        this.attrs = {};
+        this.children = [];
+        this.parent = null;
+        this.attr(attrs);
+    }
+
+    /**
+     * Lê ou define atributos (mesma assinatura do SVG.js)
+     * Valores null ou undefined removem o atributo
+     * @param {string|object} name - Nome do atributo ou objeto com vários atributos
+     * @param {*} value - Valor do atributo
+     * @returns {SvgNode|*} O próprio nó ao definir, o valor ao ler
+     */
+    attr(name, value) {
+        if (typeof name === 'object') {
+            Object.keys(name).forEach(key => this.attr(key, name[key]));
+            return this;
+        }
+
+        if (arguments.length === 1) {
+            return this.attrs[name];
+        }
+
+        if (value === null || value === undefined) {
+            delete this.attrs[name];
+        } else {
+            this.attrs[name] = value;
+        }
+        return this;
+    }
+
+    /**
+     * Cria um elemento filho
+     * @param {string} tag - Nome da tag SVG
+     * @param {object} attrs - Atributos iniciais
+     * @returns {SvgNode} Elemento criado
+     */
+    element(tag, attrs = {}) {
+        return this.add(new SvgNode(tag, attrs));
+    }
+
+    /**
+     * Adiciona um nó como último filho, removendo-o do pai anterior
+     * @param {SvgNode} node - Nó a ser adicionado
+     * @returns {SvgNode} Nó adicionado
+     */
+    add(node) {
+        node.remove();
+        node.parent = this;
+        this.children.push(node);
+        return node;
+    }
+
+    /**
+     * Remove o nó do seu pai
+     * @returns {SvgNode} O próprio nó
+     */
+    remove() {
+        if (this.parent) {
+            const index = this.parent.children.indexOf(this);
+            if (index !== -1) this.parent.children.splice(index, 1);
+            this.parent = null;
+        }
+        return this;
+    }
+
+    /**
+     * Define o conteúdo de texto do nó
+     * @param {string} content - Texto
+     * @returns {SvgNode} O próprio nó
+     */
+    text(content) {
+        this.textContent = content;
+        return this;
+    }
+
+    /**
+     * Busca o primeiro descendente por id (seletor "#id")
+     * @param {string} selector - Seletor no formato "#id"
+     * @returns {SvgNode|null} Nó encontrado ou null
+     */
+    findOne(selector) {
+        const id = selector.replace(/^#/, '');
+
+        for (const child of this.children) {
+            if (child.attrs.id === id) return child;
+            const found = child.findOne(selector);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Cria uma cópia profunda do nó (sem pai)
+     * @returns {SvgNode} Cópia do nó
+     */
+    clone() {
+        const copy = new SvgNode(this.tag, this.attrs);
+        copy.textContent = this.textContent;
+        this.children.forEach(child => copy.add(child.clone()));
+        return copy;
+    }
+
+    /**
+     * Adiciona um prefixo aos IDs do nó e dos descendentes e às referências a eles
+     * (url(#id) e href="#id"), para juntar documentos em um só sem colisão de IDs
+     * @param {string} prefix - Prefixo dos IDs
+     * @returns {SvgNode} O próprio nó
+     */
+    prefixIds(prefix) {
+        Object.keys(this.attrs).forEach(key => {
+            const value = this.attrs[key];
+            if (typeof value !== 'string') return;
+
+            if (key === 'id') {
+                this.attrs[key] = `${prefix}${value}`;
+            } else if ((key === 'href' || key === 'xlink:href') && value.startsWith('#')) {
+                this.attrs[key] = `#${prefix}${value.slice(1)}`;
+            } else if (value.includes('url(#')) {
+                this.attrs[key] = value.replace(/url\(#([^)]+)\)/g, `url(#${prefix}$1)`);
+            }
+        });
+
+        this.children.forEach(child => child.prefixIds(prefix));
+        return this;
+    }
+
+    /**
+     * Serializa o nó e seus filhos como markup SVG
+     * @returns {string} Markup SVG
+     */
+    toString() {
+        const attrs = Object.keys(this.attrs)
+            .map(key => ` ${key}="${escapeXml(this.attrs[key])}"`)
+            .join('');
+
+        if (this.children.length === 0 && this.textContent === undefined) {
+            return `<${this.tag}${attrs}/>`;
+        }
+
+        const content = this.textContent !== undefined ? escapeXml(this.textContent) : '';
+        return `<${this.tag}${attrs}>${content}${this.children.join('')}</${this.tag}>`;
+    }
+}
+
+/**
+ * Elemento raiz <svg> com acesso ao <defs>
+ */
+class SvgDocument extends SvgNode {
+    /**
+     * @param {number} width - Largura do viewBox
+     * @param {number} height - Altura do viewBox
+     */
+    constructor(width, height) {
+        super('svg', {
+            xmlns: SVG_NAMESPACE,
+            'xmlns:xlink': XLINK_NAMESPACE,
+            viewBox: `0 0 ${width} ${height}`
+        });
+        this.defsNode = null;
+    }
+
+    /**
+     * Retorna o <defs> do documento, criando-o como primeiro filho se necessário
+     * @returns {SvgNode} Elemento defs
+     */
+    defs() {
+        if (!this.defsNode) {
+            this.defsNode = new SvgNode('defs');
+            this.defsNode.parent = this;
+            this.children.unshift(this.defsNode);
+        }
+        return this.defsNode;
+    }
+
+    /**
+     * Cria um grupo <g> no documento
+     * @returns {SvgNode} Grupo criado
+     */
+    group() {
+        return this.element('g');
+    }
+}
+
+/**
+ * Cria elementos do DOM a partir de um nó em memória
+ * @param {SvgNode} node - Nó a ser criado
+ * @returns {Element} Elemento SVG
+ */
+function createSvgElement(node) {
+    // innerHTML de um <svg> interpreta o markup como SVG (namespaces de elementos e xlink corretos)
+    const container = document.createElementNS(SVG_NAMESPACE, 'svg');
+    container.innerHTML = node.toString();
+    return container.firstElementChild;
+}
+
+/**
+ * Atualiza um elemento SVG da página para ficar igual a um nó em memória, tocando só no que mudou
+ * Elementos na mesma posição com a mesma tag são reaproveitados (atributos sincronizados);
+ * os demais são recriados
+ * @param {Element} element - Elemento da página
+ * @param {SvgNode} node - Nó com o conteúdo desejado
+ */
+function patchSvgElement(element, node) {
+    // Declarações de namespace do <svg> raiz não mudam e não podem ser redefinidas por setAttribute
+    const isNamespace = name => name === 'xmlns' || name.startsWith('xmlns:');
+
+    Array.from(element.attributes).forEach(attribute => {
+        if (!isNamespace(attribute.name) && !(attribute.name in node.attrs)) {
+            element.removeAttribute(attribute.name);
+        }
+    });
+
+    Object.keys(node.attrs).forEach(name => {
+        const value = String(node.attrs[name]);
+        if (isNamespace(name) || element.getAttribute(name) === value) return;
+
+        if (name.startsWith('xlink:')) {
+            element.setAttributeNS(XLINK_NAMESPACE, name, value);
+        } else {
+            element.setAttribute(name, value);
+        }
+    });
+
+    if (node.textContent !== undefined) {
+        if (element.textContent !== node.textContent) element.textContent = node.textContent;
+        return;
+    }
+
+    const children = element.children;
+    node.children.forEach((child, index) => {
+        const existing = children[index];
+        if (!existing) {
+            element.appendChild(createSvgElement(child));
+        } else if (existing.tagName !== child.tag) {
+            element.replaceChild(createSvgElement(child), existing);
+        } else {
+            patchSvgElement(existing, child);
+        }
+    });
+
+    while (children.length > node.children.length) {
+        element.lastElementChild.remove();
+    }
+}
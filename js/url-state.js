@@ -0,0 +1,212 @@
+/**
+ * Paper Cut Forms Generator - URL State
+ * Codifica os parâmetros de geração no hash da URL para compartilhar links
+ */
+
+/**
+ * Chaves curtas usadas no hash para cada parâmetro de getControlValues()
+ * Não altere chaves existentes: links já compartilhados dependem delas
+ */
+const URL_PARAM_KEYS = {
+    selectedShape: 'sh',
+    frequency: 'f',
+    scaleConstant: 'sc',
+    chaosY: 'cy',
+    chaosX: 'cx',
+    maxRotate: 'r',
+    seed: 's',
+    color1A: 'c1a',
+    color1B: 'c1b',
+    color2A: 'c2a',
+    color2B: 'c2b',
+    palette: 'p',
+    paletteReverse: 'pv',
+    textureEnabled: 't',
+    textureIntensity: 'ti',
+    textureScale: 'ts',
+    textureOctaves: 'to',
+    shadowEnabled: 'd',
+    shadowOffsetX: 'dx',
+    shadowOffsetY: 'dy',
+    shadowBlur: 'db',
+    shadowSize: 'ds',
+    shadowColor: 'dc',
+    gradientEnabled: 'g',
+    gradientType: 'gt',
+    gradientAngle: 'ga',
+    gradientNoise: 'gn',
+    colorSpace: 'csp',
+    layerOpacity: 'lp',
+    opacityMode: 'om',
+    layerOpacityMin: 'lpm',
+    blendMode: 'bm',
+    artboardSize: 'ab',
+    artboardOrientation: 'ao',
+    artboardUnit: 'au',
+    artboardWidth: 'aw',
+    artboardHeight: 'ah',
+    bleed: 'bl',
+    safeMargin: 'sm',
+    customPath: 'cp',
+    polygonSides: 'pn',
+    starPoints: 'sp',
+    starInnerRadius: 'si',
+    superellipseExponent: 'se',
+    roundedSides: 'rn',
+    roundedRadius: 'rr',
+    blobLobes: 'bn',
+    blobVariance: 'bv',
+    warpMode: 'w',
+    warpMode2: 'w2',
+    noiseAmount: 'na',
+    noiseScale: 'ns',
+    twirlAngle: 'wa',
+    twirlRadius: 'wr',
+    rippleAmplitude: 'ra',
+    rippleWavelength: 'rw',
+    pinchAmount: 'pa',
+    pinchRadius: 'pr',
+    fbmAmount: 'fa',
+    fbmScale: 'fs',
+    fbmOctaves: 'fo',
+    sizeEasing: 'es',
+    rotationEasing: 'er',
+    colorEasing: 'ec',
+    sizeBezier: 'esb',
+    rotationBezier: 'erb',
+    colorBezier: 'ecb',
+    layerOverrides: 'lo'
+};
+
+/**
+ * Codificação própria para parâmetros que não são número, booleano ou texto simples
+ */
+const URL_PARAM_CODECS = {
+    palette: { encode: encodePaletteParam, decode: decodePaletteParam },
+    layerOverrides: { encode: encodeLayerOverridesParam, decode: decodeLayerOverridesParam }
+};
+
+// Intervalo mínimo entre atualizações da URL (navegadores limitam replaceState)
+const URL_UPDATE_DELAY = 250;
+
+let urlUpdateTimer = null;
+
+/**
+ * Codifica parâmetros de geração em uma string compacta para o hash
+ * @param {object} params - Parâmetros no formato de getControlValues()
+ * @returns {string} Hash sem o "#" (ex: "sh=hexagon&f=6&c1a=3498db")
+ */
+function encodeParamsToHash(params) {
+    const query = new URLSearchParams();
+
+    Object.keys(URL_PARAM_KEYS).forEach(key => {
+        const value = params[key];
+        if (value === undefined) return;
+
+        if (URL_PARAM_CODECS[key]) {
+            query.set(URL_PARAM_KEYS[key], URL_PARAM_CODECS[key].encode(value));
+        } else if (typeof value === 'boolean') {
+            query.set(URL_PARAM_KEYS[key], value ? '1' : '0');
+        } else if (typeof value === 'string' && value.startsWith('#')) {
+            query.set(URL_PARAM_KEYS[key], value.slice(1));
+        } else {
+            query.set(URL_PARAM_KEYS[key], value);
+        }
+    });
+
+    return query.toString();
+}
+
+/**
+ * Decodifica o hash da URL em parâmetros de geração
+ * Os tipos seguem DEFAULT_PARAMS; valores inválidos são descartados
+ * @param {string} hash - Hash com ou sem o "#"
+ * @returns {object} Parâmetros encontrados (pode ser vazio)
+ */
+function decodeParamsFromHash(hash) {
+    const query = new URLSearchParams(hash.replace(/^#/, ''));
+    const params = {};
+
+    Object.keys(URL_PARAM_KEYS).forEach(key => {
+        const raw = query.get(URL_PARAM_KEYS[key]);
+        if (raw === null) return;
+
+        const defaultValue = DEFAULT_PARAMS[key];
+
+        if (URL_PARAM_CODECS[key]) {
+            const value = URL_PARAM_CODECS[key].decode(raw);
+            if (value !== undefined) params[key] = value;
+        } else if (typeof defaultValue === 'boolean') {
+            params[key] = raw === '1';
+        } else if (typeof defaultValue === 'number') {
+            const value = parseFloat(raw);
+            if (Number.isFinite(value)) params[key] = value;
+        } else if (/^#[0-9a-f]{6}$/i.test(defaultValue)) {
+            if (/^[0-9a-f]{6}$/i.test(raw)) params[key] = `#${raw.toLowerCase()}`;
+        } else {
+            params[key] = raw;
+        }
+    });
+
+    return params;
+}
+
+/**
+ * Restaura os controles a partir do hash da URL atual
+ * @returns {boolean} true se algum parâmetro foi restaurado
+ */
+function restoreUrlState() {
+    const params = decodeParamsFromHash(window.location.hash);
+    if (Object.keys(params).length === 0) return false;
+
+    setControlValues(params);
+    return true;
+}
+
+/**
+ * Monta o link compartilhável que reproduz os parâmetros
+ * @param {object} params - Parâmetros no formato de getControlValues()
+ * @returns {string} URL completa com hash
+ */
+function buildShareUrl(params) {
+    const url = new URL(window.location.href);
+    url.hash = encodeParamsToHash(params);
+    return url.toString();
+}
+
+/**
+ * Agenda a atualização da URL sem criar entradas no histórico do navegador
+ * @param {object} params - Parâmetros no formato de getControlValues()
+ */
+function scheduleUrlStateUpdate(params) {
+    clearTimeout(urlUpdateTimer);
+    urlUpdateTimer = setTimeout(() => {
+        try {
+            history.replaceState(null, '', `#${encodeParamsToHash(params)}`);
+        } catch (error) {
+            // Alguns navegadores bloqueiam replaceState em file://; o botão de link continua funcionando
+            console.warn('Não foi possível atualizar a URL:', error);
+        }
+    }, URL_UPDATE_DELAY);
+}
+
+/**
+ * Copia o link da arte atual para a área de transferência
+ * @param {HTMLElement} button - Botão que disparou a ação (para feedback visual)
+ */
+async function copyShareLink(button) {
+    const url = buildShareUrl(getControlValues());
+    const label = button ? button.textContent : '';
+
+    try {
+        await navigator.clipboard.writeText(url);
+        if (button) button.textContent = 'Link copiado!';
+    } catch (error) {
+        console.error('Erro ao copiar link:', error);
+        window.prompt('Copie o link:', url);
+    }
+
+    if (button) {
+        setTimeout(() => { button.textContent = label; }, 1500);
+    }
+}
@@ -3,15 +3,58 @@
  * Funções utilitárias para manipulação de cores, números e conversões
  */
 
+/**
+ * Converte qualquer seed (número ou texto) em um inteiro de 32 bits (hash FNV-1a)
+ * Usa a representação em texto, idêntica em qualquer engine JavaScript
+ * @param {number|string} seed - Seed
+ * @returns {number} Inteiro sem sinal de 32 bits
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Cria um gerador pseudoaleatório determinístico (mulberry32)
+ * A mesma seed produz a mesma sequência em qualquer navegador ou máquina
+ * @param {number|string} seed - Seed
+ * @returns {function} Gerador () => número em [0, 1)
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Sorteia uma seed nova
+ * Única fonte de entropia da aplicação; todo o resto deriva de seeds
+ * @returns {number} Seed inteira (0-999998)
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 999999);
+}
+
 /**
  * Gera número aleatório entre min e max
  * @param {number} min - Valor mínimo
  * @param {number} max - Valor máximo
  * @param {boolean} float - Se true, retorna float, senão retorna inteiro
+ * @param {function} rng - Gerador em [0, 1) (ver createRandom)
  * @returns {number} Número aleatório
  */
-function random(min, max, float = false) {
-    const val = Math.random() * (max - min) + min;
+function random(min, max, float = false, rng = Math.random) {
+    const val = rng() * (max - min) + min;
     return float ? val : Math.floor(val);
 }
 
@@ -33,16 +76,11 @@ function map(value, start1, stop1, start2, stop2) {
  * @param {string} color1 - Cor inicial em formato hex (#RRGGBB)
  * @param {string} color2 - Cor final em formato hex (#RRGGBB)
  * @param {number} t - Fator de interpolação (0-1)
+ * @param {string} space - Espaço de interpolação (ver COLOR_SPACES em color.js)
  * @returns {string} Cor interpolada em formato hex
  */
-function interpolateColor(color1, color2, t) {
-    const c1 = hexToRgb(color1);
-    const c2 = hexToRgb(color2);
-
-    const r = Math.round(c1.r + (c2.r - c1.r) * t);
-    const g = Math.round(c1.g + (c2.g - c1.g) * t);
-    const b = Math.round(c1.b + (c2.b - c1.b) * t);
-
+function interpolateColor(color1, color2, t, space = 'srgb') {
+    const { r, g, b } = createColorMixer(color1, color2, space)(t);
     return rgbToHex(r, g, b);
 }
 
@@ -0,0 +1,106 @@
+/**
+ * Paper Cut Forms Generator - Warp Controls
+ * Monta os seletores e sliders de cada modo de distorção a partir de WARP_MODES
+ */
+
+/**
+ * Cria as opções dos seletores de distorção e os sliders dos parâmetros de cada modo
+ * Os sliders gerados entram em #warpParams e recebem data-warp-mode com o modo a que pertencem
+ * (os sliders do modo senoidal, Chaos X/Y, já existem no HTML)
+ */
+function renderWarpControls() {
+    const first = document.getElementById('warpMode');
+    const second = document.getElementById('warpMode2');
+    const container = document.getElementById('warpParams');
+
+    second.appendChild(new Option('Nenhuma', 'none'));
+
+    Object.keys(WARP_MODES).forEach(key => {
+        const mode = WARP_MODES[key];
+        first.appendChild(new Option(mode.label, key));
+        second.appendChild(new Option(mode.label, key));
+
+        mode.params.forEach(param => {
+            const group = createRangeControlGroup(param, `${mode.label}: ${param.label}`);
+            group.dataset.warpMode = key;
+            container.appendChild(group);
+        });
+    });
+
+    first.value = DEFAULT_PARAMS.warpMode;
+    second.value = DEFAULT_PARAMS.warpMode2;
+}
+
+/**
+ * Adiciona ao cache de controles os seletores e os sliders gerados por renderWarpControls()
+ */
+function cacheWarpControls() {
+    controls.warpMode = document.getElementById('warpMode');
+    controls.warpMode2 = document.getElementById('warpMode2');
+
+    getWarpParamKeys().forEach(key => {
+        controls[key] = document.getElementById(key);
+        controls[`${key}Value`] = document.getElementById(`${key}Value`);
+    });
+}
+
+/**
+ * Lista as chaves de todos os parâmetros dos modos de distorção
+ * @returns {Array<string>} Chaves dos parâmetros (ex: 'noiseAmount')
+ */
+function getWarpParamKeys() {
+    return Object.keys(getWarpDefaultParams());
+}
+
+/**
+ * Lê o modo de distorção e os parâmetros de todos os modos
+ * @returns {object} Parâmetros { warpMode, warpMode2, ...parâmetros dos modos }
+ */
+function getWarpControlValues() {
+    const values = {
+        warpMode: controls.warpMode.value,
+        warpMode2: controls.warpMode2.value
+    };
+
+    getWarpParamKeys().forEach(key => {
+        values[key] = parseFloat(controls[key].value);
+    });
+
+    return values;
+}
+
+/**
+ * Mostra apenas os sliders dos modos selecionados e atualiza os valores exibidos
+ */
+function updateWarpControls() {
+    const active = [controls.warpMode.value, controls.warpMode2.value];
+
+    document.querySelectorAll('.control-group[data-warp-mode]').forEach(group => {
+        group.classList.toggle('hidden', !active.includes(group.dataset.warpMode));
+    });
+
+    getWarpParamKeys().forEach(key => {
+        controls[`${key}Value`].textContent = controls[key].value;
+    });
+}
+
+/**
+ * Inicializa os controles de distorção
+ */
+function initWarpControls() {
+    ['warpMode', 'warpMode2'].forEach(id => {
+        controls[id].addEventListener('change', function() {
+            updateWarpControls();
+            generate();
+        });
+    });
+
+    getWarpParamKeys().forEach(key => {
+        controls[key].addEventListener('input', function() {
+            controls[`${key}Value`].textContent = controls[key].value;
+            generate();
+        });
+    });
+
+    updateWarpControls();
+}
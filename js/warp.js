@@ -1,117 +1,279 @@
 /**
  * Paper Cut Forms Generator - Warp Distortion
- * Aplica distorção senoidal nas formas SVG para criar efeito "paper cut"
+ * Distorce os contornos das camadas (sem DOM) para criar o efeito "paper cut"
  */
 
-// Dimensões do canvas SVG
+// Dimensões do espaço de desenho (mesmas de SVG_WIDTH/SVG_HEIGHT em shapes.js)
 const CANVAS_WIDTH = 800;
 const CANVAS_HEIGHT = 800;
 
+// Reamostragem adaptativa das bordas distorcidas (unidades do SVG)
+const WARP_TOLERANCE = 0.75;   // Desvio máximo da corda no teste de subdivisão (a cúbica final fica mais próxima)
+const WARP_MAX_STEP = 40;      // Comprimento máximo de um trecho antes do teste de desvio
+const WARP_MAX_DEPTH = 6;      // Limite de subdivisões por trecho
+const WARP_CORNER_ANGLE = 2;   // Juntas com desvio maior que isso (graus) continuam sendo cantos
+
 /**
- * Aplica distorção senoidal em um elemento SVG
- * @param {SVGElement} element - Elemento SVG contendo as formas
- * @param {number} chaosX - Intensidade da distorção no eixo X (0-100)
- * @param {number} chaosY - Intensidade da distorção no eixo Y (0-100)
+ * Calcula as frequências senoidais derivadas da seed
  * @param {number} seed - Seed para distorção consistente
+ * @returns {object} Objeto com rand1 e rand2 (24-63)
  */
-function applyWarpDistortion(element, chaosX, chaosY, seed = 12345) {
+function getWarpFrequencies(seed) {
     // Usar seed para gerar valores consistentes ao invés de aleatórios
-    const rand1 = 24 + (seed % 40);
-    const rand2 = 24 + ((seed * 13) % 40);
-
-    // Pega todos os elementos com coordenadas
-    const shapes = element.querySelectorAll('circle, rect, path');
+    return {
+        rand1: 24 + (seed % 40),
+        rand2: 24 + ((seed * 13) % 40)
+    };
+}
 
-    shapes.forEach(shape => {
-        const tagName = shape.tagName.toLowerCase();
+/**
+ * Distorce uma geometria sem depender do DOM
+ * @param {object} geometry - Geometria retornada por createShape()
+ * @param {function} warp - Função de distorção (ver createWarp)
+ * @returns {string} String com comandos do path distorcido
+ */
+function warpGeometry(geometry, warp) {
+    let d;
+    switch (geometry.type) {
+        case 'circle':
+            d = circleToPathData(geometry.cx, geometry.cy, geometry.r);
+            break;
+        case 'rect':
+            d = rectToPathData(geometry.x, geometry.y, geometry.width, geometry.height);
+            break;
+        default:
+            d = geometry.d;
+    }
 
-        if (tagName === 'circle') {
-            distortCircle(shape, chaosX, chaosY, rand1, rand2);
-        } else if (tagName === 'rect') {
-            distortRect(shape, chaosX, chaosY, rand1, rand2);
-        } else if (tagName === 'path') {
-            distortPath(shape, chaosX, chaosY, rand1, rand2);
-        }
-    });
+    return warpPathData(d, warp);
 }
 
 /**
- * Distorce um círculo convertendo-o em path
- * @param {SVGCircleElement} shape - Elemento círculo
+ * Cria a distorção senoidal original como função de ponto
  * @param {number} chaosX - Intensidade da distorção no eixo X
  * @param {number} chaosY - Intensidade da distorção no eixo Y
  * @param {number} rand1 - Valor aleatório para variação senoidal
  * @param {number} rand2 - Valor aleatório para variação senoidal
+ * @param {number} phase - Fase das senoides em radianos (animação)
+ * @returns {function} Função de distorção ([x, y]) => [x, y]
  */
-function distortCircle(shape, chaosX, chaosY, rand1, rand2) {
-    const cx = parseFloat(shape.getAttribute('cx') || 0);
-    const cy = parseFloat(shape.getAttribute('cy') || 0);
-    const r = parseFloat(shape.getAttribute('r') || 0);
-
-    // Criar path circular com distorção
-    const points = [];
-    const numPoints = 64;
+function createSineWarp(chaosX, chaosY, rand1, rand2, phase = 0) {
+    return ([x, y]) => {
+        const distorted = applyDistortionToPoint(x, y, chaosX, chaosY, rand1, rand2, phase);
+        return [distorted.x, distorted.y];
+    };
+}
 
-    for (let i = 0; i < numPoints; i++) {
-        const angle = (i / numPoints) * Math.PI * 2;
-        let x = cx + Math.cos(angle) * r;
-        let y = cy + Math.sin(angle) * r;
+/**
+ * Ruído fractal (fBm) somando octaves de SimplexNoise
+ * @param {SimplexNoise} simplex - Gerador de ruído
+ * @param {number} x - Coordenada X (já escalada)
+ * @param {number} y - Coordenada Y (já escalada)
+ * @param {number} octaves - Número de octaves
+ * @returns {number} Ruído aproximadamente em [-1, 1]
+ */
+function fractalNoise(simplex, x, y, octaves) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let maxValue = 0;
 
-        // Aplicar distorção senoidal
-        const distorted = applyDistortionToPoint(x, y, chaosX, chaosY, rand1, rand2);
-        points.push(`${distorted.x},${distorted.y}`);
+    for (let o = 0; o < octaves; o++) {
+        value += simplex.noise(x * frequency, y * frequency) * amplitude;
+        maxValue += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
     }
 
-    // Substituir círculo por path
-    replaceShapeWithPath(shape, points);
+    return value / maxValue;
 }
 
 /**
- * Distorce um retângulo convertendo-o em path
- * @param {SVGRectElement} shape - Elemento retângulo
- * @param {number} chaosX - Intensidade da distorção no eixo X
- * @param {number} chaosY - Intensidade da distorção no eixo Y
- * @param {number} rand1 - Valor aleatório para variação senoidal
- * @param {number} rand2 - Valor aleatório para variação senoidal
+ * Aplica uma função radial em torno do centro do espaço de desenho
+ * @param {function} transform - (raio, ângulo) => [novo raio, novo ângulo]
+ * @returns {function} Função de distorção ([x, y]) => [x, y]
  */
-function distortRect(shape, chaosX, chaosY, rand1, rand2) {
-    const x = parseFloat(shape.getAttribute('x') || 0);
-    const y = parseFloat(shape.getAttribute('y') || 0);
-    const w = parseFloat(shape.getAttribute('width') || 0);
-    const h = parseFloat(shape.getAttribute('height') || 0);
-
-    // Criar path retangular com distorção
-    const corners = [
-        [x, y],
-        [x + w, y],
-        [x + w, y + h],
-        [x, y + h]
-    ];
+function createRadialWarp(transform) {
+    const cx = CANVAS_WIDTH / 2;
+    const cy = CANVAS_HEIGHT / 2;
+
+    return ([x, y]) => {
+        const dx = x - cx;
+        const dy = y - cy;
+        const [radius, angle] = transform(Math.hypot(dx, dy), Math.atan2(dy, dx));
+        return [cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius];
+    };
+}
+
+/**
+ * Deslocamento do ruído para uma fase da distorção
+ * Percorre um círculo de raio 1 no espaço do ruído: a fase 0 não desloca e a fase 1 volta ao início
+ * @param {number} warpPhase - Fase (1 = ciclo completo)
+ * @returns {Array<number>} Deslocamento [dx, dy] nas coordenadas do ruído
+ */
+function getWarpPhaseOffset(warpPhase) {
+    const angle = warpPhase * Math.PI * 2;
+    return [Math.cos(angle) - 1, Math.sin(angle)];
+}
+
+/**
+ * Modos de distorção disponíveis
+ * Cada modo declara seus parâmetros (chave em getControlValues(), rótulo e faixa do slider)
+ * e cria a função de ponto a partir dos parâmetros de geração.
+ * O modo senoidal usa os sliders Chaos X/Y já existentes.
+ * Todos os modos respondem a params.warpPhase (animação), periódico com período 1.
+ */
+const WARP_MODES = {
+    sine: {
+        label: 'Senoidal',
+        params: [],
+        create: params => {
+            const { rand1, rand2 } = getWarpFrequencies(params.seed);
+            return createSineWarp(params.chaosX, params.chaosY, rand1, rand2, params.warpPhase * Math.PI * 2);
+        }
+    },
+    simplex: {
+        label: 'Ruído Simplex',
+        params: [
+            { key: 'noiseAmount', label: 'Intensidade', min: 0, max: 100, step: 1, value: 30 },
+            { key: 'noiseScale', label: 'Escala', min: 20, max: 400, step: 1, value: 150 }
+        ],
+        create: params => {
+            const simplex = new SimplexNoise(params.seed);
+            const { noiseAmount, noiseScale } = params;
+            const [ox, oy] = getWarpPhaseOffset(params.warpPhase);
+            return ([x, y]) => [
+                x + simplex.noise(x / noiseScale + ox, y / noiseScale + oy) * noiseAmount,
+                y + simplex.noise(x / noiseScale + 31.7 + ox, y / noiseScale + 47.3 + oy) * noiseAmount
+            ];
+        }
+    },
+    twirl: {
+        label: 'Redemoinho',
+        params: [
+            { key: 'twirlAngle', label: 'Ângulo', min: -360, max: 360, step: 1, value: 90 },
+            { key: 'twirlRadius', label: 'Raio', min: 50, max: 600, step: 1, value: 350 }
+        ],
+        create: ({ twirlAngle, twirlRadius, warpPhase }) => {
+            // A fase oscila o giro entre +ângulo e −ângulo
+            const turn = twirlAngle * Math.PI / 180 * Math.cos(warpPhase * Math.PI * 2);
+            return createRadialWarp((radius, angle) => {
+                // Rotação máxima no centro, diminuindo suavemente até a borda do raio
+                const falloff = Math.max(0, 1 - radius / twirlRadius);
+                return [radius, angle + turn * falloff * falloff];
+            });
+        }
+    },
+    ripple: {
+        label: 'Ondulação Radial',
+        params: [
+            { key: 'rippleAmplitude', label: 'Amplitude', min: 0, max: 50, step: 0.5, value: 12 },
+            { key: 'rippleWavelength', label: 'Comprimento de Onda', min: 10, max: 200, step: 1, value: 60 }
+        ],
+        create: ({ rippleAmplitude, rippleWavelength, seed, warpPhase }) => {
+            // A fase da animação faz as ondas se propagarem para fora
+            const phase = (seed % 628) / 100 - warpPhase * Math.PI * 2;
+            return createRadialWarp((radius, angle) => [
+                radius + rippleAmplitude * Math.sin(radius / rippleWavelength * Math.PI * 2 + phase),
+                angle
+            ]);
+        }
+    },
+    pinch: {
+        label: 'Pinça / Bojo',
+        params: [
+            { key: 'pinchAmount', label: 'Intensidade', min: -100, max: 100, step: 1, value: 40 },
+            { key: 'pinchRadius', label: 'Raio', min: 50, max: 600, step: 1, value: 350 }
+        ],
+        create: ({ pinchAmount, pinchRadius, warpPhase }) => {
+            // Positivo empurra o centro para fora (bojo), negativo puxa para dentro (pinça);
+            // a fase alterna entre os dois
+            const exponent = 1 - pinchAmount * Math.cos(warpPhase * Math.PI * 2) / 200;
+            return createRadialWarp((radius, angle) => [
+                radius < pinchRadius ? pinchRadius * Math.pow(radius / pinchRadius, exponent) : radius,
+                angle
+            ]);
+        }
+    },
+    fbm: {
+        label: 'fBm com Domain Warp',
+        params: [
+            { key: 'fbmAmount', label: 'Intensidade', min: 0, max: 150, step: 1, value: 40 },
+            { key: 'fbmScale', label: 'Escala', min: 50, max: 600, step: 1, value: 300 },
+            { key: 'fbmOctaves', label: 'Octaves', min: 1, max: 6, step: 1, value: 3 }
+        ],
+        create: ({ fbmAmount, fbmScale, fbmOctaves, seed, warpPhase }) => {
+            const simplex = new SimplexNoise(seed);
+            const fbm = (x, y) => fractalNoise(simplex, x, y, fbmOctaves);
+            const [ox, oy] = getWarpPhaseOffset(warpPhase);
 
-    const points = [];
-    corners.forEach(corner => {
-        const distorted = applyDistortionToPoint(corner[0], corner[1], chaosX, chaosY, rand1, rand2);
-        points.push(`${distorted.x},${distorted.y}`);
+            // Domain warping: o ruído desloca as coordenadas do próprio ruído
+            return ([x, y]) => {
+                const px = x / fbmScale + ox;
+                const py = y / fbmScale + oy;
+                const qx = fbm(px, py);
+                const qy = fbm(px + 5.2, py + 1.3);
+                return [
+                    x + fbm(px + 0.5 * qx + 1.7, py + 0.5 * qy + 9.2) * fbmAmount,
+                    y + fbm(px + 0.5 * qx + 8.3, py + 0.5 * qy + 2.8) * fbmAmount
+                ];
+            };
+        }
+    }
+};
+
+/**
+ * Valores padrão dos parâmetros de todos os modos de distorção
+ * @returns {object} Parâmetros { chave: valor }
+ */
+function getWarpDefaultParams() {
+    const defaults = {};
+    Object.values(WARP_MODES).forEach(mode => {
+        mode.params.forEach(param => {
+            defaults[param.key] = param.value;
+        });
     });
+    return defaults;
+}
 
-    replaceShapeWithPath(shape, points);
+/**
+ * Cria a distorção de warpMode, encadeada com warpMode2 quando houver
+ * @param {object} full - Parâmetros de geração já completados por createWarp()
+ * @returns {function} Função de distorção ([x, y]) => [x, y]
+ */
+function createWarpChain(full) {
+    const first = WARP_MODES[full.warpMode] || WARP_MODES.sine;
+    const second = WARP_MODES[full.warpMode2];
+
+    const warp = first.create(full);
+    if (!second) return warp;
+
+    const chained = second.create(full);
+    return point => chained(warp(point));
 }
 
 /**
- * Distorce um path existente
- * @param {SVGPathElement} shape - Elemento path
- * @param {number} chaosX - Intensidade da distorção no eixo X
- * @param {number} chaosY - Intensidade da distorção no eixo Y
- * @param {number} rand1 - Valor aleatório para variação senoidal
- * @param {number} rand2 - Valor aleatório para variação senoidal
+ * Cria a função de distorção dos parâmetros de geração
+ * Com warpMode2 diferente de 'none', a segunda distorção é aplicada sobre o resultado da primeira
+ * Com seedBlend > 0, o resultado é misturado ponto a ponto com a mesma distorção gerada
+ * por blendSeed (0 = só seed, 1 = só blendSeed), o que permite transições suaves entre seeds
+ * @param {object} params - Parâmetros de geração (warpMode, warpMode2, warpPhase, seedBlend, blendSeed e parâmetros dos modos)
+ * @returns {function} Função de distorção ([x, y]) => [x, y]
  */
-function distortPath(shape, chaosX, chaosY, rand1, rand2) {
-    const d = shape.getAttribute('d');
-    if (!d) return;
+function createWarp(params) {
+    const full = { ...getWarpDefaultParams(), seed: 12345, warpPhase: 0, seedBlend: 0, ...params };
+    const warp = createWarpChain(full);
+    if (!full.seedBlend) return warp;
+
+    const blendSeed = full.blendSeed !== undefined ? full.blendSeed : full.seed + 1;
+    const target = createWarpChain({ ...full, seed: blendSeed });
+    const amount = full.seedBlend;
 
-    // Parse path e aplica distorção
-    const newD = transformPathData(d, chaosX, chaosY, rand1, rand2);
-    shape.setAttribute('d', newD);
+    return point => {
+        const [ax, ay] = warp(point);
+        const [bx, by] = target(point);
+        return [ax + (bx - ax) * amount, ay + (by - ay) * amount];
+    };
 }
 
 /**
@@ -122,78 +284,236 @@ function distortPath(shape, chaosX, chaosY, rand1, rand2) {
  * @param {number} chaosY - Intensidade da distorção no eixo Y
  * @param {number} rand1 - Valor aleatório para variação senoidal
  * @param {number} rand2 - Valor aleatório para variação senoidal
+ * @param {number} phase - Fase das senoides em radianos (0 = distorção original)
  * @returns {object} Objeto com coordenadas x e y distorcidas
  */
-function applyDistortionToPoint(x, y, chaosX, chaosY, rand1, rand2) {
+function applyDistortionToPoint(x, y, chaosX, chaosY, rand1, rand2, phase = 0) {
     const distanceFromYCenter = CANVAS_HEIGHT / 2 - y;
     const distanceFromXCenter = CANVAS_WIDTH / 2 - x;
     const chaosFactorX = map(distanceFromXCenter, 400, -400, 1, chaosX);
     const chaosFactorY = map(distanceFromYCenter, 400, -400, 10, chaosY);
 
-    const newX = x - chaosFactorX * Math.sin(y / rand1);
-    const newY = y - chaosFactorY * Math.sin(x / rand2);
+    const newX = x - chaosFactorX * Math.sin(y / rand1 + phase);
+    const newY = y - chaosFactorY * Math.sin(x / rand2 + phase);
 
     return { x: newX, y: newY };
 }
 
 /**
- * Transforma os dados de um path SVG aplicando distorção
+ * Distorce um path com qualquer função de distorção (ver WARP_MODES)
+ * Pipeline comum a todos os modos: normalização, reamostragem adaptativa e cúbicas suaves
  * @param {string} d - String com comandos do path
- * @param {number} chaosX - Intensidade da distorção no eixo X
- * @param {number} chaosY - Intensidade da distorção no eixo Y
- * @param {number} rand1 - Valor aleatório para variação senoidal
- * @param {number} rand2 - Valor aleatório para variação senoidal
+ * @param {function} warp - Função de distorção ([x, y]) => [x, y]
  * @returns {string} String com comandos do path distorcido
  */
-function transformPathData(d, chaosX, chaosY, rand1, rand2) {
-    // Parse comandos SVG path
-    const commands = d.match(/[MLHVCSQTAZ][^MLHVCSQTAZ]*/gi);
-    if (!commands) return d;
+function warpPathData(d, warp) {
+    const subpaths = splitPathSegments(normalizePathData(d));
+    if (!subpaths.length) return d;
 
-    let newPath = '';
+    return subpaths.map(subpath => {
+        const { start, segments, closed } = subpath;
+        const points = [warp(start)];
+        const corners = [!closed || isPathCorner(segments[segments.length - 1], segments[0])];
 
-    commands.forEach(cmd => {
-        const type = cmd[0];
-        const coords = cmd.slice(1).trim().split(/[\s,]+/).filter(c => c).map(parseFloat);
+        segments.forEach((segment, index) => {
+            const next = segments[index + 1] || (closed ? segments[0] : null);
+            sampleWarpedSegment(segment, warp).forEach((point, i, samples) => {
+                points.push(point);
+                corners.push(i === samples.length - 1 ? !next || isPathCorner(segment, next) : false);
+            });
+        });
 
-        if (type === 'M' || type === 'L') {
-            if (coords.length >= 2) {
-                const distorted = applyDistortionToPoint(coords[0], coords[1], chaosX, chaosY, rand1, rand2);
-                newPath += `${type}${distorted.x},${distorted.y} `;
-            }
+        // Em subpaths fechados o último ponto é o próprio início
+        if (closed && points.length > 1) {
+            points.pop();
+            corners.pop();
+        }
+
+        return smoothPointsToPathData(points, corners, closed);
+    }).join('');
+}
+
+/**
+ * Agrupa comandos normalizados (M, L, C, Z) em subpaths de segmentos
+ * Cada segmento guarda seus pontos de controle: 2 para retas, 4 para cúbicas
+ * @param {Array<object>} commands - Comandos retornados por normalizePathData()
+ * @returns {Array<object>} Subpaths { start, segments, closed }
+ */
+function splitPathSegments(commands) {
+    const subpaths = [];
+    let current = null;
+    let position = [0, 0];
+
+    commands.forEach(({ type, values: v }) => {
+        if (type === 'M') {
+            position = [v[0], v[1]];
+            current = { start: position, segments: [], closed: false };
+            subpaths.push(current);
         } else if (type === 'Z') {
-            newPath += 'Z ';
+            const [sx, sy] = current.start;
+            if (position[0] !== sx || position[1] !== sy) {
+                current.segments.push([position, current.start]);
+            }
+            current.closed = true;
+            position = current.start;
         } else {
-            newPath += cmd + ' ';
+            const points = type === 'L'
+                ? [position, [v[0], v[1]]]
+                : [position, [v[0], v[1]], [v[2], v[3]], [v[4], v[5]]];
+            current.segments.push(points);
+            position = points[points.length - 1];
         }
     });
 
-    return newPath.trim();
+    return subpaths.filter(subpath => subpath.segments.length > 0);
 }
 
 /**
- * Substitui uma forma SVG por um path
- * @param {SVGElement} shape - Elemento a ser substituído
- * @param {Array<string>} points - Array de pontos no formato "x,y"
+ * Avalia um segmento (reta ou cúbica) no parâmetro t
+ * @param {Array<Array<number>>} segment - Pontos de controle do segmento
+ * @param {number} t - Parâmetro (0-1)
+ * @returns {Array<number>} Ponto [x, y]
  */
-function replaceShapeWithPath(shape, points) {
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', `M ${points.join(' L ')} Z`);
-
-    // Preservar todos os atributos importantes
-    const attributesToPreserve = [
-        'fill', 'opacity', 'clip-path', 'transform', 'filter'
+function segmentPoint(segment, t) {
+    if (segment.length === 2) {
+        const [[x0, y0], [x1, y1]] = segment;
+        return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+    }
+    return [
+        bezierPoint(segment.map(p => p[0]), t),
+        bezierPoint(segment.map(p => p[1]), t)
     ];
+}
 
-    attributesToPreserve.forEach(attr => {
-        const value = shape.getAttribute(attr);
-        if (value) {
-            path.setAttribute(attr, value);
+/**
+ * Direção de saída (início) ou de chegada (fim) de um segmento
+ * Pontos de controle coincidentes são ignorados
+ * @param {Array<Array<number>>} segment - Pontos de controle do segmento
+ * @param {boolean} atEnd - Se true, retorna a direção de chegada
+ * @returns {Array<number>} Vetor [dx, dy] (pode ser nulo em segmentos degenerados)
+ */
+function segmentDirection(segment, atEnd) {
+    const points = atEnd ? segment.slice().reverse() : segment;
+    const [x0, y0] = points[0];
+    for (let i = 1; i < points.length; i++) {
+        const dx = points[i][0] - x0;
+        const dy = points[i][1] - y0;
+        if (dx !== 0 || dy !== 0) {
+            return atEnd ? [-dx, -dy] : [dx, dy];
         }
-    });
+    }
+    return [0, 0];
+}
 
-    // Valores padrão para atributos não definidos
-    if (!path.getAttribute('fill')) path.setAttribute('fill', 'none');
+/**
+ * Verifica se a junta entre dois segmentos é um canto (mudança brusca de direção)
+ * @param {Array<Array<number>>} incoming - Segmento que chega na junta
+ * @param {Array<Array<number>>} outgoing - Segmento que sai da junta
+ * @returns {boolean} True se a junta for um canto
+ */
+function isPathCorner(incoming, outgoing) {
+    const [ax, ay] = segmentDirection(incoming, true);
+    const [bx, by] = segmentDirection(outgoing, false);
+    const angle = Math.abs(Math.atan2(ax * by - ay * bx, ax * bx + ay * by)) * 180 / Math.PI;
+    return angle > WARP_CORNER_ANGLE;
+}
 
-    shape.parentNode.replaceChild(path, shape);
+/**
+ * Amostra um segmento já distorcido, subdividindo onde a distorção curva a borda
+ * Começa com trechos de até WARP_MAX_STEP e divide ao meio enquanto o ponto médio
+ * distorcido se afastar mais que WARP_TOLERANCE da corda
+ * @param {Array<Array<number>>} segment - Pontos de controle do segmento (sem distorção)
+ * @param {function} warp - Função de distorção ([x, y]) => [x, y]
+ * @returns {Array<Array<number>>} Pontos distorcidos, sem o inicial e com o final
+ */
+function sampleWarpedSegment(segment, warp) {
+    // Comprimento do polígono de controle (limite superior do comprimento real)
+    let length = 0;
+    for (let i = 1; i < segment.length; i++) {
+        length += Math.hypot(segment[i][0] - segment[i - 1][0], segment[i][1] - segment[i - 1][1]);
+    }
+
+    const samples = [];
+    const refine = (t0, p0, t1, p1, depth) => {
+        const tm = (t0 + t1) / 2;
+        const pm = warp(segmentPoint(segment, tm));
+        const deviation = Math.hypot(pm[0] - (p0[0] + p1[0]) / 2, pm[1] - (p0[1] + p1[1]) / 2);
+
+        if (depth < WARP_MAX_DEPTH && deviation > WARP_TOLERANCE) {
+            refine(t0, p0, tm, pm, depth + 1);
+            refine(tm, pm, t1, p1, depth + 1);
+        } else {
+            samples.push(p1);
+        }
+    };
+
+    const steps = Math.max(1, Math.ceil(length / WARP_MAX_STEP));
+    let previous = warp(segment[0]);
+    for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        const point = warp(s === steps ? segment[segment.length - 1] : segmentPoint(segment, t));
+        refine((s - 1) / steps, previous, t, point, 0);
+        previous = point;
+    }
+
+    return samples;
+}
+
+/**
+ * Converte pontos amostrados em cúbicas suaves (Catmull-Rom com parametrização por corda)
+ * Nos cantos a tangente usa apenas o lado do próprio trecho, preservando a quina
+ * @param {Array<Array<number>>} points - Pontos [x, y]
+ * @param {Array<boolean>} corners - Se cada ponto é um canto
+ * @param {boolean} closed - Se o subpath é fechado
+ * @returns {string} String com comandos do path
+ */
+function smoothPointsToPathData(points, corners, closed) {
+    const n = points.length;
+    const round = value => Math.round(value * 100) / 100;
+    const at = i => closed ? points[(i + n) % n] : points[Math.max(0, Math.min(n - 1, i))];
+    const isCorner = i => closed ? corners[(i + n) % n] : (i <= 0 || i >= n - 1 || corners[i]);
+    const distance = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+    // Tangente em i por diferença centrada, normalizada pelo comprimento das cordas
+    const tangent = i => {
+        const previous = at(i - 1);
+        const next = at(i + 1);
+        const span = distance(previous, at(i)) + distance(at(i), next);
+        return span === 0 ? [0, 0] : [(next[0] - previous[0]) / span, (next[1] - previous[1]) / span];
+    };
+
+    const commands = [{ type: 'M', values: points[0].map(round) }];
+    const count = closed ? n : n - 1;
+
+    for (let i = 0; i < count; i++) {
+        const p1 = at(i);
+        const p2 = at(i + 1);
+        const chord = distance(p1, p2);
+        const t1 = isCorner(i) ? [(p2[0] - p1[0]) / (chord || 1), (p2[1] - p1[1]) / (chord || 1)] : tangent(i);
+        const t2 = isCorner(i + 1) ? [(p2[0] - p1[0]) / (chord || 1), (p2[1] - p1[1]) / (chord || 1)] : tangent(i + 1);
+
+        commands.push({
+            type: 'C',
+            values: [
+                p1[0] + t1[0] * chord / 3, p1[1] + t1[1] * chord / 3,
+                p2[0] - t2[0] * chord / 3, p2[1] - t2[1] * chord / 3,
+                p2[0], p2[1]
+            ].map(round)
+        });
+    }
+
+    if (closed) {
+        commands.push({ type: 'Z', values: [] });
+    }
+
+    return serializePathData(commands);
+}
+
+/**
+ * Converte uma lista de pontos em um path poligonal fechado
+ * @param {Array<string>} points - Array de pontos no formato "x,y"
+ * @returns {string} String com comandos do path
+ */
+function pointsToPathData(points) {
+    return `M ${points.join(' L ')} Z`;
 }